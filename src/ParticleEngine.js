@@ -0,0 +1,122 @@
+export default class ParticleEngine
+{
+    constructor(renderer, scene)
+    {
+        // Setup
+        this.renderer = renderer
+        this.scene = scene
+        this.systems = new Map()
+    }
+
+    /**
+     * Calls `callback(systems)` whenever a system gets added or removed.
+     */
+    onChange(callback)
+    {
+        this._onChange = callback
+
+        return this
+    }
+
+    change()
+    {
+        if(this._onChange)
+            this._onChange(this.systems)
+    }
+
+    add(name, system)
+    {
+        if(this.systems.has(name))
+            this.remove(name)
+
+        this.systems.set(name, { system, enabled: true, paused: false })
+        this.scene.add(system.mesh)
+        this.change()
+
+        return system
+    }
+
+    remove(name)
+    {
+        const entry = this.systems.get(name)
+
+        if(!entry)
+            return
+
+        entry.system.dispose()
+        this.systems.delete(name)
+        this.change()
+    }
+
+    get(name)
+    {
+        return this.systems.get(name)?.system
+    }
+
+    setEnabled(name, value)
+    {
+        const entry = this.systems.get(name)
+
+        if(!entry)
+            return
+
+        // Disabled systems are neither simulated nor rendered
+        entry.enabled = value
+        entry.system.mesh.visible = value
+    }
+
+    setPaused(name, value)
+    {
+        const entry = this.systems.get(name)
+
+        if(!entry)
+            return
+
+        // Paused systems keep rendering their frozen particles
+        entry.paused = value
+    }
+
+    update(deltaTime)
+    {
+        const active = []
+
+        for(const entry of this.systems.values())
+        {
+            // Meshes are recreated on rebuild so the visibility has to follow
+            entry.system.mesh.visible = entry.enabled
+
+            if(!entry.enabled || entry.paused)
+                continue
+
+            // Systems playing a cache don't simulate
+            if(entry.system.cachePlayer)
+                entry.system.cachePlayer.update(deltaTime)
+            else
+                active.push(entry.system)
+        }
+
+        // Systems with a fixed time step can take several steps per frame (or none)
+        const stepping = active.map((system) => ({ system, steps: system.getSteps(deltaTime) }))
+        const stepCount = Math.max(0, ...stepping.map((entry) => entry.steps.count))
+
+        // Every system still stepping dispatched in a single compute submission per step
+        for(let i = 0; i < stepCount; i++)
+        {
+            const batch = stepping.filter((entry) => entry.steps.count > i)
+
+            for(const { system, steps } of batch)
+                system.prepare(steps.deltaTime, steps.count - i)
+
+            this.renderer.computeAsync(batch.flatMap((entry) => entry.system.computeNodes))
+
+            for(const { system } of batch)
+                system.finish()
+        }
+    }
+
+    dispose()
+    {
+        for(const name of [ ...this.systems.keys() ])
+            this.remove(name)
+    }
+}
@@ -1,7 +1,29 @@
-import { If, min, color, range, sin, instanceIndex, deltaTime, step, time, Fn, uniform, uv, vec3, vec4, mix, max, uint, select, varying, hash } from 'three/tsl'
+import { If, min, floor, color, atomicAdd, atomicLoad, atomicStore, sin, instanceIndex, step, Fn, uniform, uv, vec3, vec4, mix, max, uint, select, varying, float, bool, Loop, cameraPosition, cameraViewMatrix, cameraWorldMatrix, positionGeometry, normalLocal, vec2 } from 'three/tsl'
 import { storage } from 'three/tsl'
-import { SpriteNodeMaterial, StorageInstancedBufferAttribute } from 'three/webgpu'
-import { curlNoise4d } from './tsl/curlNoise4d.js'
+import { SpriteNodeMaterial, MeshBasicNodeMaterial, MeshStandardNodeMaterial, StorageBufferAttribute, StorageInstancedBufferAttribute } from 'three/webgpu'
+import PointShape from './emitters/PointShape.js'
+import BoxShape from './emitters/BoxShape.js'
+import ConeShape from './emitters/ConeShape.js'
+import DiscShape from './emitters/DiscShape.js'
+import LineShape from './emitters/LineShape.js'
+import RingShape from './emitters/RingShape.js'
+import HemisphereShape from './emitters/HemisphereShape.js'
+import MeshShape from './emitters/MeshShape.js'
+import TurbulenceField from './forces/TurbulenceField.js'
+import { resolveCollision } from './colliders/resolveCollision.js'
+import { orthonormalBasis } from './tsl/orthonormalBasis.js'
+import { axisAngleRotation } from './tsl/axisAngleRotation.js'
+import { randomDirection as sampleDirection } from './tsl/randomDirection.js'
+import { seededHash } from './tsl/seededHash.js'
+import LifeRamps from './ramps/LifeRamps.js'
+import SpriteSheet from './sprites/SpriteSheet.js'
+import { normalizePreset, serializePreset, applyPresetBlend } from './presets/presets.js'
+import { easings } from './utils/easings.js'
+import Timeline from './timeline/Timeline.js'
+import CachePlayer from './cache/CachePlayer.js'
+import SphSystem from './physics/SphSystem.js'
+import PhysarumSystem from './physics/PhysarumSystem.js'
+import { simulationDefaults, randomSalts } from './simulationParameters.js'
 import * as THREE from 'three'
 
 export default class
@@ -14,7 +36,31 @@ export default class
         // this.initialized = false
         this.renderer = renderer
         this.emitterPosition = new THREE.Vector3()
-        this.count = count
+        this.count = count // Also resets `activeCount`, particles above it finish their life but don't respawn
+
+        // Emission
+        // 'continuous' respawns every particle as soon as its life wraps (always `count` alive)
+        // 'explicit' keeps particles dead until `emissionRate`, `bursts` or `emit()` ask for them
+        this.emissionMode = 'continuous'
+        this.emissionRate = 0 // Particles per second
+        this.bursts = [] // { count, delay, repeat, interval } with times in seconds and `repeat` extra firings (Infinity to loop)
+                         // An `interval` of 0 fires all the firings at once at `delay`, or only one if looping
+
+        // Stepping
+        // With a `fixedTimeStep` (in seconds) `update()` accumulates the frames time and simulates it in steps of that duration
+        this.fixedTimeStep = null
+        this.maxSubSteps = 8
+        this.stepAccumulator = 0
+
+        // Render
+        // 'billboard' draws a sprite per particle
+        // 'stretched' draws a sprite per particle stretched along its screen space velocity
+        // 'trail' draws a camera facing ribbon through the last `trailLength` positions of each particle
+        // 'mesh' draws a lit `meshGeometry` per particle, facing its velocity or spinning (`meshOrientation` 'velocity' or 'spin')
+        this.renderMode = 'billboard'
+        this.trailLength = 16
+        this.meshGeometry = new THREE.IcosahedronGeometry(0.5, 0)
+        this.meshOrientation = 'velocity'
 
         // Uniforms
         this.uniforms = {}
@@ -24,18 +70,15 @@ export default class
         this.uniforms.emitterPreviousPosition = uniform(vec3())
         this.uniforms.emitterVelocity = uniform(vec3())
         this.uniforms.emitterPreviousVelocity = uniform(vec3())
-        this.uniforms.emitterRadius = uniform(0.01)
-        this.uniforms.emitterVelocityStrength = uniform(0.4)
-        this.uniforms.initialVelocity = uniform(vec3(0, 0, 0))
-        this.uniforms.initialRandomVelocity = uniform(0)
-        this.uniforms.velocityDamping = uniform(0.01)
-        this.uniforms.turbulenceStrength = uniform(0.01)
-        this.uniforms.turbulenceTimeFrequeny = uniform(0.1)
-        this.uniforms.turbulencePositionFrequeny = uniform(3)
-        this.uniforms.decayFrequency = uniform(0.2)
-        this.uniforms.gravity = uniform(vec3(0, -0.5, 0))
-        this.uniforms.floorY = uniform(-0.95)
-        this.uniforms.floorDamping = uniform(0.1)
+        this.uniforms.emitterVelocityStrength = uniform(simulationDefaults.emitterVelocityStrength)
+        this.uniforms.emitterNormalVelocity = uniform(simulationDefaults.emitterNormalVelocity)
+        this.uniforms.initialVelocity = uniform(vec3(...simulationDefaults.initialVelocity))
+        this.uniforms.initialRandomVelocity = uniform(simulationDefaults.initialRandomVelocity)
+        this.uniforms.velocityDamping = uniform(simulationDefaults.velocityDamping)
+        this.uniforms.decayFrequency = uniform(simulationDefaults.decayFrequency)
+        this.uniforms.gravity = uniform(vec3(...simulationDefaults.gravity))
+        this.uniforms.floorY = uniform(simulationDefaults.floorY)
+        this.uniforms.floorDamping = uniform(simulationDefaults.floorDamping)
         this.uniforms.size = uniform(0.075)
         this.uniforms.solidRatio = uniform(0.05)
         this.uniforms.solidAlpha = uniform(5)
@@ -46,33 +89,177 @@ export default class
         this.uniforms.sparklingAlpha = uniform(4)
         this.uniforms.sparklingFrequency = uniform(1)
         this.uniforms.sparklingDuration = uniform(0.01)
+        this.uniforms.seed = uniform(simulationDefaults.seed, 'uint')
+        this.uniforms.time = uniform(0)
+        this.uniforms.deltaTime = uniform(1 / 60)
+        this.uniforms.spawnBudget = uniform(0, 'uint') // Particles asked for this step, on top of the ones carried over
+        this.uniforms.activeCount = uniform(0, 'uint')
+        this.uniforms.useLifeRamps = uniform(0)
+        this.uniforms.trailWidth = uniform(0.02)
+        this.uniforms.trailWidthTaper = uniform(1)
+        this.uniforms.trailOpacityTaper = uniform(1)
+        this.uniforms.trailHead = uniform(0, 'uint')
+        this.uniforms.stretchFactor = uniform(0.5)
+        this.uniforms.angularVelocity = uniform(3)
+        this.uniforms.hiddenCount = uniform(0, 'uint') // First particles not drawn, like the bodies of a `PositionBasedSystem` shown as meshes
+
+        // Emitter shapes
+        // Each one exposes `uniforms` and `sample(random, origin, mixStrength)` returning world `position` and `normal` nodes
+        this.emitterShapes = {}
+        this.emitterShapes.point = new PointShape()
+        this.emitterShapes.box = new BoxShape()
+        this.emitterShapes.cone = new ConeShape()
+        this.emitterShapes.disc = new DiscShape()
+        this.emitterShapes.line = new LineShape()
+        this.emitterShapes.ring = new RingShape()
+        this.emitterShapes.hemisphere = new HemisphereShape()
+        this.uniforms.emitterRadius = this.emitterShapes.point.uniforms.radius
+
+        this.emitterType = 'point'
+        this.emitterMesh = null
+
+        // Force fields
+        // Applied in order, each one exposes `uniforms`, `apply(position, velocity, delta, time)` and `update()`
+        this.turbulenceField = new TurbulenceField()
+        this.uniforms.turbulenceStrength = this.turbulenceField.uniforms.strength
+        this.uniforms.turbulenceTimeFrequeny = this.turbulenceField.uniforms.timeFrequency
+        this.uniforms.turbulencePositionFrequeny = this.turbulenceField.uniforms.positionFrequency
+        this.forceFields = [ this.turbulenceField ]
+
+        // Colliders
+        // Each one exposes `uniforms` (with `bounce`, `friction` and `kill`), `getDistance(position)` and `update()`
+        this.colliders = []
+
+        // Solvers
+        // Behaviors needing passes over all the particles, like `physics/BoidsSystem.js`, run in order so that
+        // a `physics/SpatialHashGrid.js` sorts the particles before the solvers querying it
+        // Each one exposes `uniforms`, `build(system, previousParticles)` creating its passes over the system's buffers, the `computeNodes` dispatched
+        // before the update kernel, `apply(position, velocity, delta, time)` called in the update kernel, `update()` and `dispose()`,
+        // and optionally `postUpdateComputeNodes` dispatched after the update kernel
+        this.solvers = []
+
+        // Simulation
+        // 'free' moves every particle on its own
+        // 'sph' runs the `sph` fluid solver first, so that the particles push, drag and hold each other
+        // 'physarum' runs the `physarum` solver first, making the particles agents following and depositing trails
+        this.sph = new SphSystem()
+        this.physarum = new PhysarumSystem()
+        this.simulationMode = 'free'
+
+        // Life ramps
+        // Used instead of `colorIn`/`colorOut` and the fade in/out when `useLifeRamps` is 1, call `lifeRamps.bake()` after editing
+        this.lifeRamps = new LifeRamps()
+
+        // Timeline
+        // Keyframes for the uniforms (paths starting with 'system.') and any other `timeline.targets`, like an emitter object
+        // Advanced by the caller with `timeline.update(deltaTime)` before updating the system
+        this.timeline = new Timeline({ system: this })
+
+        // Preset transition
+        // Started by `transitionToPreset()` and advanced by `prepare()`
+        this.presetTransition = null
+
+        // Cache playback
+        // Replaces the simulation while set, see `playCache()`
+        this.cachePlayer = null
+
+        // Sub-emitters
+        // `subEmitters` spawn particles of child systems on the events of this one's particles
+        // `subEmitterSource` is the one spawning this system's particles when it's a child
+        this.subEmitters = []
+        this.subEmitterSource = null
+
+        // Sprite sheet
+        // Textures the billboards when `spriteTexture` is set, frame settings are in `spriteSheet.uniforms`
+        this.spriteSheet = new SpriteSheet()
+        this.spriteTexture = null
 
         this.initialize()
     }
 
-    initialize()
+    /**
+     * @param {Object} [previousParticles] - `positionBuffer`, `velocityBuffer`, `lifeBuffer` and `count` of the particles to carry over,
+     *                                        with the `emissionStateBuffer` of their spawn window
+     */
+    initialize(previousParticles = null)
     {
-        // Material
-        this.material = new SpriteNodeMaterial({ transparent: true, blending: THREE.AdditiveBlending, depthWrite: false })
-
         // Buffers
         this.positionBuffer = storage(new StorageInstancedBufferAttribute(this.count, 3), 'vec3', this.count).setPBO(true)
         this.velocityBuffer = storage(new StorageInstancedBufferAttribute(this.count, 3), 'vec3', this.count).setPBO(true)
         this.lifeBuffer = storage(new StorageInstancedBufferAttribute(this.count, 1), 'float', this.count).setPBO(true)
 
-        // Varyings
-        const sparkling = varying(0)
+        // Trail history, a ring of `trailLength` positions per particle with the newest one at `trailHead`
+        const trailLength = this.trailLength
+        const trailCount = this.renderMode === 'trail' ? this.count * trailLength : 1
+        this.trailBuffer = storage(new StorageBufferAttribute(trailCount, 3), 'vec3', trailCount)
+
+        // Angular velocity (axis scaled by the speed in radians per second) of spinning mesh particles
+        const isSpinning = this.renderMode === 'mesh' && this.meshOrientation === 'spin'
+        const angularVelocityCount = isSpinning ? this.count : 1
+        this.angularVelocityBuffer = storage(new StorageInstancedBufferAttribute(angularVelocityCount, 3), 'vec3', angularVelocityCount)
+
+        // Color of the parent particle of sub-emitted particles inheriting it
+        const inheritsColor = this.subEmitterSource?.inheritColor ?? false
+        const inheritedColorCount = inheritsColor ? this.count : 1
+        this.inheritedColorBuffer = storage(new StorageInstancedBufferAttribute(inheritedColorCount, 3), 'vec3', inheritedColorCount)
+
+        // Spawn window as start, budget and slots of it that held a living particle, carried over to the next step's budget
+        this.emissionStateBuffer = storage(new StorageBufferAttribute(new Uint32Array(3), 1), 'uint', 3).toAtomic()
+
+        // Solvers passes
+        for(const solver of this.solvers)
+            solver.build(this, previousParticles)
 
         // Compute init
         const particlesInit = Fn(() =>
         {
-            // Position
             const position = this.positionBuffer.element(instanceIndex)
-            position.assign(vec3(99999)) // Not in view at first
-
-            // Life
+            const velocity = this.velocityBuffer.element(instanceIndex)
             const life = this.lifeBuffer.element(instanceIndex)
-            life.assign(hash(instanceIndex))
+
+            const initializeParticle = () =>
+            {
+                // Position
+                position.assign(vec3(99999)) // Not in view at first
+
+                // Life (a life of 1 means dead, waiting to be emitted)
+                if(this.emissionMode === 'continuous')
+                    life.assign(seededHash(instanceIndex, this.uniforms.seed, randomSalts.life))
+                else
+                    life.assign(1)
+            }
+
+            // Carried over particles keep going as if nothing was rebuilt
+            if(previousParticles)
+            {
+                If(instanceIndex.lessThan(uint(previousParticles.count)), () =>
+                {
+                    position.assign(previousParticles.positionBuffer.element(instanceIndex))
+                    velocity.assign(previousParticles.velocityBuffer.element(instanceIndex))
+                    life.assign(previousParticles.lifeBuffer.element(instanceIndex))
+                })
+                .Else(initializeParticle)
+
+                // Spawn window picked up where it was
+                If(instanceIndex.equal(0), () =>
+                {
+                    for(let i = 0; i < 3; i++)
+                        atomicStore(this.emissionStateBuffer.element(i), atomicLoad(previousParticles.emissionStateBuffer.element(i)))
+                })
+            }
+            else
+            {
+                initializeParticle()
+            }
+
+            // Trail
+            if(this.renderMode === 'trail')
+            {
+                Loop(trailLength, ({ i }) =>
+                {
+                    this.trailBuffer.element(instanceIndex.mul(trailLength).add(i)).assign(position)
+                })
+            }
         })
         this.particlesInitCompute = particlesInit().compute(this.count)
         this.renderer.computeAsync(this.particlesInitCompute)
@@ -85,78 +272,303 @@ export default class
             const velocity = this.velocityBuffer.element(instanceIndex)
             const life = this.lifeBuffer.element(instanceIndex)
 
-            const delta = deltaTime
-            const currentTime = time
+            const delta = this.uniforms.deltaTime
+            const currentTime = this.uniforms.time
+            const isDead = life.greaterThanEqual(1).toVar()
+            const killed = bool(false).toVar()
+            const impactSpeed = float(0).toVar() // Fastest speed into a surface this step, 0 without collision
+            const trailReset = bool(false).toVar()
+
+            If(isDead.not(), () =>
+            {
+                // Solvers
+                for(const solver of this.solvers)
+                    solver.apply(position, velocity, delta, currentTime)
 
-            // Turbulence
-            const turbulenceInput = position.mul(this.uniforms.turbulencePositionFrequeny).add(12.34)
-            // Split the parameters to avoid "lessThan() parameter length exceeds limit" error
-            const turbulenceTimeParam = currentTime.mul(this.uniforms.turbulenceTimeFrequeny)
-            const turbulence = curlNoise4d(vec4(turbulenceInput, turbulenceTimeParam)).mul(this.uniforms.turbulenceStrength)
+                // Force fields
+                for(const forceField of this.forceFields)
+                    forceField.apply(position, velocity, delta, currentTime)
 
-            // Update velocity
-            velocity.addAssign(turbulence)
-            velocity.addAssign(this.uniforms.gravity.mul(delta))
-            velocity.mulAssign(this.uniforms.velocityDamping.oneMinus())
+                // Update velocity
+                velocity.addAssign(this.uniforms.gravity.mul(delta))
+                velocity.mulAssign(this.uniforms.velocityDamping.oneMinus())
 
-            // Update position
-            position.addAssign(velocity.mul(delta))
+                // Update position
+                position.addAssign(velocity.mul(delta))
 
-            // Floor bounce
-            If(position.y.lessThan(this.uniforms.floorY), () =>
-            {
-                position.y.assign(this.uniforms.floorY)
-                velocity.y.mulAssign(this.uniforms.floorDamping.oneMinus().negate())
+                // Floor bounce
+                If(position.y.lessThan(this.uniforms.floorY), () =>
+                {
+                    impactSpeed.assign(max(impactSpeed, velocity.y.negate()))
+                    position.y.assign(this.uniforms.floorY)
+                    velocity.y.mulAssign(this.uniforms.floorDamping.oneMinus().negate())
+                })
+
+                // Colliders
+                for(const collider of this.colliders)
+                    resolveCollision(collider, position, velocity, killed, impactSpeed)
             })
 
             // Life
-            const newLife = life.add(delta.mul(this.uniforms.decayFrequency))
+            const newLife = select(isDead.or(killed), float(1), life.add(delta.mul(this.uniforms.decayFrequency))).toVar()
 
-            // Reset
-            If(newLife.greaterThan(1), () =>
+            // Sub-emitters events, before the particle respawns
+            for(const subEmitter of this.subEmitters)
             {
-                const randomDirection = vec3(
-                    hash(instanceIndex.add(uint(Math.random() * 0xffffff))).sub(0.5),
-                    hash(instanceIndex.add(uint(Math.random() * 0xffffff))).sub(0.5),
-                    hash(instanceIndex.add(uint(Math.random() * 0xffffff))).sub(0.5)
-                ).normalize()
+                let isEvent = null
 
-                const mixStrength = hash(instanceIndex.add(uint(Math.random() * 0xffffff)))
-                // const mixStrength = 0
+                if(subEmitter.trigger === 'death')
+                {
+                    isEvent = isDead.not().and(newLife.greaterThanEqual(1))
+                }
+                else if(subEmitter.trigger === 'collision')
+                {
+                    // Particles resting on a surface sink into it a little every step, which isn't an impact
+                    isEvent = impactSpeed.greaterThan(subEmitter.uniforms.minImpactSpeed)
+                }
+                else
+                {
+                    // Every time the age goes past a multiple of the period
+                    const decayFrequency = max(this.uniforms.decayFrequency, 0.00001)
+                    const previousEvents = floor(life.div(decayFrequency).mul(subEmitter.uniforms.rate))
+                    const events = floor(newLife.div(decayFrequency).mul(subEmitter.uniforms.rate))
+                    isEvent = isDead.not().and(events.greaterThan(previousEvents))
+                }
 
-                // Position
-                const newPosition = mix(this.uniforms.emitterPosition, this.uniforms.emitterPreviousPosition, mixStrength)
-                newPosition.addAssign(randomDirection.mul(this.uniforms.emitterRadius))
-                position.assign(newPosition)
-
-                // Velocity
-                const newVelocity = mix(this.uniforms.emitterVelocity, this.uniforms.emitterPreviousVelocity, mixStrength)
-                // Break complex expression into multiple steps
-                const velocityPart1 = newVelocity.mul(this.uniforms.emitterVelocityStrength)
-                const velocityPart2 = randomDirection.mul(this.uniforms.initialRandomVelocity)
-                const velocitySum = velocityPart1.add(velocityPart2)
-                velocity.assign(velocitySum.add(this.uniforms.initialVelocity))
+                If(isEvent, () =>
+                {
+                    const eventColor = subEmitter.inheritColor ? this.getLifeNodes(life).color : vec3(1)
+                    subEmitter.emit(position, velocity, eventColor)
+                })
+            }
+
+            // Reset (only the particles of the spawn window, which starts after the previous one and wraps around the active ones)
+            // Particles die in the order they were spawned so the window mostly finds dead ones, and unlike a shared counter it doesn't depend on the threads order
+            const activeCount = this.uniforms.activeCount
+            let canSpawn = instanceIndex.lessThan(activeCount)
+
+            if(this.emissionMode !== 'continuous')
+            {
+                const spawnStart = atomicLoad(this.emissionStateBuffer.element(0))
+                const spawnBudget = atomicLoad(this.emissionStateBuffer.element(1))
+                const windowIndex = instanceIndex.add(activeCount).sub(spawnStart).mod(max(activeCount, uint(1)))
+                canSpawn = canSpawn.and(windowIndex.lessThan(spawnBudget)).toVar()
+
+                // Slots still in use are spawned by the next window instead
+                If(canSpawn.and(newLife.lessThan(1)), () =>
+                {
+                    atomicAdd(this.emissionStateBuffer.element(2), uint(1))
+                })
+            }
+
+            If(newLife.greaterThanEqual(1), () =>
+            {
+
+                // From `origin`, with `baseVelocity` added to the velocity
+                const spawn = (origin, baseVelocity, mixStrength) =>
+                {
+                    const randomDirection = vec3(
+                        seededHash(instanceIndex, this.uniforms.seed, randomSalts.directionX).sub(0.5),
+                        seededHash(instanceIndex, this.uniforms.seed, randomSalts.directionY).sub(0.5),
+                        seededHash(instanceIndex, this.uniforms.seed, randomSalts.directionZ).sub(0.5)
+                    ).normalize()
+
+                    // Position
+                    let emitterShapeSalt = randomSalts.emitterShape
+                    const random = () => seededHash(instanceIndex, this.uniforms.seed, emitterShapeSalt++)
+                    const emitterShape = this.emitterShapes[this.emitterType] ?? this.emitterShapes.point
+                    const sample = emitterShape.sample(random, origin, mixStrength)
+                    const normal = sample.normal.toVar()
+                    position.assign(sample.position)
+
+                    // Velocity
+                    // Break complex expression into multiple steps
+                    const velocityPart1 = randomDirection.mul(this.uniforms.initialRandomVelocity)
+                    const velocityPart2 = normal.mul(this.uniforms.emitterNormalVelocity)
+                    const velocitySum = baseVelocity.add(velocityPart1).add(velocityPart2)
+                    velocity.assign(velocitySum.add(this.uniforms.initialVelocity))
+
+                    // Angular velocity
+                    if(isSpinning)
+                    {
+                        const angularVelocity = this.angularVelocityBuffer.element(instanceIndex)
+                        angularVelocity.assign(sampleDirection(random(), random()).mul(this.uniforms.angularVelocity).mul(random()))
+                    }
+
+                    trailReset.assign(true)
+                }
+
+                const die = () =>
+                {
+                    position.assign(vec3(99999))
+                    velocity.assign(vec3(0))
+                    life.assign(1)
+                    trailReset.assign(isDead.not())
+                }
+
+                const mixStrength = seededHash(instanceIndex, this.uniforms.seed, randomSalts.mixStrength)
+
+                If(canSpawn, () =>
+                {
+                    // From the emitter
+                    const origin = mix(this.uniforms.emitterPosition, this.uniforms.emitterPreviousPosition, mixStrength)
+                    const emitterVelocity = mix(this.uniforms.emitterVelocity, this.uniforms.emitterPreviousVelocity, mixStrength)
+                    spawn(origin, emitterVelocity.mul(this.uniforms.emitterVelocityStrength), mixStrength)
+
+                    // Wrapping particles keep their phase, revived ones start fresh
+                    life.assign(select(isDead, float(0), newLife.fract()))
+                })
+                .Else(() =>
+                {
+                    if(!this.subEmitterSource)
+                    {
+                        die()
+                        return
+                    }
+
+                    // From an event of the parent, if any left
+                    const subEmitterSource = this.subEmitterSource
+                    const eventIndex = uint(0).toVar()
+
+                    If(instanceIndex.lessThan(activeCount), () =>
+                    {
+                        eventIndex.assign(subEmitterSource.claim())
+                    })
+                    .Else(() =>
+                    {
+                        eventIndex.assign(uint(subEmitterSource.maxEvents))
+                    })
+
+                    If(eventIndex.lessThan(subEmitterSource.getEventCount()), () =>
+                    {
+                        const event = subEmitterSource.getEvent(eventIndex)
+                        spawn(event.position, event.velocity.mul(subEmitterSource.uniforms.inheritVelocity), mixStrength)
+                        life.assign(0)
+
+                        if(inheritsColor)
+                            this.inheritedColorBuffer.element(instanceIndex).assign(event.color)
+                    })
+                    .Else(die)
+                })
+            })
+            .Else(() =>
+            {
+                life.assign(newLife)
             })
 
-            life.assign(newLife.mod(1))
+            // Trail (collapsed on the new position when the particle respawns or dies so no streak connects both)
+            if(this.renderMode === 'trail')
+            {
+                const trailStart = instanceIndex.mul(trailLength)
+
+                If(trailReset, () =>
+                {
+                    Loop(trailLength, ({ i }) =>
+                    {
+                        this.trailBuffer.element(trailStart.add(i)).assign(position)
+                    })
+                })
+                .Else(() =>
+                {
+                    this.trailBuffer.element(trailStart.add(this.uniforms.trailHead)).assign(position)
+                })
+            }
         })
         this.particlesUpdateCompute = particlesUpdate().compute(this.count)
 
+        // Next spawn window, after the previous one and with the slots it couldn't use added to the budget
+        const emissionPrepare = Fn(() =>
+        {
+            const state = this.emissionStateBuffer
+            const activeCount = this.uniforms.activeCount
+            const previousEnd = atomicLoad(state.element(0)).add(atomicLoad(state.element(1)))
+            const budget = min(this.uniforms.spawnBudget.add(atomicLoad(state.element(2))), activeCount)
+
+            atomicStore(state.element(0), previousEnd.mod(max(activeCount, uint(1))))
+            atomicStore(state.element(1), budget)
+            atomicStore(state.element(2), uint(0))
+        })
+        this.emissionPrepareCompute = emissionPrepare().compute(1)
+
+        const emissionReset = Fn(() =>
+        {
+            for(let i = 0; i < 3; i++)
+                atomicStore(this.emissionStateBuffer.element(i), uint(0))
+        })
+        this.emissionResetCompute = emissionReset().compute(1)
+
+        // Render
+        const lifeNodes = this.getLifeNodes()
+
+        if(inheritsColor)
+            lifeNodes.color = this.inheritedColorBuffer.toAttribute()
+
+        if(this.renderMode === 'trail')
+            this.initializeTrail(lifeNodes)
+        else if(this.renderMode === 'mesh')
+            this.initializeMesh(lifeNodes)
+        else
+            this.initializeBillboard(lifeNodes)
+
+        // Emission, only restarted on a fresh start so that a rebuild neither fires the bursts again nor drops pending particles
+        if(!previousParticles)
+            this.restartEmission()
+
+        // Update
+        this.initialized = true
+    }
+
+    /**
+     * Render nodes shared by the render modes, following either the life ramps or `colorIn`/`colorOut` and the fade in/out.
+     */
+    getLifeNodes(life = this.lifeBuffer.toAttribute())
+    {
+        // Life ramps
+        const rampColor = this.lifeRamps.getColor(life)
+        const rampCurves = this.lifeRamps.getCurves(life)
+
         // Scale
-        const life = this.lifeBuffer.toAttribute()
         const scaleIn = life.remap(0, this.uniforms.fadeIn, 0, 1)
         const scaleOut = life.remap(this.uniforms.fadeOut.oneMinus(), 1, 1, 0)
         // Break down the complex scale calculation
         const scaleMinimum = min(scaleIn, scaleOut)
         const scaleSmoothed = scaleMinimum.smoothstep(0, 1)
-        const scaleSized = scaleSmoothed.mul(this.uniforms.size)
-        const scaleFinal = scaleSized.mul(range(0, 1))
-        this.material.scaleNode = scaleFinal
+        const scale = mix(scaleSmoothed, rampCurves.x, this.uniforms.useLifeRamps).mul(select(instanceIndex.lessThan(this.uniforms.hiddenCount), 0, 1))
+
+        // Color
+        const twoStopColor = mix(this.uniforms.colorIn, this.uniforms.colorOut, life)
+        const finalColor = mix(twoStopColor, rampColor.rgb.mul(rampCurves.z), this.uniforms.useLifeRamps)
+        const rampAlpha = rampColor.a.mul(rampCurves.y)
+        const alpha = mix(1, rampAlpha, this.uniforms.useLifeRamps)
+
+        return { life, scale, color: finalColor, alpha }
+    }
+
+    initializeBillboard({ life, scale, color, alpha })
+    {
+        const isStretched = this.renderMode === 'stretched'
+
+        // Material
+        if(isStretched)
+            this.material = new MeshBasicNodeMaterial({ transparent: true, blending: THREE.AdditiveBlending, depthWrite: false, side: THREE.DoubleSide })
+        else
+            this.material = new SpriteNodeMaterial({ transparent: true, blending: THREE.AdditiveBlending, depthWrite: false })
+
+        // Varyings
+        const sparkling = varying(0)
+        const spriteRandom = varying(seededHash(instanceIndex, this.uniforms.seed, randomSalts.sprite))
+
+        // Scale
+        const scaleSized = scale.mul(this.uniforms.size)
+        const scaleFinal = scaleSized.mul(seededHash(instanceIndex, this.uniforms.seed, randomSalts.size))
+
+        if(!isStretched)
+            this.material.scaleNode = scaleFinal
 
         // Position
         this.material.positionNode = Fn(() =>
         {
-            const sparklingTime = hash(instanceIndex.add(uint(Math.random() * 0xffffff)))
+            const sparklingTime = seededHash(instanceIndex, this.uniforms.seed, randomSalts.sparkling)
 
             const sparklingLife = life.mul(this.uniforms.sparklingFrequency).mod(1)
             
@@ -167,7 +579,20 @@ export default class
             const isLessThanTime = sparklingLife.lessThan(sparklingTime)
             
             sparkling.assign(select(isLessThanTime.and(isGreaterThanThreshold), 1, 0))
-            return this.positionBuffer.toAttribute()
+
+            if(!isStretched)
+                return this.positionBuffer.toAttribute()
+
+            // Stretched along the velocity in view space (up when not moving)
+            const center = cameraViewMatrix.mul(vec4(this.positionBuffer.toAttribute(), 1)).xyz
+            const viewVelocity = cameraViewMatrix.mul(vec4(this.velocityBuffer.toAttribute(), 0)).xy
+            const speed = viewVelocity.length()
+            const direction = select(speed.greaterThan(0.00001), viewVelocity.div(speed), vec2(0, 1)).toVar()
+            const side = vec2(direction.y.negate(), direction.x)
+            const stretch = speed.mul(this.uniforms.stretchFactor).add(1)
+
+            const offset = side.mul(positionGeometry.x).add(direction.mul(positionGeometry.y).mul(stretch)).mul(scaleFinal)
+            return cameraWorldMatrix.mul(vec4(center.add(vec3(offset, 0)), 1)).xyz
         })()
 
         // Color
@@ -182,21 +607,122 @@ export default class
             
             // Break down complex expressions
             const alphaMixed = max(alphaGlow, alphaSolid)
-            const alphaFinal = alphaMixed.mul(this.uniforms.opacity)
+            const alphaFinal = alphaMixed.mul(this.uniforms.opacity).toVar()
+            const colorFinal = vec3(color).toVar()
+
+            // Sprite sheet frame instead of the procedural shape, optionally masked by it
+            if(this.spriteTexture)
+            {
+                const age = life.div(max(this.uniforms.decayFrequency, 0.00001))
+                const sprite = this.spriteSheet.sample(uv(), life, age, spriteRandom)
+                alphaFinal.assign(sprite.a.mul(mix(1, alphaMixed, this.spriteSheet.uniforms.glowMix)).mul(this.uniforms.opacity))
+                colorFinal.mulAssign(sprite.rgb)
+            }
 
             const sparklingEffect = sparkling.mul(this.uniforms.sparklingAlpha).add(1)
             alphaFinal.mulAssign(sparklingEffect)
+            alphaFinal.mulAssign(alpha)
 
-            const finalColor = mix(this.uniforms.colorIn, this.uniforms.colorOut, life)
-            return vec4(finalColor, alphaFinal)
+            return vec4(colorFinal, alphaFinal)
         })()
 
         // Mesh
         this.geometry = new THREE.PlaneGeometry(1, 1)
         this.mesh = new THREE.InstancedMesh(this.geometry, this.material, this.count)
+    }
 
-        // Update
-        this.initialized = true
+    initializeMesh({ life, scale, color })
+    {
+        // Material (lit by the scene)
+        this.material = new MeshStandardNodeMaterial({ roughness: 0.5, metalness: 0 })
+
+        // Position
+        this.material.positionNode = Fn(() =>
+        {
+            // Orientation
+            let rotation = null
+
+            if(this.meshOrientation === 'spin')
+            {
+                // Random start angle then the spin accumulated since the particle was born
+                const angularVelocity = this.angularVelocityBuffer.toAttribute()
+                const angularSpeed = angularVelocity.length()
+                const axis = select(angularSpeed.greaterThan(0.00001), angularVelocity.div(angularSpeed), vec3(0, 1, 0))
+                const age = life.div(max(this.uniforms.decayFrequency, 0.00001))
+                const angle = seededHash(instanceIndex, this.uniforms.seed, randomSalts.spinAngle).mul(Math.PI * 2).add(angularSpeed.mul(age))
+                rotation = axisAngleRotation(axis, angle).toVar()
+            }
+            else
+            {
+                // Local Z along the velocity
+                const velocity = this.velocityBuffer.toAttribute()
+                rotation = orthonormalBasis(select(velocity.length().greaterThan(0.00001), velocity, vec3(0, 0, 1))).toVar()
+            }
+
+            normalLocal.assign(rotation.mul(normalLocal))
+
+            // Scale
+            const scaleFinal = scale.mul(this.uniforms.size).mul(seededHash(instanceIndex, this.uniforms.seed, randomSalts.size))
+
+            return rotation.mul(positionGeometry.mul(scaleFinal)).add(this.positionBuffer.toAttribute())
+        })()
+
+        // Color
+        this.material.colorNode = color
+
+        // Mesh (own copy of the geometry since it gets disposed with the system)
+        this.geometry = this.meshGeometry.clone()
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, this.count)
+    }
+
+    initializeTrail({ scale, color, alpha })
+    {
+        // Material
+        this.material = new MeshBasicNodeMaterial({ transparent: true, blending: THREE.AdditiveBlending, depthWrite: false, side: THREE.DoubleSide })
+
+        // Trail age goes from 0 at the particle to 1 at the end of the ribbon
+        const trailLength = this.trailLength
+        const age = uv().x
+
+        const getTrailPosition = (segment) =>
+        {
+            const ringIndex = this.uniforms.trailHead.add(trailLength).sub(segment).mod(trailLength)
+            return this.trailBuffer.element(instanceIndex.mul(trailLength).add(ringIndex))
+        }
+
+        // Position
+        this.material.positionNode = Fn(() =>
+        {
+            const segment = uint(age.mul(trailLength - 1).add(0.5)).toVar()
+            const position = getTrailPosition(segment).toVar()
+
+            // Direction from the older neighbour to the newer one
+            const newer = getTrailPosition(select(segment.greaterThan(uint(0)), segment.sub(1), segment))
+            const older = getTrailPosition(min(segment.add(1), uint(trailLength - 1)))
+            const tangent = newer.sub(older)
+
+            // Camera facing side
+            const side = tangent.cross(cameraPosition.sub(position)).toVar()
+            side.divAssign(max(side.length(), 0.00001))
+
+            // Width
+            const width = this.uniforms.trailWidth.mul(scale).mul(mix(1, age.oneMinus(), this.uniforms.trailWidthTaper))
+
+            return position.add(side.mul(width).mul(uv().y.sub(0.5)))
+        })()
+
+        // Color
+        this.material.colorNode = Fn(() =>
+        {
+            const alphaFinal = alpha.mul(this.uniforms.opacity).toVar()
+            alphaFinal.mulAssign(mix(1, age.oneMinus(), this.uniforms.trailOpacityTaper))
+
+            return vec4(color, alphaFinal)
+        })()
+
+        // Mesh (one ribbon per particle, segments along x)
+        this.geometry = new THREE.PlaneGeometry(1, 1, trailLength - 1, 1)
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, this.count)
     }
 
     get count()
@@ -207,12 +733,428 @@ export default class
     set count(value)
     {
         this._count = value
+        this.activeCount = value
+
+        this.rebuild()
+    }
+
+    get renderMode()
+    {
+        return this._renderMode
+    }
+
+    set renderMode(value)
+    {
+        this._renderMode = value
+
+        this.rebuild()
+    }
+
+    get trailLength()
+    {
+        return this._trailLength
+    }
+
+    set trailLength(value)
+    {
+        this._trailLength = Math.max(2, Math.round(value))
+
+        this.rebuild()
+    }
+
+    get spriteTexture()
+    {
+        return this.spriteSheet.texture
+    }
+
+    set spriteTexture(value)
+    {
+        this.spriteSheet.texture = value
+
+        this.rebuild()
+    }
+
+    get meshGeometry()
+    {
+        return this._meshGeometry
+    }
+
+    set meshGeometry(value)
+    {
+        this._meshGeometry = value
+
+        this.rebuild()
+    }
+
+    get meshOrientation()
+    {
+        return this._meshOrientation
+    }
 
-        if(this.initialized)
+    set meshOrientation(value)
+    {
+        this._meshOrientation = value
+
+        this.rebuild()
+    }
+
+    get emitterType()
+    {
+        return this._emitterType
+    }
+
+    set emitterType(value)
+    {
+        this._emitterType = value
+
+        this.rebuild()
+    }
+
+    get emitterMesh()
+    {
+        return this._emitterMesh
+    }
+
+    set emitterMesh(value)
+    {
+        // Shape first, so that a mesh without surface throws before anything changes
+        const shape = value ? new MeshShape(value) : null
+
+        this._emitterMesh = value
+
+        if(this.emitterShapes.mesh)
+            this.emitterShapes.mesh.dispose()
+
+        if(shape)
+            this.emitterShapes.mesh = shape
+        else
+            delete this.emitterShapes.mesh
+
+        this.rebuild()
+    }
+
+    get simulationMode()
+    {
+        return this._simulationMode
+    }
+
+    set simulationMode(value)
+    {
+        this._simulationMode = value
+
+        for(const [ mode, solver ] of [ [ 'sph', this.sph ], [ 'physarum', this.physarum ] ])
         {
-            this.dispose()
-            this.initialize()
+            const index = this.solvers.indexOf(solver)
+
+            if(value === mode && index === -1)
+            {
+                this.solvers.unshift(solver)
+            }
+            else if(value !== mode && index !== -1)
+            {
+                this.solvers.splice(index, 1)
+                solver.dispose()
+            }
         }
+
+        this.rebuild()
+    }
+
+    /**
+     * Noise of the turbulence field ('curl3d', 'curl4d' or 'fbm'), compiled in the update kernel.
+     */
+    get turbulenceNoise()
+    {
+        return this.turbulenceField.noise
+    }
+
+    set turbulenceNoise(value)
+    {
+        this.turbulenceField.noise = value
+
+        this.rebuild()
+    }
+
+    get emissionMode()
+    {
+        return this._emissionMode
+    }
+
+    set emissionMode(value)
+    {
+        this._emissionMode = value
+
+        this.rebuild()
+    }
+
+    emit(count)
+    {
+        this.pendingEmission += count
+    }
+
+    restartEmission()
+    {
+        this.emissionTime = 0
+        this.pendingEmission = 0
+
+        if(this.emissionResetCompute)
+            this.renderer.computeAsync(this.emissionResetCompute)
+    }
+
+    getBurstFirings(burst, time)
+    {
+        // Number of firings strictly before `time`
+        if(time <= burst.delay)
+            return 0
+
+        const totalFirings = (burst.repeat ?? 0) + 1
+
+        // Without an interval every firing happens at `delay`, a looping burst then only fires once
+        if(!(burst.interval > 0))
+            return Number.isFinite(totalFirings) ? totalFirings : 1
+
+        return Math.min(Math.ceil((time - burst.delay) / burst.interval), totalFirings)
+    }
+
+    updateEmission(deltaTime)
+    {
+        if(this.emissionMode === 'continuous')
+            return
+
+        const previousTime = this.emissionTime
+        this.emissionTime += deltaTime
+
+        // Rate
+        this.pendingEmission += this.emissionRate * deltaTime
+
+        // Bursts
+        for(const burst of this.bursts)
+        {
+            const firings = this.getBurstFirings(burst, this.emissionTime) - this.getBurstFirings(burst, previousTime)
+            this.pendingEmission += firings * burst.count
+        }
+
+        // Whole particles only, the fraction carries over to the next frame
+        // The window itself is placed on the GPU, which also carries over the slots that landed on living particles
+        const budget = Math.floor(this.pendingEmission)
+        this.pendingEmission -= budget
+        this.uniforms.spawnBudget.value = budget
+    }
+
+    /**
+     * Applies the blend of two presets, `weight` going from 0 (`from`) to 1 (`to`).
+     * Enough particles are allocated for both counts so that moving the weight doesn't rebuild.
+     */
+    blendPresets(from, to, weight)
+    {
+        applyPresetBlend(this, from, to, weight)
+    }
+
+    /**
+     * Blends from the current settings to `preset` over `duration` seconds.
+     * `easing` is a name from `utils/easings.js` or a function of the progress.
+     * Resolves once the transition completes or gets replaced by another one.
+     */
+    transitionToPreset(preset, duration = 1, easing = 'easeInOut')
+    {
+        // Throws before anything changes if the preset is invalid
+        // Both normalized once here rather than at every step of the transition
+        const to = normalizePreset(preset)
+        const from = normalizePreset(serializePreset(this))
+
+        if(this.presetTransition)
+            this.presetTransition.resolve()
+
+        return new Promise((resolve) =>
+        {
+            this.presetTransition = {
+                from,
+                to,
+                duration,
+                easing: typeof easing === 'function' ? easing : easings[easing],
+                time: 0,
+                resolve
+            }
+        })
+    }
+
+    updatePresetTransition(deltaTime)
+    {
+        const transition = this.presetTransition
+        transition.time += deltaTime
+
+        const progress = transition.duration > 0 ? Math.min(transition.time / transition.duration, 1) : 1
+        applyPresetBlend(this, transition.from, transition.to, transition.easing(progress), { normalized: true })
+
+        if(progress === 1)
+        {
+            this.presetTransition = null
+            transition.resolve()
+        }
+    }
+
+    /**
+     * Stops simulating and plays the recorded frames of a `ParticleCache` instead, resizing the system to the cache's count.
+     * Returns the `CachePlayer` holding the playback time, which `update()` advances.
+     */
+    playCache(cache)
+    {
+        this.stopCache()
+        this.cachePlayer = new CachePlayer(this, cache)
+
+        return this.cachePlayer
+    }
+
+    /**
+     * Back to simulating, from the particles of the last played frame.
+     */
+    stopCache()
+    {
+        if(!this.cachePlayer)
+            return
+
+        this.cachePlayer.dispose()
+        this.cachePlayer = null
+    }
+
+    /**
+     * Spawns particles of `subEmitter.child` on the events of this system's particles, see `subEmitters/SubEmitter.js`.
+     */
+    addSubEmitter(subEmitter)
+    {
+        if(subEmitter.child.subEmitterSource)
+            subEmitter.child.subEmitterSource.parent.removeSubEmitter(subEmitter.child.subEmitterSource)
+
+        subEmitter.parent = this
+        subEmitter.child.subEmitterSource = subEmitter
+        this.subEmitters.push(subEmitter)
+        subEmitter.rebuild()
+
+        return subEmitter
+    }
+
+    removeSubEmitter(subEmitter)
+    {
+        const index = this.subEmitters.indexOf(subEmitter)
+
+        if(index === -1)
+            return
+
+        this.subEmitters.splice(index, 1)
+        subEmitter.child.subEmitterSource = null
+        subEmitter.rebuild()
+        subEmitter.parent = null
+    }
+
+    addSolver(solver)
+    {
+        this.solvers.push(solver)
+        this.rebuild()
+
+        return solver
+    }
+
+    removeSolver(solver)
+    {
+        const index = this.solvers.indexOf(solver)
+
+        if(index === -1)
+            return
+
+        this.solvers.splice(index, 1)
+        solver.dispose()
+        this.rebuild()
+    }
+
+    addForceField(forceField, index = this.forceFields.length)
+    {
+        this.forceFields.splice(index, 0, forceField)
+        this.rebuild()
+
+        return forceField
+    }
+
+    removeForceField(forceField)
+    {
+        const index = this.forceFields.indexOf(forceField)
+
+        if(index === -1)
+            return
+
+        this.forceFields.splice(index, 1)
+        this.rebuild()
+    }
+
+    moveForceField(forceField, index)
+    {
+        const currentIndex = this.forceFields.indexOf(forceField)
+
+        if(currentIndex === -1)
+            return
+
+        this.forceFields.splice(currentIndex, 1)
+        this.forceFields.splice(Math.max(0, Math.min(index, this.forceFields.length)), 0, forceField)
+        this.rebuild()
+    }
+
+    addCollider(collider)
+    {
+        this.colliders.push(collider)
+        this.rebuild()
+
+        return collider
+    }
+
+    removeCollider(collider)
+    {
+        const index = this.colliders.indexOf(collider)
+
+        if(index === -1)
+            return
+
+        this.colliders.splice(index, 1)
+        this.rebuild()
+    }
+
+    /**
+     * Starts the simulation over from its initial state, with the time, the emission and the fixed step accumulator reset.
+     * From there the same seed, settings and steps always give the same buffers.
+     */
+    reset()
+    {
+        this.uniforms.time.value = 0
+        this.stepAccumulator = 0
+        this.uniforms.trailHead.value = 0
+        this.uniforms.emitterPosition.value.copy(this.emitterPosition)
+        this.uniforms.emitterPreviousPosition.value.copy(this.emitterPosition)
+        this.uniforms.emitterVelocity.value.set(0, 0, 0)
+        this.uniforms.emitterPreviousVelocity.value.set(0, 0, 0)
+
+        this.rebuild(false)
+    }
+
+    rebuild(keepParticles = true)
+    {
+        if(!this.initialized)
+            return
+
+        // Put the new mesh back where the previous one was
+        const parent = this.mesh.parent
+
+        // Disposing the nodes doesn't free their buffers, which are read one last time by the new init compute
+        const previousParticles = keepParticles ? {
+            positionBuffer: this.positionBuffer,
+            velocityBuffer: this.velocityBuffer,
+            lifeBuffer: this.lifeBuffer,
+            emissionStateBuffer: this.emissionStateBuffer,
+            count: this.positionBuffer.bufferCount
+        } : null
+
+        this.dispose()
+        this.initialize(previousParticles)
+
+        if(parent)
+            parent.add(this.mesh)
     }
 
     dispose()
@@ -221,23 +1163,118 @@ export default class
         this.positionBuffer.dispose()
         this.velocityBuffer.dispose()
         this.lifeBuffer.dispose()
+        this.trailBuffer.dispose()
+        this.angularVelocityBuffer.dispose()
+        this.inheritedColorBuffer.dispose()
+        this.emissionStateBuffer.dispose()
         this.particlesInitCompute.dispose()
         this.particlesUpdateCompute.dispose()
+        this.emissionPrepareCompute.dispose()
+        this.emissionResetCompute.dispose()
         this.mesh.removeFromParent()
+
+        for(const solver of this.solvers)
+            solver.dispose()
+    }
+
+    /**
+     * Compute nodes to dispatch every step, in order, between `prepare()` and `finish()`.
+     */
+    get computeNodes()
+    {
+        // Sub-emitters counters reset before the events get appended
+        return [
+            ...(this.emissionMode === 'continuous' ? [] : [ this.emissionPrepareCompute ]),
+            ...this.subEmitters.map((subEmitter) => subEmitter.countersResetCompute),
+            ...this.solvers.flatMap((solver) => solver.computeNodes),
+            this.particlesUpdateCompute,
+            ...this.solvers.flatMap((solver) => solver.postUpdateComputeNodes ?? [])
+        ]
+    }
+
+    /**
+     * Steps to simulate for a frame of `deltaTime` seconds, as `{ count, deltaTime }`.
+     * A single step of the frame's duration, or with `fixedTimeStep` as many fixed steps as the accumulated time holds,
+     * at most `maxSubSteps` (the time left over beyond that is dropped so that a slow frame doesn't snowball).
+     */
+    getSteps(deltaTime)
+    {
+        if(!this.fixedTimeStep)
+            return { count: 1, deltaTime }
+
+        this.stepAccumulator += deltaTime
+
+        const count = Math.min(Math.floor(this.stepAccumulator / this.fixedTimeStep), this.maxSubSteps)
+        this.stepAccumulator = count === this.maxSubSteps ? 0 : this.stepAccumulator - count * this.fixedTimeStep
+
+        return { count, deltaTime: this.fixedTimeStep }
     }
 
     update(deltaTime)
     {
+        if(this.cachePlayer)
+        {
+            this.cachePlayer.update(deltaTime)
+            return
+        }
+
+        const steps = this.getSteps(deltaTime)
+
+        for(let i = 0; i < steps.count; i++)
+        {
+            this.prepare(steps.deltaTime, steps.count - i)
+            this.renderer.computeAsync(this.computeNodes)
+            this.finish()
+        }
+    }
+
+    /**
+     * @param {number} deltaTime - Duration of the step
+     * @param {number} [remainingSteps] - Steps left in the frame including this one, so that the emitter moves along the frame
+     */
+    prepare(deltaTime, remainingSteps = 1)
+    {
+        // Preset transition
+        if(this.presetTransition)
+            this.updatePresetTransition(deltaTime)
+
+        // Time
+        this.uniforms.deltaTime.value = deltaTime
+        this.uniforms.time.value += deltaTime
+
+        // Update position
+        this.uniforms.emitterPosition.value.lerp(this.emitterPosition, 1 / remainingSteps)
+
         // Update velocity
-        const velocity = this.emitterPosition.clone().sub(this.uniforms.emitterPreviousPosition.value).divideScalar(deltaTime)
+        const velocity = this.uniforms.emitterPosition.value.clone().sub(this.uniforms.emitterPreviousPosition.value).divideScalar(deltaTime)
         this.uniforms.emitterVelocity.value.copy(velocity)
 
-        // Update position
-        this.uniforms.emitterPosition.value.copy(this.emitterPosition)
+        // Update mesh emitter transform
+        if(this.emitterShapes.mesh)
+            this.emitterShapes.mesh.update()
 
-        // Compute update
-        this.renderer.computeAsync(this.particlesUpdateCompute)
+        // Force fields transforms
+        for(const forceField of this.forceFields)
+            forceField.update()
+
+        // Colliders transforms
+        for(const collider of this.colliders)
+            collider.update()
 
+        // Solvers
+        for(const solver of this.solvers)
+            solver.update()
+
+        // Emission
+        this.uniforms.activeCount.value = Math.min(this.activeCount, this.count)
+        this.updateEmission(deltaTime)
+
+        // Trail ring advances one slot per step
+        this.uniforms.trailHead.value = (this.uniforms.trailHead.value + 1) % this.trailLength
+    }
+
+    finish()
+    {
         // Update previous values
         this.uniforms.emitterPreviousPosition.value.copy(this.uniforms.emitterPosition.value)
         this.uniforms.emitterPreviousVelocity.value.copy(this.uniforms.emitterVelocity.value)
@@ -0,0 +1,175 @@
+import { Fn, instanceIndex, vec3, Loop } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { StorageBufferAttribute } from 'three/webgpu'
+import * as THREE from 'three'
+
+/**
+ * Plays a `ParticleCache` back in the buffers of a `ParticlesSystem`, which renders it with its usual materials instead of simulating.
+ * Created by `ParticlesSystem.playCache()` and advanced by the system's update.
+ */
+export default class CachePlayer
+{
+    constructor(system, cache)
+    {
+        // Setup
+        this.system = system
+        this.cache = cache
+        this.loop = true
+        this.playing = true
+        this.time = 0
+
+        if(system.count !== cache.count)
+            system.count = cache.count
+
+        // Frame uploaded to the GPU, positions then velocities then lives
+        // Plain floats since vec3 storage attributes get repacked with padding on upload
+        const count = cache.count
+        this.frameAttribute = new StorageBufferAttribute(new Float32Array(count * 7), 1)
+        this.frameBuffer = storage(this.frameAttribute, 'float', count * 7)
+        this.frameIndex = -1
+
+        // Copy compute, rebuilt along the system's buffers
+        this.copyCompute = null
+        this.copyBuffer = null
+
+        this.apply()
+    }
+
+    get duration()
+    {
+        return this.cache.duration
+    }
+
+    play()
+    {
+        // Playing again from the end
+        if(!this.loop && this.time >= this.duration)
+            this.time = 0
+
+        this.playing = true
+    }
+
+    pause()
+    {
+        this.playing = false
+    }
+
+    stop()
+    {
+        this.playing = false
+        this.seek(0)
+    }
+
+    seek(time)
+    {
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration)
+        this.apply()
+    }
+
+    update(deltaTime)
+    {
+        if(this.playing)
+        {
+            this.time += deltaTime
+
+            if(this.time >= this.duration)
+            {
+                if(this.loop && this.duration > 0)
+                {
+                    this.time %= this.duration
+                }
+                else
+                {
+                    this.time = this.duration
+                    this.playing = false
+                }
+            }
+        }
+
+        // Also when paused, in case the system got rebuilt
+        this.apply()
+    }
+
+    /**
+     * Copies the frame at `time` to the system's buffers, if not already there.
+     */
+    apply()
+    {
+        const system = this.system
+        const frameIndex = this.cache.getFrameIndex(this.time)
+
+        if(this.copyBuffer !== system.positionBuffer)
+            this.build()
+        else if(frameIndex === this.frameIndex)
+            return
+
+        // Upload
+        if(frameIndex !== this.frameIndex)
+        {
+            const count = this.cache.count
+            const frame = this.cache.frames[frameIndex]
+            const array = this.frameAttribute.array
+
+            array.set(frame.position, 0)
+
+            // Still without velocity, born without life
+            if(frame.velocity)
+                array.set(frame.velocity, count * 3)
+            else
+                array.fill(0, count * 3, count * 6)
+
+            if(frame.life)
+                array.set(frame.life, count * 6)
+            else
+                array.fill(0, count * 6)
+
+            this.frameAttribute.needsUpdate = true
+            this.frameIndex = frameIndex
+        }
+
+        system.renderer.computeAsync(this.copyCompute)
+    }
+
+    build()
+    {
+        const system = this.system
+        const count = this.cache.count
+        const trailLength = system.trailLength
+
+        if(this.copyCompute)
+            this.copyCompute.dispose()
+
+        const copy = Fn(() =>
+        {
+            const readVec3 = (offset) =>
+            {
+                const index = instanceIndex.mul(3).add(offset)
+                return vec3(this.frameBuffer.element(index), this.frameBuffer.element(index.add(1)), this.frameBuffer.element(index.add(2)))
+            }
+
+            const position = readVec3(0).toVar()
+            system.positionBuffer.element(instanceIndex).assign(position)
+            system.velocityBuffer.element(instanceIndex).assign(readVec3(count * 3))
+            system.lifeBuffer.element(instanceIndex).assign(this.frameBuffer.element(instanceIndex.add(count * 6)))
+
+            // Recorded frames have no history, trails collapse on the particles
+            if(system.renderMode === 'trail')
+            {
+                Loop(trailLength, ({ i }) =>
+                {
+                    system.trailBuffer.element(instanceIndex.mul(trailLength).add(i)).assign(position)
+                })
+            }
+        })
+        this.copyCompute = copy().compute(count)
+        this.copyBuffer = system.positionBuffer
+    }
+
+    dispose()
+    {
+        this.frameBuffer.dispose()
+
+        if(this.copyCompute)
+            this.copyCompute.dispose()
+    }
+}
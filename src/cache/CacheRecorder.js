@@ -0,0 +1,82 @@
+import ParticleCache from './ParticleCache.js'
+
+export default class CacheRecorder
+{
+    /**
+     * @param {Function} step - Advances everything that moves by the given seconds, called once before each frame
+     */
+    constructor(renderer, system, step)
+    {
+        // Setup
+        this.renderer = renderer
+        this.system = system
+        this.step = step
+        this.recording = false
+    }
+
+    /**
+     * Steps the simulation at a fixed frame rate independent of the real time and reads the buffers back after every step.
+     * Resolves to the `ParticleCache`, or null if cancelled through `signal`.
+     */
+    async record({ fps = 30, duration = 5, attributes = [ 'position', 'velocity', 'life' ], onProgress = null, signal = null } = {})
+    {
+        if(this.recording)
+            throw new Error('A cache is already being recorded')
+
+        this.recording = true
+        const cache = new ParticleCache(this.system.count, fps, attributes)
+        const frameCount = Math.max(1, Math.round(duration * fps))
+
+        try
+        {
+            for(let i = 0; i < frameCount; i++)
+            {
+                if(signal?.aborted)
+                    return null
+
+                this.step(1 / fps)
+                cache.addFrame(await this.read(cache))
+
+                if(onProgress)
+                    onProgress((i + 1) / frameCount)
+            }
+
+            return cache
+        }
+        finally
+        {
+            this.recording = false
+        }
+    }
+
+    /**
+     * Current buffers of the system as a cache frame.
+     */
+    async read(cache)
+    {
+        const frame = {}
+
+        for(const attribute of cache.attributes)
+        {
+            const bufferNode = this.system[`${attribute.name}Buffer`]
+            const array = new Float32Array(await this.renderer.getArrayBufferAsync(bufferNode.value))
+
+            // vec3 storage buffers are padded to 4 floats on the GPU
+            const stride = array.length / cache.count
+
+            if(stride === attribute.itemSize)
+            {
+                frame[attribute.name] = array
+            }
+            else
+            {
+                frame[attribute.name] = new Float32Array(cache.count * attribute.itemSize)
+
+                for(let i = 0; i < cache.count; i++)
+                    frame[attribute.name].set(array.subarray(i * stride, i * stride + attribute.itemSize), i * attribute.itemSize)
+            }
+        }
+
+        return frame
+    }
+}
@@ -0,0 +1,256 @@
+const magic = 'PTCL'
+const version = 1
+
+const isCount = (value) => Number.isInteger(value) && value >= 0
+
+/**
+ * Recorded particle buffers, one frame per `1 / fps` seconds.
+ *
+ * Binary layout (little endian):
+ * - 'PTCL' magic
+ * - uint32 byte length of the header
+ * - JSON header `{ version, count, fps, frameCount, attributes: [ { name, itemSize } ] }`, padded with spaces to 4 bytes
+ * - the frames one after the other, each one holding every attribute in header order as `count * itemSize` float32
+ */
+export default class ParticleCache
+{
+    /**
+     * @param {string[]} [attributeNames] - Among 'position', 'velocity' and 'life', 'position' being required
+     */
+    constructor(count, fps = 30, attributeNames = [ 'position', 'velocity', 'life' ])
+    {
+        if(!attributeNames.includes('position'))
+            throw new Error('A particle cache needs the position attribute')
+
+        for(const name of attributeNames)
+        {
+            if(!(name in ParticleCache.itemSizes))
+                throw new Error(`Unknown particle cache attribute ${name}`)
+        }
+
+        // Setup
+        this.count = count
+        this.fps = fps
+        this.attributes = attributeNames.map((name) => ({ name, itemSize: ParticleCache.itemSizes[name] }))
+
+        // Frames
+        // Objects of Float32Arrays by attribute name
+        this.frames = []
+    }
+
+    get frameCount()
+    {
+        return this.frames.length
+    }
+
+    get duration()
+    {
+        return this.frames.length / this.fps
+    }
+
+    hasAttribute(name)
+    {
+        return this.attributes.some((attribute) => attribute.name === name)
+    }
+
+    addFrame(frame)
+    {
+        const _frame = {}
+
+        for(const attribute of this.attributes)
+        {
+            const array = frame[attribute.name]
+
+            if(!array || array.length !== this.count * attribute.itemSize)
+                throw new Error(`Frame ${this.frames.length} has no ${attribute.name} for ${this.count} particles`)
+
+            _frame[attribute.name] = array
+        }
+
+        this.frames.push(_frame)
+
+        return _frame
+    }
+
+    /**
+     * Frame shown at `time` (in seconds), held on the first and last ones.
+     */
+    getFrameIndex(time)
+    {
+        // Epsilon so that a time computed from the frame index doesn't round down to the previous one
+        const index = Math.floor(time * this.fps + 0.0001)
+
+        return Math.min(Math.max(index, 0), this.frames.length - 1)
+    }
+
+    toArrayBuffer()
+    {
+        // Header
+        const header = {
+            version,
+            count: this.count,
+            fps: this.fps,
+            frameCount: this.frames.length,
+            attributes: this.attributes
+        }
+        let json = JSON.stringify(header)
+        json += ' '.repeat((4 - (new TextEncoder().encode(json).length % 4)) % 4)
+        const headerBytes = new TextEncoder().encode(json)
+
+        // Frames
+        const frameLength = this.attributes.reduce((total, attribute) => total + this.count * attribute.itemSize, 0)
+        const buffer = new ArrayBuffer(8 + headerBytes.length + frameLength * this.frames.length * 4)
+        const view = new DataView(buffer)
+
+        for(let i = 0; i < 4; i++)
+            view.setUint8(i, magic.charCodeAt(i))
+
+        view.setUint32(4, headerBytes.length, true)
+        new Uint8Array(buffer, 8, headerBytes.length).set(headerBytes)
+
+        const floats = new Float32Array(buffer, 8 + headerBytes.length)
+        let offset = 0
+
+        for(const frame of this.frames)
+        {
+            for(const attribute of this.attributes)
+            {
+                floats.set(frame[attribute.name], offset)
+                offset += frame[attribute.name].length
+            }
+        }
+
+        return buffer
+    }
+
+    /**
+     * Binary little endian PLY point cloud of the living particles of a frame, with the velocity and the life when recorded.
+     */
+    toPly(frameIndex)
+    {
+        const frame = this.frames[frameIndex]
+
+        if(!frame)
+            throw new Error(`The cache has no frame ${frameIndex}`)
+
+        // Dead particles wait far away with a life of 1
+        const alive = []
+
+        for(let i = 0; i < this.count; i++)
+        {
+            if(frame.life ? frame.life[i] < 1 : frame.position[i * 3] < 99999)
+                alive.push(i)
+        }
+
+        // Header
+        const properties = [ 'x', 'y', 'z' ]
+
+        if(frame.velocity)
+            properties.push('vx', 'vy', 'vz')
+        if(frame.life)
+            properties.push('life')
+
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            `comment frame ${frameIndex} at ${this.fps} fps`,
+            `element vertex ${alive.length}`,
+            ...properties.map((property) => `property float ${property}`),
+            'end_header',
+            ''
+        ].join('\n')
+        const headerBytes = new TextEncoder().encode(header)
+
+        // Vertices
+        const buffer = new ArrayBuffer(headerBytes.length + alive.length * properties.length * 4)
+        new Uint8Array(buffer).set(headerBytes)
+
+        const view = new DataView(buffer, headerBytes.length)
+        let offset = 0
+        const write = (value) =>
+        {
+            view.setFloat32(offset, value, true)
+            offset += 4
+        }
+
+        for(const i of alive)
+        {
+            for(let k = 0; k < 3; k++)
+                write(frame.position[i * 3 + k])
+
+            if(frame.velocity)
+            {
+                for(let k = 0; k < 3; k++)
+                    write(frame.velocity[i * 3 + k])
+            }
+
+            if(frame.life)
+                write(frame.life[i])
+        }
+
+        return buffer
+    }
+
+    static fromArrayBuffer(buffer)
+    {
+        const view = new DataView(buffer)
+
+        if(buffer.byteLength < 8 || String.fromCharCode(...new Uint8Array(buffer, 0, 4)) !== magic)
+            throw new Error('Not a particle cache')
+
+        // Header, padded so that the frames are aligned for their float32 views
+        const headerLength = view.getUint32(4, true)
+
+        if(headerLength > buffer.byteLength - 8 || headerLength % 4 !== 0)
+            throw new Error(`Not a particle cache, invalid header length of ${headerLength} bytes`)
+
+        let header = null
+
+        try
+        {
+            header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)))
+        }
+        catch(error)
+        {
+            throw new Error('Not a particle cache, the header is not JSON')
+        }
+
+        if(!isCount(header?.count) || !(Number.isFinite(header.fps) && header.fps > 0) || !isCount(header.frameCount) || !Array.isArray(header.attributes))
+            throw new Error('Not a particle cache, expected a header { version, count, fps, frameCount, attributes }')
+
+        for(const attribute of header.attributes)
+        {
+            if(typeof attribute?.name !== 'string' || attribute.itemSize !== ParticleCache.itemSizes[attribute.name])
+                throw new Error(`Invalid particle cache attribute ${JSON.stringify(attribute)}`)
+        }
+
+        if(header.version > version)
+            throw new Error(`Particle cache version ${header.version} is newer than the supported version ${version}`)
+
+        const cache = new ParticleCache(header.count, header.fps, header.attributes.map((attribute) => attribute.name))
+        const frameLength = cache.attributes.reduce((total, attribute) => total + cache.count * attribute.itemSize, 0)
+
+        if(buffer.byteLength < 8 + headerLength + frameLength * header.frameCount * 4)
+            throw new Error('The particle cache is truncated')
+
+        // Frames are views on the buffer
+        let offset = 8 + headerLength
+
+        for(let i = 0; i < header.frameCount; i++)
+        {
+            const frame = {}
+
+            for(const attribute of cache.attributes)
+            {
+                frame[attribute.name] = new Float32Array(buffer, offset, cache.count * attribute.itemSize)
+                offset += frame[attribute.name].byteLength
+            }
+
+            cache.frames.push(frame)
+        }
+
+        return cache
+    }
+
+    static itemSizes = { position: 3, velocity: 3, life: 1 }
+}
@@ -0,0 +1,40 @@
+import { uniform, vec3, vec4, abs, max, min } from 'three/tsl'
+import * as THREE from 'three'
+
+export default class BoxCollider
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'box'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        // The object's scale is ignored, use `halfSize` instead
+        this.uniforms = {}
+        this.uniforms.inverseMatrix = uniform(new THREE.Matrix4())
+        this.uniforms.halfSize = uniform(vec3(0.25, 0.25, 0.25))
+        this.uniforms.bounce = uniform(0.5)
+        this.uniforms.friction = uniform(0.1)
+        this.uniforms.kill = uniform(0)
+
+        this.position = new THREE.Vector3()
+        this.quaternion = new THREE.Quaternion()
+        this.scale = new THREE.Vector3()
+    }
+
+    getDistance(position)
+    {
+        const local = this.uniforms.inverseMatrix.mul(vec4(position, 1)).xyz
+        const q = abs(local).sub(this.uniforms.halfSize)
+
+        return max(q, 0).length().add(min(max(q.x, max(q.y, q.z)), 0))
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.object.matrixWorld.decompose(this.position, this.quaternion, this.scale)
+        this.uniforms.inverseMatrix.value.compose(this.position, this.quaternion, this.scale.set(1, 1, 1)).invert()
+    }
+}
@@ -0,0 +1,41 @@
+import { uniform, vec3, vec4, clamp } from 'three/tsl'
+import * as THREE from 'three'
+
+export default class CapsuleCollider
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'capsule'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        // Segment along the object's local Y, the object's scale is ignored
+        this.uniforms = {}
+        this.uniforms.inverseMatrix = uniform(new THREE.Matrix4())
+        this.uniforms.radius = uniform(0.15)
+        this.uniforms.halfHeight = uniform(0.25)
+        this.uniforms.bounce = uniform(0.5)
+        this.uniforms.friction = uniform(0.1)
+        this.uniforms.kill = uniform(0)
+
+        this.position = new THREE.Vector3()
+        this.quaternion = new THREE.Quaternion()
+        this.scale = new THREE.Vector3()
+    }
+
+    getDistance(position)
+    {
+        const local = this.uniforms.inverseMatrix.mul(vec4(position, 1)).xyz
+        const closest = vec3(0, clamp(local.y, this.uniforms.halfHeight.negate(), this.uniforms.halfHeight), 0)
+
+        return local.sub(closest).length().sub(this.uniforms.radius)
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.object.matrixWorld.decompose(this.position, this.quaternion, this.scale)
+        this.uniforms.inverseMatrix.value.compose(this.position, this.quaternion, this.scale.set(1, 1, 1)).invert()
+    }
+}
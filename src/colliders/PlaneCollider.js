@@ -0,0 +1,34 @@
+import { uniform, vec3 } from 'three/tsl'
+import * as THREE from 'three'
+
+export default class PlaneCollider
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'plane'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.position = uniform(vec3())
+        this.uniforms.normal = uniform(vec3(0, 1, 0))
+        this.uniforms.bounce = uniform(0.5)
+        this.uniforms.friction = uniform(0.1)
+        this.uniforms.kill = uniform(0)
+    }
+
+    getDistance(position)
+    {
+        return position.sub(this.uniforms.position).dot(this.uniforms.normal)
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.uniforms.position.value.setFromMatrixPosition(this.object.matrixWorld)
+
+        // Object's local Y is the plane normal
+        this.uniforms.normal.value.set(0, 1, 0).transformDirection(this.object.matrixWorld)
+    }
+}
@@ -0,0 +1,226 @@
+import { uniform, vec3, vec4, clamp, texture3D } from 'three/tsl'
+import { collectTriangles } from '../utils/collectTriangles.js'
+import * as THREE from 'three'
+
+export default class SdfCollider
+{
+    constructor(object, resolution = 32)
+    {
+        // Setup
+        this.type = 'sdf'
+        this.object = object
+        this.resolution = resolution
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.inverseMatrix = uniform(new THREE.Matrix4())
+        this.uniforms.scale = uniform(1)
+        this.uniforms.boundsMin = uniform(vec3())
+        this.uniforms.boundsSize = uniform(vec3(1))
+        this.uniforms.bounce = uniform(0.5)
+        this.uniforms.friction = uniform(0.1)
+        this.uniforms.kill = uniform(0)
+
+        this.bake()
+    }
+
+    /**
+     * Bakes the signed distance to the object's meshes in a grid around them (object local space).
+     * The closest triangle of each cell is seeded near the triangles then spread with sweeps,
+     * and the sign comes from the interpolated vertex normal at the closest point.
+     */
+    bake()
+    {
+        const triangles = collectTriangles(this.object)
+        const triangleCount = triangles.areas.length
+        const resolution = this.resolution
+
+        // Bounds with a margin so the outer cells are outside
+        const bounds = new THREE.Box3().setFromArray(triangles.positions)
+        const boundsSize = bounds.getSize(new THREE.Vector3())
+        const margin = Math.max(boundsSize.x, boundsSize.y, boundsSize.z) * 0.1
+        bounds.expandByScalar(margin)
+        bounds.getSize(boundsSize)
+
+        const cellSize = boundsSize.clone().divideScalar(resolution - 1)
+        const cellCount = resolution * resolution * resolution
+
+        // Helpers
+        const triangle = new THREE.Triangle()
+        const point = new THREE.Vector3()
+        const closest = new THREE.Vector3()
+        const getCellPosition = (x, y, z, target) => target.set(x, y, z).multiply(cellSize).add(bounds.min)
+        const setTriangle = (index) =>
+        {
+            const offset = index * 9
+            triangle.a.fromArray(triangles.positions, offset)
+            triangle.b.fromArray(triangles.positions, offset + 3)
+            triangle.c.fromArray(triangles.positions, offset + 6)
+        }
+        const getDistanceToTriangle = (index) =>
+        {
+            setTriangle(index)
+            triangle.closestPointToPoint(point, closest)
+            return closest.distanceTo(point)
+        }
+
+        const closestTriangles = new Int32Array(cellCount).fill(-1)
+        const distances = new Float32Array(cellCount).fill(Infinity)
+
+        // Seed the cells around each triangle
+        const triangleBounds = new THREE.Box3()
+        for(let t = 0; t < triangleCount; t++)
+        {
+            setTriangle(t)
+            triangleBounds.setFromPoints([ triangle.a, triangle.b, triangle.c ])
+
+            const minX = Math.max(0, Math.floor((triangleBounds.min.x - bounds.min.x) / cellSize.x) - 1)
+            const minY = Math.max(0, Math.floor((triangleBounds.min.y - bounds.min.y) / cellSize.y) - 1)
+            const minZ = Math.max(0, Math.floor((triangleBounds.min.z - bounds.min.z) / cellSize.z) - 1)
+            const maxX = Math.min(resolution - 1, Math.ceil((triangleBounds.max.x - bounds.min.x) / cellSize.x) + 1)
+            const maxY = Math.min(resolution - 1, Math.ceil((triangleBounds.max.y - bounds.min.y) / cellSize.y) + 1)
+            const maxZ = Math.min(resolution - 1, Math.ceil((triangleBounds.max.z - bounds.min.z) / cellSize.z) + 1)
+
+            for(let z = minZ; z <= maxZ; z++)
+                for(let y = minY; y <= maxY; y++)
+                    for(let x = minX; x <= maxX; x++)
+                    {
+                        const cellIndex = x + (y + z * resolution) * resolution
+                        getCellPosition(x, y, z, point)
+                        const distance = getDistanceToTriangle(t)
+
+                        if(distance < distances[cellIndex])
+                        {
+                            distances[cellIndex] = distance
+                            closestTriangles[cellIndex] = t
+                        }
+                    }
+        }
+
+        // Spread the closest triangles to the other cells with sweeps in the 8 diagonal directions
+        for(let sweep = 0; sweep < 8; sweep++)
+        {
+            const stepX = sweep & 1 ? -1 : 1
+            const stepY = sweep & 2 ? -1 : 1
+            const stepZ = sweep & 4 ? -1 : 1
+
+            for(let iz = 0; iz < resolution; iz++)
+                for(let iy = 0; iy < resolution; iy++)
+                    for(let ix = 0; ix < resolution; ix++)
+                    {
+                        const x = stepX > 0 ? ix : resolution - 1 - ix
+                        const y = stepY > 0 ? iy : resolution - 1 - iy
+                        const z = stepZ > 0 ? iz : resolution - 1 - iz
+                        const cellIndex = x + (y + z * resolution) * resolution
+
+                        getCellPosition(x, y, z, point)
+
+                        for(const [ nx, ny, nz ] of [ [ x - stepX, y, z ], [ x, y - stepY, z ], [ x, y, z - stepZ ] ])
+                        {
+                            if(nx < 0 || ny < 0 || nz < 0 || nx >= resolution || ny >= resolution || nz >= resolution)
+                                continue
+
+                            const neighbourTriangle = closestTriangles[nx + (ny + nz * resolution) * resolution]
+
+                            if(neighbourTriangle === -1 || neighbourTriangle === closestTriangles[cellIndex])
+                                continue
+
+                            const distance = getDistanceToTriangle(neighbourTriangle)
+
+                            if(distance < distances[cellIndex])
+                            {
+                                distances[cellIndex] = distance
+                                closestTriangles[cellIndex] = neighbourTriangle
+                            }
+                        }
+                    }
+        }
+
+        // Sign and pack
+        const data = new Uint16Array(cellCount)
+        const barycoord = new THREE.Vector3()
+        const normal = new THREE.Vector3()
+        const normalA = new THREE.Vector3()
+        const normalB = new THREE.Vector3()
+        const normalC = new THREE.Vector3()
+
+        for(let z = 0; z < resolution; z++)
+            for(let y = 0; y < resolution; y++)
+                for(let x = 0; x < resolution; x++)
+                {
+                    const cellIndex = x + (y + z * resolution) * resolution
+                    const t = closestTriangles[cellIndex]
+                    let distance = distances[cellIndex]
+
+                    if(t !== -1)
+                    {
+                        getCellPosition(x, y, z, point)
+                        setTriangle(t)
+                        triangle.closestPointToPoint(point, closest)
+                        triangle.getBarycoord(closest, barycoord)
+
+                        normalA.fromArray(triangles.normals, t * 9)
+                        normalB.fromArray(triangles.normals, t * 9 + 3)
+                        normalC.fromArray(triangles.normals, t * 9 + 6)
+                        normal.set(0, 0, 0)
+                            .addScaledVector(normalA, barycoord.x)
+                            .addScaledVector(normalB, barycoord.y)
+                            .addScaledVector(normalC, barycoord.z)
+
+                        if(point.sub(closest).dot(normal) < 0)
+                            distance = - distance
+                    }
+
+                    data[cellIndex] = THREE.DataUtils.toHalfFloat(distance)
+                }
+
+        // Texture (half float to stay filterable)
+        if(this.texture)
+            this.texture.dispose()
+
+        this.texture = new THREE.Data3DTexture(data, resolution, resolution, resolution)
+        this.texture.format = THREE.RedFormat
+        this.texture.type = THREE.HalfFloatType
+        this.texture.minFilter = THREE.LinearFilter
+        this.texture.magFilter = THREE.LinearFilter
+        this.texture.wrapS = THREE.ClampToEdgeWrapping
+        this.texture.wrapT = THREE.ClampToEdgeWrapping
+        this.texture.wrapR = THREE.ClampToEdgeWrapping
+        this.texture.unpackAlignment = 1
+        this.texture.needsUpdate = true
+
+        this.uniforms.boundsMin.value.copy(bounds.min)
+        this.uniforms.boundsSize.value.copy(boundsSize)
+
+        this.update()
+    }
+
+    getDistance(position)
+    {
+        const local = this.uniforms.inverseMatrix.mul(vec4(position, 1)).xyz
+        const boundsMax = this.uniforms.boundsMin.add(this.uniforms.boundsSize)
+
+        // Outside the grid, add the distance to it
+        const clamped = clamp(local, this.uniforms.boundsMin, boundsMax)
+
+        // Cells are on texel centers
+        const texelRatio = (this.resolution - 1) / this.resolution
+        const halfTexel = 0.5 / this.resolution
+        const uvw = clamped.sub(this.uniforms.boundsMin).div(this.uniforms.boundsSize).mul(texelRatio).add(halfTexel)
+        const distance = texture3D(this.texture, uvw).r.add(local.sub(clamped).length())
+
+        return distance.mul(this.uniforms.scale)
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.uniforms.inverseMatrix.value.copy(this.object.matrixWorld).invert()
+        this.uniforms.scale.value = this.object.matrixWorld.getMaxScaleOnAxis()
+    }
+
+    dispose()
+    {
+        this.texture.dispose()
+    }
+}
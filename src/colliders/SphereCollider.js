@@ -0,0 +1,31 @@
+import { uniform, vec3 } from 'three/tsl'
+import * as THREE from 'three'
+
+export default class SphereCollider
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'sphere'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.center = uniform(vec3())
+        this.uniforms.radius = uniform(0.3)
+        this.uniforms.bounce = uniform(0.5)
+        this.uniforms.friction = uniform(0.1)
+        this.uniforms.kill = uniform(0)
+    }
+
+    getDistance(position)
+    {
+        return position.sub(this.uniforms.center).length().sub(this.uniforms.radius)
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.uniforms.center.value.setFromMatrixPosition(this.object.matrixWorld)
+    }
+}
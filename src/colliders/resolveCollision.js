@@ -0,0 +1,43 @@
+import { If, vec2, max } from 'three/tsl'
+
+/**
+ * Pushes the particle out of the collider and reflects the part of the velocity going into it.
+ * Colliders only have to provide a signed distance, the normal comes from its gradient.
+ * Raises `impactSpeed` to the speed going into the collider.
+ * Must be called inside a `Fn()` since it declares variables and control flow.
+ */
+export function resolveCollision(collider, position, velocity, killed, impactSpeed)
+{
+    const distance = collider.getDistance(position).toVar()
+
+    If(distance.lessThan(0), () =>
+    {
+        // Gradient with the tetrahedron technique (4 samples instead of 6)
+        const epsilon = 0.001
+        const k = vec2(1, -1)
+        const normal = k.xyy.mul(collider.getDistance(position.add(k.xyy.mul(epsilon))))
+            .add(k.yyx.mul(collider.getDistance(position.add(k.yyx.mul(epsilon)))))
+            .add(k.yxy.mul(collider.getDistance(position.add(k.yxy.mul(epsilon)))))
+            .add(k.xxx.mul(collider.getDistance(position.add(k.xxx.mul(epsilon)))))
+            .normalize()
+            .toVar()
+
+        // Back on the surface
+        position.addAssign(normal.mul(distance.negate()))
+
+        // Bounce and friction only when moving into the collider
+        const normalSpeed = velocity.dot(normal).toVar()
+
+        If(normalSpeed.lessThan(0), () =>
+        {
+            impactSpeed.assign(max(impactSpeed, normalSpeed.negate()))
+
+            const normalVelocity = normal.mul(normalSpeed).toVar()
+            const tangentVelocity = velocity.sub(normalVelocity).toVar()
+
+            velocity.assign(tangentVelocity.mul(collider.uniforms.friction.oneMinus()).sub(normalVelocity.mul(collider.uniforms.bounce)))
+        })
+
+        killed.assign(killed.or(collider.uniforms.kill.greaterThan(0.5)))
+    })
+}
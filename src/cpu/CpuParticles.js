@@ -0,0 +1,94 @@
+import * as THREE from 'three'
+import CpuSimulation from './CpuSimulation.js'
+import { normalizePreset } from '../presets/presets.js'
+
+/**
+ * Points drawing a `CpuSimulation`, the fallback of `ParticlesSystem` on machines without WebGPU.
+ * Particles go from `colorIn` to `colorOut` and fade out over their life, without the other render features.
+ */
+export default class CpuParticles
+{
+    constructor(count = 5000)
+    {
+        // Setup
+        this.simulation = new CpuSimulation(count)
+        this.colorIn = new THREE.Color('#ff7300')
+        this.colorOut = new THREE.Color('#006eff')
+
+        // Geometry, its attributes follow the simulation arrays which get replaced on reset
+        this.geometry = new THREE.BufferGeometry()
+
+        // Material
+        this.material = new THREE.PointsMaterial({
+            size: 0.075,
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        })
+
+        // Mesh
+        this.mesh = new THREE.Points(this.geometry, this.material)
+        this.mesh.frustumCulled = false
+
+        this.updateAttributes()
+    }
+
+    /**
+     * Applies the simulated settings and the colors of a preset (of any version), throwing a `PresetValidationError` if invalid.
+     */
+    applyPreset(preset)
+    {
+        const uniforms = normalizePreset(preset).system?.uniforms ?? {}
+
+        this.simulation.applyPreset(preset)
+
+        if(uniforms.colorIn !== undefined)
+            this.colorIn.set(uniforms.colorIn)
+        if(uniforms.colorOut !== undefined)
+            this.colorOut.set(uniforms.colorOut)
+        if(uniforms.size !== undefined)
+            this.material.size = uniforms.size
+
+        this.updateAttributes()
+    }
+
+    updateAttributes()
+    {
+        const simulation = this.simulation
+
+        if(this.geometry.attributes.position?.array !== simulation.positions)
+        {
+            this.geometry.setAttribute('position', new THREE.BufferAttribute(simulation.positions, 3))
+            this.geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(simulation.count * 3), 3))
+        }
+
+        // Additive blending, so darker is more transparent
+        const colors = this.geometry.attributes.color.array
+        const color = new THREE.Color()
+
+        for(let i = 0; i < simulation.count; i++)
+        {
+            const life = Math.min(simulation.lives[i], 1)
+
+            color.lerpColors(this.colorIn, this.colorOut, life).multiplyScalar(1 - life)
+            color.toArray(colors, i * 3)
+        }
+
+        this.geometry.attributes.position.needsUpdate = true
+        this.geometry.attributes.color.needsUpdate = true
+    }
+
+    update(deltaTime)
+    {
+        this.simulation.step(deltaTime)
+        this.updateAttributes()
+    }
+
+    dispose()
+    {
+        this.geometry.dispose()
+        this.material.dispose()
+        this.mesh.removeFromParent()
+    }
+}
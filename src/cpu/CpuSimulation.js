@@ -0,0 +1,282 @@
+import * as THREE from 'three'
+import { simulationDefaults, randomSalts } from '../simulationParameters.js'
+import { normalizePreset } from '../presets/presets.js'
+import { seededHash } from './seededHash.js'
+import { curlNoise4d } from './curlNoise4d.js'
+
+/**
+ * Reference implementation of the `ParticlesSystem` update step on the CPU, on typed arrays.
+ * Same parameters, same seeded random values and same order of operations as the GPU kernel (in double precision),
+ * limited to the turbulence (its default 4D curl noise, without domain warping), the gravity, the damping, the floor bounce, the life and the respawn from the point emitter.
+ * Other force fields, colliders and emitter shapes live in the scene or in TSL and are not simulated.
+ * Runs the unit tests in Node and, through `CpuParticles`, the fallback on machines without WebGPU.
+ */
+export default class CpuSimulation
+{
+    constructor(count = 10000)
+    {
+        // Parameters, as in the `system` of a preset
+        this.parameters = structuredClone(simulationDefaults)
+        this.emissionMode = 'continuous'
+        this.emissionRate = 0
+        this.bursts = []
+
+        // Emitter, moved by setting `emitterPosition` before each step
+        this.emitterPosition = new THREE.Vector3()
+
+        this.count = count
+    }
+
+    get count()
+    {
+        return this._count
+    }
+
+    set count(value)
+    {
+        this._count = value
+
+        this.reset()
+    }
+
+    /**
+     * Takes the simulated settings of a preset (of any version), throwing a `PresetValidationError` if invalid.
+     */
+    applyPreset(preset)
+    {
+        const settings = normalizePreset(preset).system ?? {}
+
+        for(const key in settings.uniforms)
+        {
+            if(key in this.parameters)
+                this.parameters[key] = structuredClone(settings.uniforms[key])
+        }
+
+        Object.assign(this.parameters.turbulence, settings.turbulence)
+        Object.assign(this.parameters.point, settings.emitterShapes?.point)
+
+        if(settings.emissionMode !== undefined)
+            this.emissionMode = settings.emissionMode
+        if(settings.emissionRate !== undefined)
+            this.emissionRate = settings.emissionRate
+        if(settings.bursts)
+            this.bursts = settings.bursts.map((burst) => ({ ...burst, repeat: burst.repeat === null ? Infinity : burst.repeat }))
+
+        if(settings.count !== undefined && settings.count !== this.count)
+            this.count = settings.count
+        else
+            this.reset()
+    }
+
+    /**
+     * Back to the initial state, like `ParticlesSystem.reset()`.
+     */
+    reset()
+    {
+        const count = this.count
+
+        this.positions = new Float32Array(count * 3)
+        this.velocities = new Float32Array(count * 3)
+        this.lives = new Float32Array(count)
+
+        // Initial state
+        for(let i = 0; i < count; i++)
+        {
+            this.positions.fill(99999, i * 3, i * 3 + 3)
+            this.lives[i] = this.emissionMode === 'continuous' ? seededHash(i, this.parameters.seed, randomSalts.life) : 1
+        }
+
+        // Time and emission
+        this.time = 0
+        this.emissionTime = 0
+        this.pendingEmission = 0
+        this.spawnWindow = { start: 0, budget: 0, missed: 0 }
+
+        // Emitter
+        this.emitter = {
+            position: this.emitterPosition.clone(),
+            previousPosition: this.emitterPosition.clone(),
+            velocity: new THREE.Vector3(),
+            previousVelocity: new THREE.Vector3()
+        }
+    }
+
+    emit(count)
+    {
+        this.pendingEmission += count
+    }
+
+    /**
+     * Number of particles to spawn this step and the start of their window, as in `ParticlesSystem.updateEmission()`
+     * and its emission prepare pass.
+     */
+    updateEmission(deltaTime)
+    {
+        if(this.emissionMode === 'continuous')
+            return { spawnStart: 0, spawnBudget: 0xffffffff }
+
+        const getBurstFirings = (burst, time) =>
+        {
+            if(time <= burst.delay)
+                return 0
+
+            const totalFirings = (burst.repeat ?? 0) + 1
+
+            if(!(burst.interval > 0))
+                return Number.isFinite(totalFirings) ? totalFirings : 1
+
+            return Math.min(Math.ceil((time - burst.delay) / burst.interval), totalFirings)
+        }
+
+        const previousTime = this.emissionTime
+        this.emissionTime += deltaTime
+        this.pendingEmission += this.emissionRate * deltaTime
+
+        for(const burst of this.bursts)
+            this.pendingEmission += (getBurstFirings(burst, this.emissionTime) - getBurstFirings(burst, previousTime)) * burst.count
+
+        const requested = Math.floor(this.pendingEmission)
+        this.pendingEmission -= requested
+
+        // After the previous window, with the slots it found in use
+        const spawnWindow = this.spawnWindow
+        spawnWindow.start = (spawnWindow.start + spawnWindow.budget) % Math.max(this.count, 1)
+        spawnWindow.budget = Math.min(requested + spawnWindow.missed, this.count)
+        spawnWindow.missed = 0
+
+        return { spawnStart: spawnWindow.start, spawnBudget: spawnWindow.budget }
+    }
+
+    /**
+     * Simulates one step of `deltaTime` seconds, like `ParticlesSystem.prepare()`, the update kernel and `finish()`.
+     */
+    step(deltaTime)
+    {
+        const parameters = this.parameters
+        const seed = parameters.seed
+        const emitter = this.emitter
+
+        // Prepare
+        this.time += deltaTime
+        emitter.position.copy(this.emitterPosition)
+        emitter.velocity.copy(emitter.position).sub(emitter.previousPosition).divideScalar(deltaTime)
+
+        const { spawnStart, spawnBudget } = this.updateEmission(deltaTime)
+
+        // Kernel
+        const count = this.count
+        const positions = this.positions
+        const velocities = this.velocities
+        const lives = this.lives
+        const position = new THREE.Vector3()
+        const velocity = new THREE.Vector3()
+        const gravity = new THREE.Vector3().fromArray(parameters.gravity)
+        const initialVelocity = new THREE.Vector3().fromArray(parameters.initialVelocity)
+        const turbulence = [ 0, 0, 0 ]
+        const randomDirection = new THREE.Vector3()
+        const origin = new THREE.Vector3()
+        const normal = new THREE.Vector3()
+        const emitterVelocity = new THREE.Vector3()
+
+        for(let i = 0; i < count; i++)
+        {
+            position.fromArray(positions, i * 3)
+            velocity.fromArray(velocities, i * 3)
+            const life = lives[i]
+            const isDead = life >= 1
+
+            if(!isDead)
+            {
+                // Turbulence
+                const positionFrequency = parameters.turbulence.positionFrequency
+                curlNoise4d(
+                    position.x * positionFrequency + 12.34,
+                    position.y * positionFrequency + 12.34,
+                    position.z * positionFrequency + 12.34,
+                    this.time * parameters.turbulence.timeFrequency,
+                    turbulence
+                )
+                velocity.x += turbulence[0] * parameters.turbulence.strength
+                velocity.y += turbulence[1] * parameters.turbulence.strength
+                velocity.z += turbulence[2] * parameters.turbulence.strength
+
+                // Update velocity
+                velocity.addScaledVector(gravity, deltaTime)
+                velocity.multiplyScalar(1 - parameters.velocityDamping)
+
+                // Update position
+                position.addScaledVector(velocity, deltaTime)
+
+                // Floor bounce
+                if(position.y < parameters.floorY)
+                {
+                    position.y = parameters.floorY
+                    velocity.y *= - (1 - parameters.floorDamping)
+                }
+            }
+
+            // Life
+            const newLife = isDead ? 1 : life + deltaTime * parameters.decayFrequency
+
+            const canSpawn = (i + count - spawnStart) % count < spawnBudget
+
+            if(canSpawn && newLife < 1 && this.emissionMode !== 'continuous')
+                this.spawnWindow.missed++
+
+            if(newLife >= 1)
+            {
+                if(canSpawn)
+                {
+                    const random = (salt) => seededHash(i, seed, salt)
+
+                    randomDirection.set(
+                        random(randomSalts.directionX) - 0.5,
+                        random(randomSalts.directionY) - 0.5,
+                        random(randomSalts.directionZ) - 0.5
+                    ).normalize()
+
+                    const mixStrength = random(randomSalts.mixStrength)
+
+                    // Position (point emitter)
+                    origin.lerpVectors(emitter.position, emitter.previousPosition, mixStrength)
+
+                    const z = random(randomSalts.emitterShape) * 2 - 1
+                    const angle = random(randomSalts.emitterShape + 1) * Math.PI * 2
+                    const radius = Math.sqrt(1 - z * z)
+                    normal.set(Math.cos(angle) * radius, Math.sin(angle) * radius, z)
+
+                    const distance = (parameters.point.surface ? 1 : Math.cbrt(random(randomSalts.emitterShape + 2))) * parameters.point.radius
+                    position.copy(origin).addScaledVector(normal, distance)
+
+                    // Velocity
+                    emitterVelocity.lerpVectors(emitter.velocity, emitter.previousVelocity, mixStrength)
+                    velocity.copy(emitterVelocity).multiplyScalar(parameters.emitterVelocityStrength)
+                        .addScaledVector(randomDirection, parameters.initialRandomVelocity)
+                        .addScaledVector(normal, parameters.emitterNormalVelocity)
+                        .add(initialVelocity)
+
+                    // Wrapping particles keep their phase, revived ones start fresh
+                    lives[i] = isDead ? 0 : newLife % 1
+                }
+                else
+                {
+                    // Dead
+                    position.setScalar(99999)
+                    velocity.set(0, 0, 0)
+                    lives[i] = 1
+                }
+            }
+            else
+            {
+                lives[i] = newLife
+            }
+
+            position.toArray(positions, i * 3)
+            velocity.toArray(velocities, i * 3)
+        }
+
+        // Finish
+        emitter.previousPosition.copy(emitter.position)
+        emitter.previousVelocity.copy(emitter.velocity)
+    }
+}
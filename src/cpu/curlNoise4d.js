@@ -0,0 +1,42 @@
+// JavaScript port of `tsl/curlNoise4d.js`
+
+import { simplexNoise4d } from './simplexNoise4d.js'
+
+const epsilon = 1e-4
+
+const normalize = (vector) =>
+{
+    const length = Math.hypot(...vector)
+
+    return vector.map((component) => component / length)
+}
+
+// Normalized gradient of the noise, by central differences
+const gradient = (x, y, z, w) => normalize([
+    (simplexNoise4d(x + epsilon, y, z, w) - simplexNoise4d(x - epsilon, y, z, w)) / (epsilon * 2),
+    (simplexNoise4d(x, y + epsilon, z, w) - simplexNoise4d(x, y - epsilon, z, w)) / (epsilon * 2),
+    (simplexNoise4d(x, y, z + epsilon, w) - simplexNoise4d(x, y, z - epsilon, w)) / (epsilon * 2),
+    (simplexNoise4d(x, y, z, w + epsilon) - simplexNoise4d(x, y, z, w - epsilon)) / (epsilon * 2)
+])
+
+/**
+ * Writes the curl noise at (x, y, z, w) in `target` (an array of 3 numbers), returned.
+ */
+export function curlNoise4d(x, y, z, w, target = [ 0, 0, 0 ])
+{
+    const a = gradient(x, y, z, w)
+    const b = gradient(x + 3.5, y + 3.5, z + 3.5, w + 3.5) // Because 10000.5 breaks the simplex noise
+
+    // Cross product of the xyz parts
+    const cross = normalize([
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ])
+
+    target[0] = cross[0]
+    target[1] = cross[1]
+    target[2] = cross[2]
+
+    return target
+}
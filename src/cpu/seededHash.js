@@ -0,0 +1,14 @@
+// JavaScript port of `tsl/seededHash.js` with the PCG hash of three's TSL `hash()`, in 32 bits unsigned integers
+
+const hash = (seed) =>
+{
+    const state = (Math.imul(seed, 747796405) + 2891336453) >>> 0
+    const word = Math.imul((state >>> ((state >>> 28) + 4)) ^ state, 277803737) >>> 0
+
+    return ((word >>> 22) ^ word) >>> 0
+}
+
+export function seededHash(index, seed, salt)
+{
+    return hash((index + Math.imul(seed + salt, 0x9e3779b9)) >>> 0) / 2 ** 32
+}
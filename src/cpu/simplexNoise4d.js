@@ -0,0 +1,92 @@
+// JavaScript port of `tsl/simplexNoise4d.js`, same operations in the same order
+
+const C = [ 0.138196601125010504, 0.309016994374947451 ]
+const ip = [ Math.fround(1.0 / 294.0), Math.fround(1.0 / 49.0), Math.fround(1.0 / 7.0) ]
+
+const fract = (x) => x - Math.floor(x)
+const fround = Math.fround
+const mod289 = (x) => x - Math.floor(x / 289.0) * 289.0
+const permute = (x) => mod289((x * 34.0 + 1.0) * x)
+const permuteFloor = (x) => Math.floor(permute(x)) // The float overload floors
+const taylorInvSqrt = (r) => 1.79284291400159 - 0.85373472095314 * r
+const clamp01 = (x) => Math.min(Math.max(x, 0), 1)
+const dot4 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]
+
+// In single precision like on the GPU, the floors fall right on integers and would round the other way in double precision
+const grad4 = (j) =>
+{
+    const p = [
+        Math.floor(fround(fract(fround(j * ip[0])) * 7.0)) * ip[2] - 1.0,
+        Math.floor(fround(fract(fround(j * ip[1])) * 7.0)) * ip[2] - 1.0,
+        Math.floor(fround(fract(fround(j * ip[2])) * 7.0)) * ip[2] - 1.0,
+        0
+    ]
+    p[3] = 1.5 - (Math.abs(p[0]) + Math.abs(p[1]) + Math.abs(p[2]))
+
+    const sw = p[3] < 0 ? 1 : 0
+
+    for(let k = 0; k < 3; k++)
+        p[k] += ((p[k] < 0 ? 1 : 0) * 2.0 - 1.0) * sw
+
+    return p
+}
+
+export function simplexNoise4d(x, y, z, w)
+{
+    const v = [ x, y, z, w ]
+
+    // First corner
+    const skew = (x + y + z + w) * C[1]
+    const i = v.map((component) => Math.floor(component + skew))
+    const unskew = (i[0] + i[1] + i[2] + i[3]) * C[0]
+    const x0 = v.map((component, index) => component - i[index] + unskew)
+
+    // Other corners
+    const isX = [ x0[0] >= x0[1] ? 1 : 0, x0[0] >= x0[2] ? 1 : 0, x0[0] >= x0[3] ? 1 : 0 ]
+    const isYZ = [ x0[1] >= x0[2] ? 1 : 0, x0[1] >= x0[3] ? 1 : 0, x0[2] >= x0[3] ? 1 : 0 ]
+    const i0 = [ isX[0] + isX[1] + isX[2], 1.0 - isX[0], 1.0 - isX[1], 1.0 - isX[2] ]
+    i0[1] += isYZ[0] + isYZ[1]
+    i0[2] += 1.0 - isYZ[0]
+    i0[3] += 1.0 - isYZ[1]
+    i0[2] += isYZ[2]
+    i0[3] += 1.0 - isYZ[2]
+
+    const i3 = i0.map((component) => clamp01(component))
+    const i2 = i0.map((component) => clamp01(component - 1.0))
+    const i1 = i0.map((component) => clamp01(component - 2.0))
+
+    const x1 = x0.map((component, index) => component - i1[index] + C[0])
+    const x2 = x0.map((component, index) => component - i2[index] + 2.0 * C[0])
+    const x3 = x0.map((component, index) => component - i3[index] + 3.0 * C[0])
+    const x4 = x0.map((component) => component - 1.0 + 4.0 * C[0])
+
+    // Permutations
+    const im = i.map(mod289)
+    const j0 = permute(permute(permute(permuteFloor(im[3]) + im[2]) + im[1]) + im[0]) // Only the innermost call is the float overload
+    const corners = [ i1, i2, i3, [ 1, 1, 1, 1 ] ]
+    const j1 = corners.map((corner) => permute(permute(permute(permute(im[3] + corner[3]) + im[2] + corner[2]) + im[1] + corner[1]) + im[0] + corner[0]))
+
+    // Gradients
+    const gradients = [ grad4(j0), grad4(j1[0]), grad4(j1[1]), grad4(j1[2]), grad4(j1[3]) ]
+
+    for(const gradient of gradients)
+    {
+        const norm = taylorInvSqrt(dot4(gradient, gradient))
+
+        for(let k = 0; k < 4; k++)
+            gradient[k] *= norm
+    }
+
+    // Mix contributions from the five corners
+    const offsets = [ x0, x1, x2, x3, x4 ]
+    let sum = 0
+
+    for(let k = 0; k < 5; k++)
+    {
+        const m = Math.max(0.6 - dot4(offsets[k], offsets[k]), 0.0)
+        const m2 = m * m
+        sum += m2 * m2 * dot4(gradients[k], offsets[k])
+    }
+
+    return 49.0 * sum
+}
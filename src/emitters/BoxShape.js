@@ -0,0 +1,50 @@
+import { uniform, vec3, select, sign, abs, min } from 'three/tsl'
+
+export default class BoxShape
+{
+    constructor()
+    {
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.size = uniform(vec3(0.5, 0.5, 0.5))
+        this.uniforms.surface = uniform(0)
+    }
+
+    sample(random, origin)
+    {
+        const size = this.uniforms.size
+        const local = vec3(random(), random(), random()).sub(0.5).toVar()
+
+        // Face picked proportionally to its area, then pushed to the matching side
+        const areaX = size.y.mul(size.z)
+        const areaY = size.x.mul(size.z)
+        const areaZ = size.x.mul(size.y)
+        const pick = random().mul(areaX.add(areaY).add(areaZ))
+        const side = select(random().greaterThan(0.5), 0.5, -0.5)
+
+        const onX = pick.lessThan(areaX)
+        const onY = onX.not().and(pick.lessThan(areaX.add(areaY)))
+        const onZ = onX.not().and(onY.not())
+        const faceLocal = vec3(
+            select(onX, side, local.x),
+            select(onY, side, local.y),
+            select(onZ, side, local.z)
+        )
+
+        const isSurface = this.uniforms.surface.greaterThan(0.5)
+        local.assign(select(isSurface, faceLocal, local))
+
+        // Normal of the closest face
+        const gaps = abs(local).oneMinus().sub(0.5).mul(size)
+        const smallest = min(gaps.x, min(gaps.y, gaps.z))
+        const normal = vec3(
+            select(gaps.x.lessThanEqual(smallest), sign(local.x), 0),
+            select(gaps.y.lessThanEqual(smallest), sign(local.y), 0),
+            select(gaps.z.lessThanEqual(smallest), sign(local.z), 0)
+        ).normalize()
+
+        const position = origin.add(local.mul(size))
+
+        return { position, normal }
+    }
+}
@@ -0,0 +1,39 @@
+import { uniform, vec3, select, sqrt, cbrt, cos, sin, tan, PI2 } from 'three/tsl'
+import { orthonormalBasis } from '../tsl/orthonormalBasis.js'
+
+export default class ConeShape
+{
+    constructor()
+    {
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.angle = uniform(Math.PI * 0.125)
+        this.uniforms.height = uniform(0.5)
+        this.uniforms.direction = uniform(vec3(0, 1, 0))
+        this.uniforms.surface = uniform(0)
+    }
+
+    sample(random, origin)
+    {
+        const isSurface = this.uniforms.surface.greaterThan(0.5)
+
+        // Distance along the axis from the apex (more room toward the base)
+        const heightRatio = select(isSurface, sqrt(random()), cbrt(random()))
+        const height = heightRatio.mul(this.uniforms.height).toVar()
+
+        // Point in the cross-section disc at that height
+        const sectionRadius = height.mul(tan(this.uniforms.angle))
+        const radius = select(isSurface, 1, sqrt(random())).mul(sectionRadius)
+        const theta = random().mul(PI2)
+
+        const local = vec3(cos(theta).mul(radius), sin(theta).mul(radius), height)
+        const basis = orthonormalBasis(this.uniforms.direction).toVar()
+        const offset = basis.mul(local).toVar()
+
+        // Spray outward from the apex
+        const normal = select(height.greaterThan(0), offset.normalize(), basis[2])
+        const position = origin.add(offset)
+
+        return { position, normal }
+    }
+}
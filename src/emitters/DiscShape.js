@@ -0,0 +1,29 @@
+import { uniform, vec3, select, sqrt, cos, sin, PI2 } from 'three/tsl'
+import { orthonormalBasis } from '../tsl/orthonormalBasis.js'
+
+export default class DiscShape
+{
+    constructor()
+    {
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.radius = uniform(0.5)
+        this.uniforms.direction = uniform(vec3(0, 1, 0))
+        this.uniforms.surface = uniform(0)
+    }
+
+    sample(random, origin)
+    {
+        // Filled disc in volume mode, outline circle in surface mode
+        const radius = select(this.uniforms.surface.greaterThan(0.5), 1, sqrt(random())).mul(this.uniforms.radius)
+        const theta = random().mul(PI2)
+
+        const basis = orthonormalBasis(this.uniforms.direction).toVar()
+        const offset = basis.mul(vec3(cos(theta).mul(radius), sin(theta).mul(radius), 0))
+
+        const normal = basis[2]
+        const position = origin.add(offset)
+
+        return { position, normal }
+    }
+}
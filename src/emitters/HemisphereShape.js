@@ -0,0 +1,33 @@
+import { uniform, vec3, select, cbrt } from 'three/tsl'
+import { randomDirection } from '../tsl/randomDirection.js'
+
+export default class HemisphereShape
+{
+    constructor()
+    {
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.radius = uniform(0.5)
+        this.uniforms.direction = uniform(vec3(0, 1, 0))
+        this.uniforms.surface = uniform(1)
+    }
+
+    sample(random, origin)
+    {
+        // Up for a zero direction, which would otherwise normalize to NaN
+        const isDegenerate = this.uniforms.direction.length().lessThan(0.00001)
+        const axis = select(isDegenerate, vec3(0, 1, 0), this.uniforms.direction.normalize())
+
+        // Mirror the lower half onto the dome side
+        const direction = randomDirection(random(), random()).toVar()
+        const alignment = direction.dot(axis)
+        direction.assign(select(alignment.lessThan(0), direction.sub(axis.mul(alignment.mul(2))), direction))
+
+        const distance = select(this.uniforms.surface.greaterThan(0.5), 1, cbrt(random())).mul(this.uniforms.radius)
+
+        const normal = direction
+        const position = origin.add(direction.mul(distance))
+
+        return { position, normal }
+    }
+}
@@ -0,0 +1,31 @@
+import { uniform, vec3, select, sqrt, cos, sin, mix, PI2 } from 'three/tsl'
+import { orthonormalBasis } from '../tsl/orthonormalBasis.js'
+
+export default class LineShape
+{
+    constructor()
+    {
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.start = uniform(vec3(-0.5, 0, 0))
+        this.uniforms.end = uniform(vec3(0.5, 0, 0))
+        this.uniforms.radius = uniform(0)
+        this.uniforms.surface = uniform(1)
+    }
+
+    sample(random, origin)
+    {
+        // Point on the segment
+        const center = mix(this.uniforms.start, this.uniforms.end, random())
+
+        // Around the segment, on a tube (surface) or inside it (volume)
+        const basis = orthonormalBasis(this.uniforms.end.sub(this.uniforms.start))
+        const theta = random().mul(PI2)
+        const normal = basis.mul(vec3(cos(theta), sin(theta), 0)).toVar()
+        const radius = select(this.uniforms.surface.greaterThan(0.5), 1, sqrt(random())).mul(this.uniforms.radius)
+
+        const position = origin.add(center).add(normal.mul(radius))
+
+        return { position, normal }
+    }
+}
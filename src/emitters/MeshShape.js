@@ -0,0 +1,139 @@
+import { If, Loop, uniform, uint, vec4, mix, min, float } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { StorageBufferAttribute } from 'three/webgpu'
+import { collectTriangles } from '../utils/collectTriangles.js'
+import * as THREE from 'three'
+
+export default class MeshShape
+{
+    constructor(object)
+    {
+        // Setup
+        this.object = object
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.matrix = uniform(new THREE.Matrix4())
+        this.uniforms.previousMatrix = uniform(new THREE.Matrix4())
+        this.uniforms.normalMatrix = uniform(new THREE.Matrix3())
+
+        this.setTriangles()
+        this.setBuffers()
+
+        // Start with both matrices on the current transform to avoid a first frame smear
+        this.update()
+        this.uniforms.previousMatrix.value.copy(this.uniforms.matrix.value)
+    }
+
+    setTriangles()
+    {
+        const triangles = collectTriangles(this.object)
+
+        // Cumulative distribution normalized to [0, 1] for area-weighted picking
+        this.triangleCount = triangles.areas.length
+        const cumulativeAreas = new Float32Array(this.triangleCount)
+        let totalArea = 0
+
+        for(let i = 0; i < this.triangleCount; i++)
+        {
+            totalArea += triangles.areas[i]
+            cumulativeAreas[i] = totalArea
+        }
+
+        // Nothing to pick from, which would give NaN positions
+        if(!(totalArea > 0))
+            throw new Error('The emitter mesh has no surface to emit from, its triangles have no area')
+
+        for(let i = 0; i < this.triangleCount; i++)
+            cumulativeAreas[i] /= totalArea
+
+        this.positions = triangles.positions
+        this.normals = triangles.normals
+        this.cumulativeAreas = cumulativeAreas
+    }
+
+    setBuffers()
+    {
+        const vertexCount = this.triangleCount * 3
+
+        this.positionBuffer = storage(new StorageBufferAttribute(this.positions, 3), 'vec3', vertexCount).setPBO(true)
+        this.normalBuffer = storage(new StorageBufferAttribute(this.normals, 3), 'vec3', vertexCount).setPBO(true)
+        this.cumulativeAreaBuffer = storage(new StorageBufferAttribute(this.cumulativeAreas, 1), 'float', this.triangleCount).setPBO(true)
+    }
+
+    /**
+     * Follows the object's world transform instead of `origin`.
+     * `mixStrength` interpolates toward the previous frame transform to fill the gap of fast moves.
+     */
+    sample(random, origin, mixStrength)
+    {
+        // Area-weighted triangle (binary search on the cumulative areas)
+        const searchIterations = Math.max(1, Math.ceil(Math.log2(this.triangleCount + 1)))
+        const target = float(random()).toVar()
+        const low = uint(0).toVar()
+        const high = uint(this.triangleCount - 1).toVar()
+
+        Loop(searchIterations, () =>
+        {
+            const middle = low.add(high).div(2)
+
+            If(this.cumulativeAreaBuffer.element(middle).lessThan(target), () =>
+            {
+                low.assign(middle.add(1))
+            })
+            .Else(() =>
+            {
+                high.assign(middle)
+            })
+        })
+
+        const triangleIndex = min(low, uint(this.triangleCount - 1))
+        const vertexIndex = triangleIndex.mul(3)
+
+        // Uniform barycentric coordinates (fold the square onto the triangle)
+        const u = float(random()).toVar()
+        const v = float(random()).toVar()
+
+        If(u.add(v).greaterThan(1), () =>
+        {
+            u.assign(u.oneMinus())
+            v.assign(v.oneMinus())
+        })
+
+        const w = float(1).sub(u).sub(v)
+
+        const localPosition = this.positionBuffer.element(vertexIndex).mul(w)
+            .add(this.positionBuffer.element(vertexIndex.add(1)).mul(u))
+            .add(this.positionBuffer.element(vertexIndex.add(2)).mul(v))
+
+        const localNormal = this.normalBuffer.element(vertexIndex).mul(w)
+            .add(this.normalBuffer.element(vertexIndex.add(1)).mul(u))
+            .add(this.normalBuffer.element(vertexIndex.add(2)).mul(v))
+
+        // World space
+        const position = mix(
+            this.uniforms.matrix.mul(vec4(localPosition, 1)).xyz,
+            this.uniforms.previousMatrix.mul(vec4(localPosition, 1)).xyz,
+            mixStrength
+        )
+        const normal = this.uniforms.normalMatrix.mul(localNormal).normalize()
+
+        return { position, normal }
+    }
+
+    update()
+    {
+        this.uniforms.previousMatrix.value.copy(this.uniforms.matrix.value)
+
+        this.object.updateWorldMatrix(true, false)
+        this.uniforms.matrix.value.copy(this.object.matrixWorld)
+        this.uniforms.normalMatrix.value.getNormalMatrix(this.object.matrixWorld)
+    }
+
+    dispose()
+    {
+        this.positionBuffer.dispose()
+        this.normalBuffer.dispose()
+        this.cumulativeAreaBuffer.dispose()
+    }
+}
@@ -0,0 +1,23 @@
+import { uniform, select, cbrt } from 'three/tsl'
+import { randomDirection } from '../tsl/randomDirection.js'
+import { simulationDefaults } from '../simulationParameters.js'
+
+export default class PointShape
+{
+    constructor()
+    {
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.radius = uniform(simulationDefaults.point.radius)
+        this.uniforms.surface = uniform(simulationDefaults.point.surface ? 1 : 0)
+    }
+
+    sample(random, origin)
+    {
+        const normal = randomDirection(random(), random()).toVar()
+        const distance = select(this.uniforms.surface.greaterThan(0.5), 1, cbrt(random())).mul(this.uniforms.radius)
+        const position = origin.add(normal.mul(distance))
+
+        return { position, normal }
+    }
+}
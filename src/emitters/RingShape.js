@@ -0,0 +1,33 @@
+import { uniform, vec3, select, sqrt, cos, sin, PI2 } from 'three/tsl'
+import { orthonormalBasis } from '../tsl/orthonormalBasis.js'
+
+export default class RingShape
+{
+    constructor()
+    {
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.radius = uniform(0.5)
+        this.uniforms.tubeRadius = uniform(0.05)
+        this.uniforms.direction = uniform(vec3(0, 1, 0))
+        this.uniforms.surface = uniform(0)
+    }
+
+    sample(random, origin)
+    {
+        const basis = orthonormalBasis(this.uniforms.direction).toVar()
+
+        // Center of the tube along the ring
+        const ringAngle = random().mul(PI2)
+        const ringDirection = basis.mul(vec3(cos(ringAngle), sin(ringAngle), 0)).toVar()
+
+        // Around the tube
+        const tubeAngle = random().mul(PI2)
+        const normal = ringDirection.mul(cos(tubeAngle)).add(basis[2].mul(sin(tubeAngle))).toVar()
+        const tubeRadius = select(this.uniforms.surface.greaterThan(0.5), 1, sqrt(random())).mul(this.uniforms.tubeRadius)
+
+        const position = origin.add(ringDirection.mul(this.uniforms.radius)).add(normal.mul(tubeRadius))
+
+        return { position, normal }
+    }
+}
@@ -0,0 +1,176 @@
+import * as THREE from 'three'
+import { createZip } from '../utils/createZip.js'
+
+export default class SequenceExporter
+{
+    /**
+     * @param {Function} step - Advances everything that moves by the given seconds, called once before each frame
+     */
+    constructor(renderer, scene, camera, step)
+    {
+        // Setup
+        this.renderer = renderer
+        this.scene = scene
+        this.camera = camera
+        this.step = step
+        this.exporting = false
+
+        // Frames are copied from the renderer canvas to this one, which stays the right size whatever the pixel ratio
+        this.canvas = document.createElement('canvas')
+        this.context = this.canvas.getContext('2d')
+    }
+
+    /**
+     * Steps the simulation at a fixed frame rate independent of the real time and renders every frame,
+     * then downloads a PNG sequence (in a picked directory when supported, otherwise a zip) or a WebM.
+     * The WebM is recorded by `MediaRecorder` in real time, so that export takes at least `duration` seconds.
+     * `onStart` is called right before the first frame, once the directory is picked, to put the scene in its starting state.
+     * Resolves to false if cancelled through `signal`, which skips the download.
+     */
+    async export({ format = 'png', fps = 30, duration = 5, width = 1920, height = 1080, transparent = false, name = 'particles', onStart = null, onProgress = null, signal = null } = {})
+    {
+        if(this.exporting)
+            throw new Error('An export is already running')
+
+        // Ask for the directory first while still in the user gesture
+        const directory = format === 'png' && window.showDirectoryPicker ? await window.showDirectoryPicker({ mode: 'readwrite' }) : null
+
+        // The picker stays open for a while, during which the scene keeps being updated
+        this.exporting = true
+
+        if(onStart)
+            onStart()
+
+        const restore = this.setup(width, height, transparent)
+        const frameCount = Math.max(1, Math.round(duration * fps))
+        const files = []
+        let recording = null
+
+        try
+        {
+            if(format === 'webm')
+                recording = this.startRecording()
+
+            const startTime = performance.now()
+
+            for(let i = 0; i < frameCount; i++)
+            {
+                if(signal?.aborted)
+                    return false
+
+                this.step(1 / fps)
+                await this.renderer.renderAsync(this.scene, this.camera)
+
+                // Copy before the canvas gets presented
+                this.context.clearRect(0, 0, width, height)
+                this.context.drawImage(this.renderer.domElement, 0, 0, width, height)
+
+                if(recording)
+                {
+                    recording.track.requestFrame()
+
+                    // Paced on the real time since the recorder timestamps frames when they arrive
+                    const delay = startTime + (i + 1) * 1000 / fps - performance.now()
+                    await new Promise((resolve) => setTimeout(resolve, Math.max(0, delay)))
+                }
+                else
+                {
+                    const fileName = `${name}_${String(i).padStart(5, '0')}.png`
+                    const blob = await new Promise((resolve) => this.canvas.toBlob(resolve, 'image/png'))
+
+                    if(directory)
+                    {
+                        const writable = await (await directory.getFileHandle(fileName, { create: true })).createWritable()
+                        await writable.write(blob)
+                        await writable.close()
+                    }
+                    else
+                    {
+                        files.push({ name: fileName, data: new Uint8Array(await blob.arrayBuffer()) })
+                    }
+                }
+
+                if(onProgress)
+                    onProgress((i + 1) / frameCount)
+            }
+
+            // Download
+            if(recording)
+                this.download(await recording.stop(), `${name}.webm`)
+            else if(!directory)
+                this.download(createZip(files), `${name}.zip`)
+
+            return true
+        }
+        finally
+        {
+            // Cancelled or failed recordings are dropped
+            if(recording?.recorder.state === 'recording')
+                recording.recorder.stop()
+
+            restore()
+            this.exporting = false
+        }
+    }
+
+    /**
+     * Sizes the renderer for the export and returns the function putting everything back.
+     */
+    setup(width, height, transparent)
+    {
+        const renderer = this.renderer
+        const size = renderer.getSize(new THREE.Vector2())
+        const pixelRatio = renderer.getPixelRatio()
+        const clearColor = renderer.getClearColor(new THREE.Color())
+        const clearAlpha = renderer.getClearAlpha()
+        const aspect = this.camera.aspect
+
+        this.canvas.width = width
+        this.canvas.height = height
+
+        renderer.setPixelRatio(1)
+        renderer.setSize(width, height, false)
+        renderer.setClearColor(clearColor, transparent ? 0 : clearAlpha)
+        this.camera.aspect = width / height
+        this.camera.updateProjectionMatrix()
+
+        return () =>
+        {
+            renderer.setPixelRatio(pixelRatio)
+            renderer.setSize(size.width, size.height)
+            renderer.setClearColor(clearColor, clearAlpha)
+            this.camera.aspect = aspect
+            this.camera.updateProjectionMatrix()
+        }
+    }
+
+    startRecording()
+    {
+        const stream = this.canvas.captureStream(0)
+        const mimeType = [ 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm' ].find((type) => MediaRecorder.isTypeSupported(type))
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 20_000_000 })
+        const chunks = []
+
+        recorder.addEventListener('dataavailable', (event) => chunks.push(event.data))
+        recorder.start()
+
+        return {
+            recorder,
+            track: stream.getVideoTracks()[0],
+            stop: () => new Promise((resolve) =>
+            {
+                recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: 'video/webm' })))
+                recorder.stop()
+            })
+        }
+    }
+
+    download(blob, fileName)
+    {
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = fileName
+        link.click()
+        URL.revokeObjectURL(link.href)
+    }
+}
@@ -0,0 +1,114 @@
+import GUI from 'lil-gui'
+import * as THREE from 'three'
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
+import { Timer } from 'three/addons/misc/Timer.js'
+import CpuParticles from './cpu/CpuParticles.js'
+import { builtinPresets } from './presets/builtinPresets.js'
+
+/**
+ * Base
+ */
+// Canvas
+const canvas = document.querySelector('canvas.canvas')
+
+// Scene
+const scene = new THREE.Scene()
+
+/**
+ * Sizes
+ */
+const sizes = {
+    width: window.innerWidth,
+    height: window.innerHeight
+}
+
+window.addEventListener('resize', () =>
+{
+    // Update sizes
+    sizes.width = window.innerWidth
+    sizes.height = window.innerHeight
+
+    // Update camera
+    camera.aspect = sizes.width / sizes.height
+    camera.updateProjectionMatrix()
+
+    // Update renderer
+    renderer.setSize(sizes.width, sizes.height)
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+})
+
+/**
+ * Camera
+ */
+// Base camera
+const camera = new THREE.PerspectiveCamera(15, sizes.width / sizes.height, 0.1, 100)
+camera.position.x = 5
+camera.position.y = 2.5
+camera.position.z = 6
+scene.add(camera)
+
+// Controls
+const cameraControls = new OrbitControls(camera, canvas)
+cameraControls.enableDamping = true
+
+/**
+ * Renderer (WebGL, without WebGPU the simulation runs on the CPU)
+ */
+const renderer = new THREE.WebGLRenderer({
+    canvas: canvas,
+    antialias: true
+})
+renderer.setSize(sizes.width, sizes.height)
+renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+renderer.setClearColor('#19191f')
+
+/**
+ * Particles
+ */
+const particles = new CpuParticles()
+scene.add(particles.mesh)
+
+/**
+ * Debug
+ */
+const gui = new GUI({
+    width: 400,
+    title: 'CPU fallback (WebGPU is not available)'
+})
+
+const presetState = { preset: 'magicWand' }
+const applyBuiltinPreset = (name) =>
+{
+    particles.applyPreset(builtinPresets[name])
+}
+applyBuiltinPreset(presetState.preset)
+
+gui.add(presetState, 'preset', Object.keys(builtinPresets)).onChange(applyBuiltinPreset)
+gui.add({ reset: () => { particles.simulation.reset() } }, 'reset').name('reset simulation 🔄')
+
+/**
+ * Animate
+ */
+const timer = new Timer()
+
+const tick = () =>
+{
+    // Timer (capped so that a frame after a hidden tab doesn't throw the particles away)
+    timer.update()
+    const deltaTime = Math.min(timer.getDelta(), 1 / 30)
+
+    // Update camera controls
+    cameraControls.update()
+
+    // Particles
+    if(deltaTime > 0)
+        particles.update(deltaTime)
+
+    // Render
+    renderer.render(scene, camera)
+
+    // Call tick again on the next frame
+    requestAnimationFrame(tick)
+}
+
+tick()
@@ -0,0 +1,39 @@
+import { uniform, vec3, saturate } from 'three/tsl'
+import * as THREE from 'three'
+
+export default class AttractorField
+{
+    constructor(strength = 1)
+    {
+        // Setup
+        this.type = 'attractor'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        // A negative strength turns the attractor into a repulsor
+        this.uniforms = {}
+        this.uniforms.position = uniform(vec3())
+        this.uniforms.strength = uniform(strength)
+        this.uniforms.radius = uniform(1)
+        this.uniforms.falloff = uniform(1)
+    }
+
+    apply(position, velocity, delta)
+    {
+        const toCenter = this.uniforms.position.sub(position)
+        const distance = toCenter.length()
+
+        // Full strength at the center, fading to zero at the radius
+        // The exponent is kept above 0 since pow(0, 0) is undefined in WGSL
+        const influence = saturate(distance.div(this.uniforms.radius).oneMinus()).pow(this.uniforms.falloff.max(0.0001))
+        const direction = toCenter.div(distance.max(0.0001))
+
+        velocity.addAssign(direction.mul(influence.mul(this.uniforms.strength).mul(delta)))
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.uniforms.position.value.setFromMatrixPosition(this.object.matrixWorld)
+    }
+}
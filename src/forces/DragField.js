@@ -0,0 +1,28 @@
+import { uniform, min } from 'three/tsl'
+
+export default class DragField
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'drag'
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.linear = uniform(0.5)
+        this.uniforms.quadratic = uniform(0)
+    }
+
+    apply(position, velocity, delta)
+    {
+        // Clamped so a strong drag stops particles instead of reversing them
+        const speed = velocity.length()
+        const drag = min(this.uniforms.linear.add(this.uniforms.quadratic.mul(speed)).mul(delta), 1)
+
+        velocity.subAssign(velocity.mul(drag))
+    }
+
+    update()
+    {
+    }
+}
@@ -0,0 +1,94 @@
+import { uniform, vec3, vec4, float, int, max, If, Loop } from 'three/tsl'
+import { curlNoise3d } from '../tsl/curlNoise3d.js'
+import { curlNoise4d } from '../tsl/curlNoise4d.js'
+import { simplexNoise3d } from '../tsl/simplexNoise3d.js'
+import { simplexNoise4d } from '../tsl/simplexNoise4d.js'
+import { simulationDefaults } from '../simulationParameters.js'
+
+export default class TurbulenceField
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'turbulence'
+
+        // Noise, read when the system builds its update kernel
+        // 'curl3d' is the cheapest and scrolls with the time instead of evolving
+        // 'curl4d' evolves with the time as a 4th dimension
+        // 'fbm' sums `octaves` of the 4D curl, each one `lacunarity` times the frequency and `gain` times the amplitude of the previous
+        this.noise = 'curl4d'
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.strength = uniform(simulationDefaults.turbulence.strength)
+        this.uniforms.timeFrequency = uniform(simulationDefaults.turbulence.timeFrequency)
+        this.uniforms.positionFrequency = uniform(simulationDefaults.turbulence.positionFrequency)
+        this.uniforms.octaves = uniform(3, 'int')
+        this.uniforms.lacunarity = uniform(2)
+        this.uniforms.gain = uniform(0.5)
+        this.uniforms.warpStrength = uniform(0) // Domain warping, off at 0
+        this.uniforms.warpFrequency = uniform(0.5)
+    }
+
+    apply(position, velocity, delta, time)
+    {
+        const turbulenceInput = position.mul(this.uniforms.positionFrequency).add(12.34).toVar()
+        // Split the parameters to avoid "lessThan() parameter length exceeds limit" error
+        const turbulenceTimeParam = time.mul(this.uniforms.timeFrequency).toVar()
+
+        // Domain warping, the input offset by a noise of itself
+        If(this.uniforms.warpStrength.greaterThan(0), () =>
+        {
+            const warpInput = turbulenceInput.mul(this.uniforms.warpFrequency).toVar()
+            const warp = this.noise === 'curl3d'
+                ? vec3(
+                    simplexNoise3d(warpInput),
+                    simplexNoise3d(warpInput.add(vec3(5.2, 1.3, 2.8))),
+                    simplexNoise3d(warpInput.add(vec3(1.7, 9.2, 4.1)))
+                )
+                : vec3(
+                    simplexNoise4d(vec4(warpInput, turbulenceTimeParam)),
+                    simplexNoise4d(vec4(warpInput.add(vec3(5.2, 1.3, 2.8)), turbulenceTimeParam)),
+                    simplexNoise4d(vec4(warpInput.add(vec3(1.7, 9.2, 4.1)), turbulenceTimeParam))
+                )
+
+            turbulenceInput.addAssign(warp.mul(this.uniforms.warpStrength))
+        })
+
+        const turbulence = vec3(0).toVar()
+
+        if(this.noise === 'curl3d')
+        {
+            turbulence.assign(curlNoise3d(turbulenceInput.add(turbulenceTimeParam)))
+        }
+        else if(this.noise === 'fbm')
+        {
+            const frequency = float(1).toVar()
+            const amplitude = float(1).toVar()
+            const amplitudeSum = float(0).toVar()
+
+            Loop({ start: int(0), end: this.uniforms.octaves, type: 'int' }, ({ i }) =>
+            {
+                // Offset octaves so that they don't share their origin
+                const octaveInput = turbulenceInput.mul(frequency).add(float(i).mul(7.89))
+                turbulence.addAssign(curlNoise4d(vec4(octaveInput, turbulenceTimeParam)).mul(amplitude))
+
+                amplitudeSum.addAssign(amplitude)
+                frequency.mulAssign(this.uniforms.lacunarity)
+                amplitude.mulAssign(this.uniforms.gain)
+            })
+
+            turbulence.divAssign(max(amplitudeSum, 0.00001))
+        }
+        else
+        {
+            turbulence.assign(curlNoise4d(vec4(turbulenceInput, turbulenceTimeParam)))
+        }
+
+        velocity.addAssign(turbulence.mul(this.uniforms.strength))
+    }
+
+    update()
+    {
+    }
+}
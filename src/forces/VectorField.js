@@ -0,0 +1,133 @@
+import { uniform, vec4, abs, max, min, select, texture3D } from 'three/tsl'
+import * as THREE from 'three'
+import VectorFieldGrid from './VectorFieldGrid.js'
+
+/**
+ * Velocities read from a `VectorFieldGrid` uploaded as a 3D texture, trilinearly interpolated between the cells.
+ * The grid bounds are in the space of `object`, which places, turns and scales the field (the vectors included).
+ * With a `drag` of 0 the vectors accelerate the particles, above it the velocities are pulled towards them at that rate,
+ * advecting the particles along the flow. `tiling` repeats the field in its bounds, or everywhere when not `bounded`.
+ */
+export default class VectorField
+{
+    constructor(grid = null)
+    {
+        // Setup
+        this.type = 'vectorField'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.strength = uniform(1)
+        this.uniforms.drag = uniform(0)
+        this.uniforms.tiling = uniform(1)
+        this.uniforms.bounded = uniform(1)
+        this.uniforms.boundsMin = uniform(new THREE.Vector3())
+        this.uniforms.boundsSize = uniform(new THREE.Vector3(1, 1, 1))
+        this.uniforms.worldToLocal = uniform(new THREE.Matrix4())
+        this.uniforms.localToWorld = uniform(new THREE.Matrix3())
+
+        // Texture, swapped with the grid
+        this.textureNode = texture3D(new THREE.Data3DTexture())
+        this.grid = grid ?? new VectorFieldGrid(new THREE.Vector3(1, 1, 1))
+    }
+
+    get grid()
+    {
+        return this._grid
+    }
+
+    set grid(value)
+    {
+        this._grid = value
+
+        this.uniforms.boundsMin.value.copy(value.bounds.min)
+        value.bounds.getSize(this.uniforms.boundsSize.value)
+
+        this.updateTexture()
+    }
+
+    /**
+     * Repeated when tiled or not bounded, clamped otherwise so that the edges don't blend with the opposite side.
+     */
+    getWrapping()
+    {
+        return this.uniforms.tiling.value !== 1 || this.uniforms.bounded.value < 0.5 ? THREE.RepeatWrapping : THREE.ClampToEdgeWrapping
+    }
+
+    updateTexture()
+    {
+        const previousTexture = this.textureNode.value
+        this.textureNode.value = this.createTexture(this.grid)
+        previousTexture.dispose()
+    }
+
+    /**
+     * Half floats since float32 textures can't be filtered on every device.
+     */
+    createTexture(grid)
+    {
+        const data = new Uint16Array(grid.cellCount * 4)
+
+        for(let i = 0; i < grid.cellCount; i++)
+        {
+            data[i * 4 + 0] = THREE.DataUtils.toHalfFloat(grid.vectors[i * 3 + 0])
+            data[i * 4 + 1] = THREE.DataUtils.toHalfFloat(grid.vectors[i * 3 + 1])
+            data[i * 4 + 2] = THREE.DataUtils.toHalfFloat(grid.vectors[i * 3 + 2])
+        }
+
+        const texture = new THREE.Data3DTexture(data, grid.resolution.x, grid.resolution.y, grid.resolution.z)
+        texture.format = THREE.RGBAFormat
+        texture.type = THREE.HalfFloatType
+        texture.minFilter = THREE.LinearFilter
+        texture.magFilter = THREE.LinearFilter
+        texture.wrapS = this.getWrapping()
+        texture.wrapT = texture.wrapS
+        texture.wrapR = texture.wrapS
+        texture.unpackAlignment = 1
+        texture.needsUpdate = true
+
+        return texture
+    }
+
+    apply(position, velocity, delta)
+    {
+        // Coordinates in the bounds, from 0 to 1
+        const localPosition = this.uniforms.worldToLocal.mul(vec4(position, 1)).xyz
+        const coordinates = localPosition.sub(this.uniforms.boundsMin).div(this.uniforms.boundsSize).toVar()
+
+        const fromCenter = abs(coordinates.sub(0.5))
+        const isOutside = max(fromCenter.x, max(fromCenter.y, fromCenter.z)).greaterThan(0.5).and(this.uniforms.bounded.greaterThan(0.5))
+        const influence = select(isOutside, 0, 1)
+
+        // Explicit level since compute shaders have no derivatives to pick one
+        const localVector = this.textureNode.sample(coordinates.mul(this.uniforms.tiling)).level(0).xyz
+        const fieldVelocity = this.uniforms.localToWorld.mul(localVector).mul(this.uniforms.strength).mul(influence).toVar()
+
+        // Acceleration, or velocity matching
+        const dragFactor = min(this.uniforms.drag.mul(delta), 1).mul(influence)
+        const acceleration = select(
+            this.uniforms.drag.greaterThan(0),
+            fieldVelocity.sub(velocity).mul(dragFactor),
+            fieldVelocity.mul(delta)
+        )
+
+        velocity.addAssign(acceleration)
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.uniforms.worldToLocal.value.copy(this.object.matrixWorld).invert()
+        this.uniforms.localToWorld.value.setFromMatrix4(this.object.matrixWorld)
+
+        // The sampler is made with the texture, another texture for another wrapping
+        if(this.textureNode.value.wrapS !== this.getWrapping())
+            this.updateTexture()
+    }
+
+    dispose()
+    {
+        this.textureNode.value.dispose()
+    }
+}
@@ -0,0 +1,211 @@
+import * as THREE from 'three'
+import { curlNoise4d } from '../cpu/curlNoise4d.js'
+
+const magic = 'VFLD'
+const version = 1
+
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+
+/**
+ * Vectors sampled at the centers of the cells of a box, the data of a `VectorField`.
+ * `vectors` holds x, y and z for each cell, x varying fastest then y then z.
+ *
+ * Formats:
+ * - JSON `{ resolution: [ x, y, z ], bounds: { min: [ x, y, z ], max: [ x, y, z ] }, vectors: [ ... ] }`
+ * - binary little endian: 'VFLD' magic, uint32 byte length of the header, JSON header `{ version, resolution, bounds }`
+ *   padded with spaces to 4 bytes, then the vectors as float32
+ * - FGA (Fluid Grid ASCII) of the DCC tools: comma separated resolution, bounds min, bounds max, then the vectors
+ */
+export default class VectorFieldGrid
+{
+    constructor(resolution = new THREE.Vector3(16, 16, 16), bounds = new THREE.Box3(new THREE.Vector3(- 1, - 1, - 1), new THREE.Vector3(1, 1, 1)), vectors = null)
+    {
+        this.resolution = resolution.clone()
+        this.bounds = bounds.clone()
+        this.cellCount = this.resolution.x * this.resolution.y * this.resolution.z
+
+        if(!Number.isInteger(this.cellCount) || this.cellCount < 1)
+            throw new Error(`Invalid vector field resolution ${this.resolution.toArray().join(' × ')}`)
+
+        if(this.bounds.isEmpty())
+            throw new Error('The vector field bounds are empty')
+
+        if(vectors && vectors.length !== this.cellCount * 3)
+            throw new Error(`The vector field has ${vectors.length / 3} vectors instead of ${this.cellCount}`)
+
+        this.vectors = vectors ?? new Float32Array(this.cellCount * 3)
+    }
+
+    getCellIndex(x, y, z)
+    {
+        return x + (y + z * this.resolution.y) * this.resolution.x
+    }
+
+    /**
+     * Center of a cell, in `target`.
+     */
+    getCellCenter(x, y, z, target = new THREE.Vector3())
+    {
+        const size = this.bounds.getSize(target)
+
+        return target.set(
+            this.bounds.min.x + (x + 0.5) / this.resolution.x * size.x,
+            this.bounds.min.y + (y + 0.5) / this.resolution.y * size.y,
+            this.bounds.min.z + (z + 0.5) / this.resolution.z * size.z
+        )
+    }
+
+    toJSON()
+    {
+        return {
+            resolution: this.resolution.toArray(),
+            bounds: { min: this.bounds.min.toArray(), max: this.bounds.max.toArray() },
+            vectors: Array.from(this.vectors)
+        }
+    }
+
+    toArrayBuffer()
+    {
+        // Header
+        const header = {
+            version,
+            resolution: this.resolution.toArray(),
+            bounds: { min: this.bounds.min.toArray(), max: this.bounds.max.toArray() }
+        }
+        let json = JSON.stringify(header)
+        json += ' '.repeat((4 - (new TextEncoder().encode(json).length % 4)) % 4)
+        const headerBytes = new TextEncoder().encode(json)
+
+        // Vectors
+        const buffer = new ArrayBuffer(8 + headerBytes.length + this.vectors.length * 4)
+        const view = new DataView(buffer)
+
+        for(let i = 0; i < 4; i++)
+            view.setUint8(i, magic.charCodeAt(i))
+
+        view.setUint32(4, headerBytes.length, true)
+        new Uint8Array(buffer, 8, headerBytes.length).set(headerBytes)
+        new Float32Array(buffer, 8 + headerBytes.length).set(this.vectors)
+
+        return buffer
+    }
+
+    toFga()
+    {
+        const lines = [
+            this.resolution.toArray(),
+            this.bounds.min.toArray(),
+            this.bounds.max.toArray()
+        ]
+
+        for(let i = 0; i < this.cellCount; i++)
+            lines.push(this.vectors.subarray(i * 3, i * 3 + 3))
+
+        return lines.map((line) => `${Array.from(line).join(',')},`).join('\n')
+    }
+
+    static fromJSON(json)
+    {
+        const data = typeof json === 'string' ? JSON.parse(json) : json
+
+        if(!Array.isArray(data?.resolution) || !Array.isArray(data.bounds?.min) || !Array.isArray(data.bounds?.max) || !Array.isArray(data.vectors))
+            throw new Error('Not a vector field, expected { resolution, bounds: { min, max }, vectors }')
+
+        return new VectorFieldGrid(
+            new THREE.Vector3().fromArray(data.resolution),
+            new THREE.Box3(new THREE.Vector3().fromArray(data.bounds.min), new THREE.Vector3().fromArray(data.bounds.max)),
+            new Float32Array(data.vectors)
+        )
+    }
+
+    static fromArrayBuffer(buffer)
+    {
+        const view = new DataView(buffer)
+
+        if(buffer.byteLength < 8 || String.fromCharCode(...new Uint8Array(buffer, 0, 4)) !== magic)
+            throw new Error('Not a vector field')
+
+        // Header, padded so that the vectors are aligned for their float32 view
+        const headerLength = view.getUint32(4, true)
+
+        if(headerLength > buffer.byteLength - 8 || headerLength % 4 !== 0)
+            throw new Error(`Not a vector field, invalid header length of ${headerLength} bytes`)
+
+        let header = null
+
+        try
+        {
+            header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)))
+        }
+        catch(error)
+        {
+            throw new Error('Not a vector field, the header is not JSON')
+        }
+
+        if(!isVector3(header?.resolution) || !isVector3(header.bounds?.min) || !isVector3(header.bounds?.max))
+            throw new Error('Not a vector field, expected a header { version, resolution, bounds: { min, max } } of 3 numbers each')
+
+        if(!header.resolution.every((value) => Number.isInteger(value) && value > 0))
+            throw new Error(`Invalid vector field resolution ${header.resolution.join(' × ')}`)
+
+        if(header.version > version)
+            throw new Error(`Vector field version ${header.version} is newer than the supported version ${version}`)
+
+        const resolution = new THREE.Vector3().fromArray(header.resolution)
+        const vectorsLength = resolution.x * resolution.y * resolution.z * 3
+
+        if(buffer.byteLength < 8 + headerLength + vectorsLength * 4)
+            throw new Error('The vector field is truncated')
+
+        return new VectorFieldGrid(
+            resolution,
+            new THREE.Box3(new THREE.Vector3().fromArray(header.bounds.min), new THREE.Vector3().fromArray(header.bounds.max)),
+            new Float32Array(buffer, 8 + headerLength, vectorsLength)
+        )
+    }
+
+    static fromFga(text)
+    {
+        const values = text.split(/[\s,]+/).filter((value) => value !== '').map(Number)
+
+        if(values.length < 9 || values.some((value) => Number.isNaN(value)))
+            throw new Error('Not an FGA vector field')
+
+        const resolution = new THREE.Vector3().fromArray(values, 0)
+        const bounds = new THREE.Box3(new THREE.Vector3().fromArray(values, 3), new THREE.Vector3().fromArray(values, 6))
+        const vectorsLength = resolution.x * resolution.y * resolution.z * 3
+
+        if(values.length < 9 + vectorsLength)
+            throw new Error('The FGA vector field is truncated')
+
+        return new VectorFieldGrid(resolution, bounds, new Float32Array(values.slice(9, 9 + vectorsLength)))
+    }
+
+    /**
+     * Curl noise of the turbulence at `time` in the cells, without its strength, so that a `VectorField` can replace the
+     * analytical noise with a texture read. `turbulence` holds the `positionFrequency` and `timeFrequency`.
+     */
+    static fromCurlNoise(turbulence, time = 0, resolution = new THREE.Vector3(32, 32, 32), bounds = undefined)
+    {
+        const grid = new VectorFieldGrid(resolution, bounds)
+        const center = new THREE.Vector3()
+        const vector = [ 0, 0, 0 ]
+        const w = time * turbulence.timeFrequency
+
+        for(let z = 0; z < grid.resolution.z; z++)
+        {
+            for(let y = 0; y < grid.resolution.y; y++)
+            {
+                for(let x = 0; x < grid.resolution.x; x++)
+                {
+                    // Same input as the turbulence field
+                    grid.getCellCenter(x, y, z, center).multiplyScalar(turbulence.positionFrequency).addScalar(12.34)
+                    curlNoise4d(center.x, center.y, center.z, w, vector)
+                    grid.vectors.set(vector, grid.getCellIndex(x, y, z) * 3)
+                }
+            }
+        }
+
+        return grid
+    }
+}
@@ -0,0 +1,48 @@
+import { uniform, vec3, saturate, cross } from 'three/tsl'
+import * as THREE from 'three'
+
+export default class VortexField
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'vortex'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.position = uniform(vec3())
+        this.uniforms.axis = uniform(vec3(0, 1, 0))
+        this.uniforms.strength = uniform(1)
+        this.uniforms.pull = uniform(0)
+        this.uniforms.radius = uniform(1)
+        this.uniforms.falloff = uniform(1)
+    }
+
+    apply(position, velocity, delta)
+    {
+        // Offset from the axis, perpendicular to it
+        const offset = position.sub(this.uniforms.position)
+        const radial = offset.sub(this.uniforms.axis.mul(offset.dot(this.uniforms.axis)))
+        const distance = radial.length()
+        const radialDirection = radial.div(distance.max(0.0001))
+
+        // The exponent is kept above 0 since pow(0, 0) is undefined in WGSL
+        const influence = saturate(distance.div(this.uniforms.radius).oneMinus()).pow(this.uniforms.falloff.max(0.0001))
+
+        // Swirl around the axis and optionally pull toward it
+        const swirl = cross(this.uniforms.axis, radialDirection).mul(this.uniforms.strength)
+        const pull = radialDirection.mul(this.uniforms.pull.negate())
+
+        velocity.addAssign(swirl.add(pull).mul(influence.mul(delta)))
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+        this.uniforms.position.value.setFromMatrixPosition(this.object.matrixWorld)
+
+        // Object's local Y is the axis
+        this.uniforms.axis.value.set(0, 1, 0).transformDirection(this.object.matrixWorld)
+    }
+}
@@ -0,0 +1,39 @@
+import { uniform, vec3, sin, PI2 } from 'three/tsl'
+import * as THREE from 'three'
+
+export default class WindField
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'wind'
+        this.object = new THREE.Object3D()
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.direction = uniform(vec3(1, 0, 0))
+        this.uniforms.strength = uniform(0.5)
+        this.uniforms.gustStrength = uniform(0.5)
+        this.uniforms.gustFrequency = uniform(0.5)
+        this.uniforms.gustScale = uniform(1)
+    }
+
+    apply(position, velocity, delta, time)
+    {
+        // Two detuned waves travelling along the wind make irregular gusts
+        const phase = time.mul(this.uniforms.gustFrequency).sub(position.dot(this.uniforms.direction).mul(this.uniforms.gustScale))
+        const waveA = sin(phase.mul(PI2))
+        const waveB = sin(phase.mul(PI2).mul(2.31).add(1.7))
+        const gust = waveA.add(waveB).mul(0.25).add(0.5).mul(this.uniforms.gustStrength)
+
+        velocity.addAssign(this.uniforms.direction.mul(this.uniforms.strength.mul(gust.add(1)).mul(delta)))
+    }
+
+    update()
+    {
+        this.object.updateWorldMatrix(true, false)
+
+        // Object's local X is the blowing direction
+        this.uniforms.direction.value.set(1, 0, 0).transformDirection(this.object.matrixWorld)
+    }
+}
@@ -0,0 +1,7 @@
+// The WebGPU particles, or their CPU simulation on machines without WebGPU
+const adapter = await navigator.gpu?.requestAdapter()
+
+if(adapter)
+    await import('./script.js')
+else
+    await import('./fallback.js')
@@ -0,0 +1,222 @@
+import { Fn, If, Loop, uniform, vec3, float, uint, instanceIndex, max, min, clamp, select } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { StorageInstancedBufferAttribute } from 'three/webgpu'
+import * as THREE from 'three'
+
+/**
+ * Flocking (Reynolds boids) of the particles of a system, added with `system.addSolver()`.
+ * A steering pass dispatched before the update kernel accumulates the separation, alignment and cohesion of each particle
+ * with its neighbours, the pull back into the bounds and the flight from the predator or the seek of the goal,
+ * then the update kernel adds it to the velocity and limits the speed.
+ * Neighbours are looked up in a `SpatialHashGrid` added to the system before the boids, or without `grid` among every other
+ * living particle, in which case the cost grows with the square of the count.
+ */
+export default class BoidsSystem
+{
+    constructor(grid = null)
+    {
+        // Setup
+        this.type = 'boids'
+        this.system = null
+        this._grid = grid
+
+        // Predator and goal, placed through their objects and enabled by a weight above 0
+        this.predator = new THREE.Object3D()
+        this.goal = new THREE.Object3D()
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.separationRadius = uniform(0.1)
+        this.uniforms.separationWeight = uniform(1.5)
+        this.uniforms.alignmentRadius = uniform(0.25)
+        this.uniforms.alignmentWeight = uniform(1)
+        this.uniforms.cohesionRadius = uniform(0.25)
+        this.uniforms.cohesionWeight = uniform(1)
+        this.uniforms.maxSpeed = uniform(1)
+        this.uniforms.maxForce = uniform(2) // Steering acceleration of each rule
+        this.uniforms.boundsCenter = uniform(vec3(0, 0, 0))
+        this.uniforms.boundsSize = uniform(vec3(2, 1.5, 2)) // Half sizes
+        this.uniforms.boundsWeight = uniform(2)
+        this.uniforms.predatorPosition = uniform(vec3())
+        this.uniforms.predatorRadius = uniform(0.5)
+        this.uniforms.predatorWeight = uniform(0)
+        this.uniforms.goalPosition = uniform(vec3())
+        this.uniforms.goalWeight = uniform(0)
+    }
+
+    get grid()
+    {
+        return this._grid
+    }
+
+    set grid(value)
+    {
+        this._grid = value
+
+        if(this.system)
+            this.system.rebuild()
+    }
+
+    /**
+     * Creates the steering pass over the buffers of `system`, called by the system whenever it (re)initializes.
+     */
+    build(system)
+    {
+        this.system = system
+        this.steeringBuffer = storage(new StorageInstancedBufferAttribute(system.count, 3), 'vec3', system.count)
+
+        const steer = Fn(() =>
+        {
+            const position = system.positionBuffer.element(instanceIndex).toVar()
+            const velocity = system.velocityBuffer.element(instanceIndex).toVar()
+            const steering = vec3(0).toVar()
+
+            If(system.lifeBuffer.element(instanceIndex).lessThan(1), () =>
+            {
+                // Neighbours
+                const separation = vec3(0).toVar()
+                const separationCount = float(0).toVar()
+                const alignment = vec3(0).toVar()
+                const alignmentCount = float(0).toVar()
+                const cohesion = vec3(0).toVar()
+                const cohesionCount = float(0).toVar()
+
+                const addNeighbour = (i) =>
+                {
+                    If(i.notEqual(instanceIndex).and(system.lifeBuffer.element(i).lessThan(1)), () =>
+                    {
+                        const otherPosition = system.positionBuffer.element(i)
+                        const toOther = otherPosition.sub(position).toVar()
+                        const distance = toOther.length().toVar()
+
+                        // Away from the close ones, more the closer
+                        If(distance.lessThan(this.uniforms.separationRadius).and(distance.greaterThan(0.00001)), () =>
+                        {
+                            separation.subAssign(toOther.div(distance.mul(distance)))
+                            separationCount.addAssign(1)
+                        })
+
+                        If(distance.lessThan(this.uniforms.alignmentRadius), () =>
+                        {
+                            alignment.addAssign(system.velocityBuffer.element(i))
+                            alignmentCount.addAssign(1)
+                        })
+
+                        If(distance.lessThan(this.uniforms.cohesionRadius), () =>
+                        {
+                            cohesion.addAssign(otherPosition)
+                            cohesionCount.addAssign(1)
+                        })
+                    })
+                }
+
+                if(this._grid)
+                {
+                    const radius = max(this.uniforms.separationRadius, this.uniforms.alignmentRadius, this.uniforms.cohesionRadius)
+                    this._grid.forEachNeighbor(position, radius, addNeighbour)
+                }
+                else
+                {
+                    Loop({ start: uint(0), end: system.uniforms.activeCount, type: 'uint' }, ({ i }) =>
+                    {
+                        addNeighbour(i)
+                    })
+                }
+
+                // Rules, each one steering towards a desired velocity at full speed
+                const steerTowards = (direction) =>
+                {
+                    const desired = direction.div(max(direction.length(), 0.00001)).mul(this.uniforms.maxSpeed)
+                    const force = desired.sub(velocity).toVar()
+                    const forceLength = force.length()
+
+                    return select(forceLength.greaterThan(this.uniforms.maxForce), force.mul(this.uniforms.maxForce.div(forceLength)), force)
+                }
+
+                If(separationCount.greaterThan(0), () =>
+                {
+                    steering.addAssign(steerTowards(separation).mul(this.uniforms.separationWeight))
+                })
+
+                If(alignmentCount.greaterThan(0), () =>
+                {
+                    steering.addAssign(steerTowards(alignment).mul(this.uniforms.alignmentWeight))
+                })
+
+                If(cohesionCount.greaterThan(0), () =>
+                {
+                    steering.addAssign(steerTowards(cohesion.div(cohesionCount).sub(position)).mul(this.uniforms.cohesionWeight))
+                })
+
+                // Back inside the bounds
+                const boundsMin = this.uniforms.boundsCenter.sub(this.uniforms.boundsSize)
+                const boundsMax = this.uniforms.boundsCenter.add(this.uniforms.boundsSize)
+                const toBounds = clamp(position, boundsMin, boundsMax).sub(position).toVar()
+
+                If(toBounds.length().greaterThan(0), () =>
+                {
+                    steering.addAssign(steerTowards(toBounds).mul(this.uniforms.boundsWeight))
+                })
+
+                // Away from the predator
+                const fromPredator = position.sub(this.uniforms.predatorPosition).toVar()
+
+                If(this.uniforms.predatorWeight.greaterThan(0).and(fromPredator.length().lessThan(this.uniforms.predatorRadius)), () =>
+                {
+                    steering.addAssign(steerTowards(fromPredator).mul(this.uniforms.predatorWeight))
+                })
+
+                // Towards the goal
+                If(this.uniforms.goalWeight.greaterThan(0), () =>
+                {
+                    steering.addAssign(steerTowards(this.uniforms.goalPosition.sub(position)).mul(this.uniforms.goalWeight))
+                })
+            })
+
+            // The threads beyond the count of the last workgroup would write the last particle again
+            If(instanceIndex.lessThan(uint(system.count)), () =>
+            {
+                this.steeringBuffer.element(instanceIndex).assign(steering)
+            })
+        })
+        this.steerCompute = steer().compute(system.count)
+    }
+
+    /**
+     * Compute nodes dispatched before the update kernel.
+     */
+    get computeNodes()
+    {
+        return [ this.steerCompute ]
+    }
+
+    /**
+     * Called in the update kernel before the force fields.
+     */
+    apply(position, velocity, delta)
+    {
+        velocity.addAssign(this.steeringBuffer.element(instanceIndex).mul(delta))
+
+        // Speed limit
+        const speed = velocity.length()
+        velocity.mulAssign(min(this.uniforms.maxSpeed.div(max(speed, 0.00001)), 1))
+    }
+
+    update()
+    {
+        this.predator.updateWorldMatrix(true, false)
+        this.uniforms.predatorPosition.value.setFromMatrixPosition(this.predator.matrixWorld)
+
+        this.goal.updateWorldMatrix(true, false)
+        this.uniforms.goalPosition.value.setFromMatrixPosition(this.goal.matrixWorld)
+    }
+
+    dispose()
+    {
+        if(this.steerCompute)
+        {
+            this.steeringBuffer.dispose()
+            this.steerCompute.dispose()
+        }
+    }
+}
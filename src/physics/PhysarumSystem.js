@@ -0,0 +1,435 @@
+import { Fn, If, Loop, uniform, vec3, vec4, float, uint, bool, instanceIndex, floor, fract, min, max, cos, sin, mix, clamp, uv, positionLocal, atomicAdd, atomicLoad, atomicStore } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { MeshBasicNodeMaterial, SpriteNodeMaterial, StorageBufferAttribute } from 'three/webgpu'
+import { orthonormalBasis } from '../tsl/orthonormalBasis.js'
+import { randomDirection } from '../tsl/randomDirection.js'
+import { seededHash } from '../tsl/seededHash.js'
+import { randomSalts } from '../simulationParameters.js'
+import * as THREE from 'three'
+
+const maxCells = 512 * 512
+const depositScale = 1000 // Deposits are accumulated as fixed point integers since atomics don't work on floats
+
+/**
+ * Physarum (slime mold) agents over a trail field, the solver of the 'physarum' `simulationMode`.
+ * Each particle moves at `speed` along its heading, senses the trail ahead and to the sides at `sensorAngle` and `sensorDistance`,
+ * turns towards the strongest at `turnRate` (randomly when ahead is the weakest) and deposits into its cell of the field.
+ * A pass before the update kernel diffuses and decays the field then adds the last step deposits.
+ *
+ * The field is a `resolution` wide square on the XZ plane at the center height (`dimensions` 2), where the agents are kept,
+ * or a cube (`dimensions` 3), `size` wide around `center` in both cases. Agents leaving it wrap around.
+ */
+export default class PhysarumSystem
+{
+    constructor({ dimensions = 2, resolution = 256 } = {})
+    {
+        // Setup
+        this.type = 'physarum'
+        this.system = null
+        this._dimensions = dimensions
+        this._resolution = resolution
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.speed = uniform(0.3)
+        this.uniforms.sensorAngle = uniform(0.5)
+        this.uniforms.sensorDistance = uniform(0.06)
+        this.uniforms.turnRate = uniform(8) // Radians per second
+        this.uniforms.deposit = uniform(1) // Per second
+        this.uniforms.decay = uniform(1) // Fraction lost per second
+        this.uniforms.diffusion = uniform(0.5) // Blur mixed in each step
+        this.uniforms.size = uniform(3)
+        this.uniforms.center = uniform(new THREE.Vector3(0, - 0.9, 0))
+        this.uniforms.trailColor = uniform(new THREE.Color('#ffdd55'))
+        this.uniforms.displayIntensity = uniform(0.2)
+
+        // Display
+        this.overlayMesh = null
+        this.volumeMesh = null
+
+        this.configure()
+    }
+
+    get dimensions()
+    {
+        return this._dimensions
+    }
+
+    set dimensions(value)
+    {
+        this._dimensions = value
+
+        this.configure()
+    }
+
+    get resolution()
+    {
+        return this._resolution
+    }
+
+    set resolution(value)
+    {
+        this._resolution = value
+
+        this.configure()
+    }
+
+    /**
+     * Allocates the field for the current `dimensions` and `resolution`, then rebuilds the passes.
+     */
+    configure()
+    {
+        // Resolution capped so that a cube doesn't allocate millions of cells
+        this._resolution = Math.max(2, Math.min(Math.round(this._resolution), Math.floor(Math.pow(maxCells, 1 / this._dimensions))))
+        this.cellCount = Math.pow(this._resolution, this._dimensions)
+
+        // Buffers
+        if(this.trailBuffer)
+        {
+            this.trailBuffer.dispose()
+            this.nextTrailBuffer.dispose()
+            this.depositBuffer.dispose()
+        }
+
+        this.trailBuffer = storage(new StorageBufferAttribute(this.cellCount, 1), 'float', this.cellCount)
+        this.nextTrailBuffer = storage(new StorageBufferAttribute(this.cellCount, 1), 'float', this.cellCount)
+        this.depositBuffer = storage(new StorageBufferAttribute(new Uint32Array(this.cellCount), 1), 'uint', this.cellCount).toAtomic()
+
+        // Clear, made once per field and dispatched by `build()`
+        if(this.clearCompute)
+            this.clearCompute.dispose()
+
+        const clear = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(this.cellCount)), () =>
+            {
+                this.trailBuffer.element(instanceIndex).assign(0)
+                this.nextTrailBuffer.element(instanceIndex).assign(0)
+                atomicStore(this.depositBuffer.element(instanceIndex), uint(0))
+            })
+        })
+        this.clearCompute = clear().compute(this.cellCount)
+
+        // Display meshes follow the new field
+        for(const [ name, create ] of [ [ 'overlayMesh', () => this.createOverlayMesh() ], [ 'volumeMesh', () => this.createVolumeMesh() ] ])
+        {
+            if(!this[name])
+                continue
+
+            const parent = this[name].parent
+            this.disposeMesh(name)
+            create()
+
+            if(parent)
+                parent.add(this[name])
+        }
+
+        if(this.system)
+            this.system.rebuild()
+    }
+
+    get fieldMin()
+    {
+        return this.uniforms.center.sub(this.uniforms.size.mul(0.5))
+    }
+
+    /**
+     * Index of the field cell of a position, wrapped around the field.
+     */
+    getCellIndex(position)
+    {
+        const resolution = this._resolution
+        const cell = min(floor(fract(position.sub(this.fieldMin).div(this.uniforms.size)).mul(resolution)), resolution - 1)
+
+        if(this._dimensions === 2)
+            return uint(cell.z).mul(resolution).add(uint(cell.x))
+
+        return uint(cell.z).mul(resolution).add(uint(cell.y)).mul(resolution).add(uint(cell.x))
+    }
+
+    sense(position)
+    {
+        return this.trailBuffer.element(this.getCellIndex(position))
+    }
+
+    /**
+     * Creates the diffusion pass over the field, called by the system whenever it (re)initializes.
+     */
+    build(system, previousParticles = null)
+    {
+        this.system = system
+
+        // Agents that don't carry over start on an empty field, so that a reset replays identically
+        if(!previousParticles)
+            system.renderer.computeAsync(this.clearCompute)
+
+        const resolution = this._resolution
+        const is3d = this._dimensions === 3
+
+        // Blur of the neighbouring cells wrapped around, then decay and deposits
+        const diffuse = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(this.cellCount)), () =>
+            {
+                const x = instanceIndex.mod(resolution).toVar()
+                const y = is3d ? instanceIndex.div(resolution).mod(resolution).toVar() : uint(0)
+                const z = instanceIndex.div(is3d ? resolution * resolution : resolution).toVar()
+                const blurred = float(0).toVar()
+                const offsets = is3d ? [ - 1, 0, 1 ] : [ 0 ]
+                const neighbours = is3d ? 27 : 9
+
+                for(const offsetZ of [ - 1, 0, 1 ])
+                {
+                    for(const offsetY of offsets)
+                    {
+                        for(const offsetX of [ - 1, 0, 1 ])
+                        {
+                            const wrap = (value, offset) => value.add(resolution + offset).mod(resolution)
+                            const index = is3d
+                                ? wrap(z, offsetZ).mul(resolution).add(wrap(y, offsetY)).mul(resolution).add(wrap(x, offsetX))
+                                : wrap(z, offsetZ).mul(resolution).add(wrap(x, offsetX))
+
+                            blurred.addAssign(this.trailBuffer.element(index))
+                        }
+                    }
+                }
+
+                const delta = system.uniforms.deltaTime
+                const value = mix(this.trailBuffer.element(instanceIndex), blurred.div(neighbours), this.uniforms.diffusion)
+                const deposited = float(atomicLoad(this.depositBuffer.element(instanceIndex))).div(depositScale)
+
+                this.nextTrailBuffer.element(instanceIndex).assign(value.mul(max(this.uniforms.decay.mul(delta).oneMinus(), 0)).add(deposited))
+                atomicStore(this.depositBuffer.element(instanceIndex), uint(0))
+            })
+        })
+        this.diffuseCompute = diffuse().compute(this.cellCount)
+
+        // Every cell blurred the same field, written after
+        const swap = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(this.cellCount)), () =>
+            {
+                this.trailBuffer.element(instanceIndex).assign(this.nextTrailBuffer.element(instanceIndex))
+            })
+        })
+        this.swapCompute = swap().compute(this.cellCount)
+    }
+
+    /**
+     * Compute nodes dispatched before the update kernel.
+     */
+    get computeNodes()
+    {
+        return [ this.diffuseCompute, this.swapCompute ]
+    }
+
+    /**
+     * Called in the update kernel before the force fields, steering the agent and depositing.
+     */
+    apply(position, velocity, delta, time)
+    {
+        const is3d = this._dimensions === 3
+        const system = this.system
+        const stepSeed = system.uniforms.seed.add(uint(time.mul(1000)))
+        const random = (salt) => seededHash(instanceIndex, stepSeed, randomSalts.physarumTurn + salt)
+
+        // Flat fields keep the agents on their plane
+        if(!is3d)
+        {
+            position.y.assign(this.uniforms.center.y)
+            velocity.y.assign(0)
+        }
+
+        // Heading, random when still
+        const speed = velocity.length()
+        const heading = velocity.div(max(speed, 0.00001)).toVar()
+
+        If(speed.lessThan(0.00001), () =>
+        {
+            if(is3d)
+            {
+                heading.assign(randomDirection(random(0), random(1)))
+            }
+            else
+            {
+                const angle = random(0).mul(Math.PI * 2)
+                heading.assign(vec3(cos(angle), 0, sin(angle)))
+            }
+        })
+
+        // Sensors ahead and at the angle on the sides (and above and below in 3D)
+        const basis = orthonormalBasis(heading).toVar()
+        const sides = is3d ? [ basis[0], basis[0].negate(), basis[1], basis[1].negate() ] : [ vec3(heading.z, 0, heading.x.negate()), vec3(heading.z.negate(), 0, heading.x) ]
+        const forwardValue = this.sense(position.add(heading.mul(this.uniforms.sensorDistance))).toVar()
+        const bestValue = float(- 1).toVar()
+        const bestDirection = heading.toVar()
+        const isForwardWeakest = bool(true).toVar()
+        const sensorDirections = sides.map((side) => heading.mul(cos(this.uniforms.sensorAngle)).add(side.mul(sin(this.uniforms.sensorAngle))))
+        const randomSide = uint(random(2).mul(sides.length)).toVar()
+
+        for(const sensorDirection of sensorDirections)
+        {
+            const direction = sensorDirection.toVar()
+            const value = this.sense(position.add(direction.mul(this.uniforms.sensorDistance))).toVar()
+            isForwardWeakest.assign(isForwardWeakest.and(value.greaterThan(forwardValue)))
+
+            If(value.greaterThan(bestValue), () =>
+            {
+                bestValue.assign(value)
+                bestDirection.assign(direction)
+            })
+        }
+
+        const turnDirection = bestDirection.toVar()
+
+        If(isForwardWeakest, () =>
+        {
+            turnDirection.assign(sensorDirections[0])
+
+            for(let index = 1; index < sensorDirections.length; index++)
+            {
+                If(randomSide.equal(uint(index)), () =>
+                {
+                    turnDirection.assign(sensorDirections[index])
+                })
+            }
+        })
+
+        // Turn towards it, unless ahead is already the strongest
+        If(isForwardWeakest.or(bestValue.greaterThan(forwardValue)), () =>
+        {
+            const perpendicular = turnDirection.sub(heading.mul(turnDirection.dot(heading)))
+            const turn = min(this.uniforms.turnRate.mul(delta), this.uniforms.sensorAngle)
+            const normalizedPerpendicular = perpendicular.div(max(perpendicular.length(), 0.00001))
+            heading.assign(heading.mul(cos(turn)).add(normalizedPerpendicular.mul(sin(turn))).normalize())
+        })
+
+        velocity.assign(heading.mul(this.uniforms.speed))
+
+        // Wrapped around the field
+        const fieldMin = this.fieldMin
+        const wrapped = fieldMin.add(fract(position.sub(fieldMin).div(this.uniforms.size)).mul(this.uniforms.size))
+
+        if(is3d)
+        {
+            position.assign(wrapped)
+        }
+        else
+        {
+            position.x.assign(wrapped.x)
+            position.z.assign(wrapped.z)
+        }
+
+        // Deposit
+        atomicAdd(this.depositBuffer.element(this.getCellIndex(position)), uint(this.uniforms.deposit.mul(delta).mul(depositScale)))
+    }
+
+    update()
+    {
+    }
+
+    /**
+     * Trail field on a plane, at the center height in 2D or summed over the height at the bottom of the cube in 3D, to add to the scene.
+     */
+    createOverlayMesh()
+    {
+        if(this.overlayMesh)
+            return this.overlayMesh
+
+        const resolution = this._resolution
+        const is3d = this._dimensions === 3
+        const material = new MeshBasicNodeMaterial({ transparent: true, blending: THREE.AdditiveBlending, depthWrite: false, side: THREE.DoubleSide })
+
+        // Plane lying on XZ from -0.5 to 0.5
+        const height = is3d ? this.uniforms.size.mul(- 0.5).add(0.005) : float(0.005)
+        material.positionNode = positionLocal.mul(this.uniforms.size).add(this.uniforms.center).add(vec3(0, height, 0))
+
+        material.colorNode = Fn(() =>
+        {
+            const x = uint(min(uv().x.mul(resolution), resolution - 1))
+            const z = uint(min(uv().y.oneMinus().mul(resolution), resolution - 1))
+            const value = float(0).toVar()
+
+            if(is3d)
+            {
+                Loop(resolution, ({ i }) =>
+                {
+                    value.addAssign(this.trailBuffer.element(z.mul(resolution).add(uint(i)).mul(resolution).add(x)))
+                })
+                value.divAssign(resolution)
+            }
+            else
+            {
+                value.assign(this.trailBuffer.element(z.mul(resolution).add(x)))
+            }
+
+            const intensity = value.mul(this.uniforms.displayIntensity)
+
+            return vec4(this.uniforms.trailColor.mul(intensity), clamp(intensity, 0, 1))
+        })()
+
+        const geometry = new THREE.PlaneGeometry(1, 1)
+        geometry.rotateX(- Math.PI * 0.5)
+
+        this.overlayMesh = new THREE.Mesh(geometry, material)
+        this.overlayMesh.frustumCulled = false
+
+        return this.overlayMesh
+    }
+
+    /**
+     * Glowing sprite per cell of the trail field, to add to the scene.
+     */
+    createVolumeMesh()
+    {
+        if(this.volumeMesh)
+            return this.volumeMesh
+
+        const resolution = this._resolution
+        const is3d = this._dimensions === 3
+        const material = new SpriteNodeMaterial({ transparent: true, blending: THREE.AdditiveBlending, depthWrite: false })
+
+        const value = this.trailBuffer.element(instanceIndex)
+        const cell = vec3(
+            instanceIndex.mod(resolution),
+            is3d ? instanceIndex.div(resolution).mod(resolution) : float(resolution * 0.5 - 0.5),
+            instanceIndex.div(is3d ? resolution * resolution : resolution)
+        )
+        const cellSize = this.uniforms.size.div(resolution)
+        material.positionNode = cell.add(0.5).mul(cellSize).add(this.fieldMin)
+
+        // Empty cells collapse to a point
+        const intensity = value.mul(this.uniforms.displayIntensity)
+        material.scaleNode = cellSize.mul(2).mul(min(intensity.mul(4), 1))
+        material.colorNode = vec4(this.uniforms.trailColor.mul(intensity), clamp(uv().sub(0.5).length().mul(2).oneMinus(), 0, 1).mul(clamp(intensity, 0, 1)))
+
+        this.volumeMesh = new THREE.InstancedMesh(new THREE.PlaneGeometry(1, 1), material, this.cellCount)
+        this.volumeMesh.frustumCulled = false
+
+        return this.volumeMesh
+    }
+
+    disposeMesh(name)
+    {
+        const mesh = this[name]
+
+        if(!mesh)
+            return
+
+        mesh.removeFromParent()
+        mesh.geometry.dispose()
+        mesh.material.dispose()
+        this[name] = null
+    }
+
+    dispose()
+    {
+        this.clearCompute.dispose()
+
+        if(this.diffuseCompute)
+        {
+            this.diffuseCompute.dispose()
+            this.swapCompute.dispose()
+        }
+    }
+}
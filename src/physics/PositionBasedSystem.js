@@ -0,0 +1,689 @@
+import { Fn, If, Loop, uniform, vec3, float, uint, instanceIndex, max, select, cross, attribute } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { LineBasicNodeMaterial, MeshStandardNodeMaterial, StorageBufferAttribute } from 'three/webgpu'
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js'
+import * as THREE from 'three'
+
+const noPin = 0xffffffff
+const pinPosition = new THREE.Vector3()
+
+const constraintTypes = {
+    distance: 0,
+    bending: 1,
+    volume: 2
+}
+
+/**
+ * Position based dynamics bodies (ropes, cloths and blobs) made of the first particles of a system, added with `system.addSolver()`.
+ * The update kernel moves the bodies' particles like the others (gravity, force fields, floor and colliders), then passes dispatched after it
+ * project the predicted positions on the constraints and derive the velocities from the corrected motion.
+ *
+ * Constraints are solved in parallel (Jacobi): each particle gathers the corrections of its own constraints, averaged and scaled by `relaxation`,
+ * `iterations` times. Distance constraints keep the edges length, bending ones keep a particle off the middle of its two neighbours as at rest,
+ * and volume ones inflate closed bodies to `pressure` times their rest volume.
+ * Pinned particles follow an `Object3D`. The bodies' particles are held at `life` so that they never die, and get placed at rest
+ * whenever the bodies change or the particles start over.
+ */
+export default class PositionBasedSystem
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'pbd'
+        this.system = null
+        this.bodies = []
+        this.particleCount = 0
+        this.iterations = 8 // Read by `postUpdateComputeNodes`, no rebuild needed
+        this.showParticles = true
+        this.needsPlacement = true
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.distanceStiffness = uniform(1)
+        this.uniforms.bendingStiffness = uniform(0.2)
+        this.uniforms.volumeStiffness = uniform(1)
+        this.uniforms.pressure = uniform(1)
+        this.uniforms.relaxation = uniform(1.5)
+        this.uniforms.life = uniform(0.5)
+        this.uniforms.placing = uniform(0)
+        this.uniforms.meshColor = uniform(new THREE.Color('#ff7300'))
+
+        // Mesh of the cloths and blobs surfaces and of the ropes, following the particles
+        this.mesh = new THREE.Group()
+    }
+
+    /**
+     * Chain of `segments` particles hanging from `position` along `direction`, the first one pinned to `pinObject` if any.
+     */
+    addRope({ position = new THREE.Vector3(), direction = new THREE.Vector3(0, - 1, 0), length = 1, segments = 32, pinObject = null } = {})
+    {
+        const step = direction.clone().normalize().multiplyScalar(length / segments)
+        const positions = []
+
+        for(let i = 0; i <= segments; i++)
+            positions.push(position.clone().addScaledVector(step, i))
+
+        const body = this.createBody('rope', positions)
+
+        for(let i = 0; i < segments; i++)
+        {
+            this.addConstraint(body, 'distance', [ i, i + 1 ])
+            body.segments.push(i, i + 1)
+        }
+
+        for(let i = 1; i < segments; i++)
+            this.addConstraint(body, 'bending', [ i - 1, i, i + 1 ])
+
+        if(pinObject)
+            this.pin(body, 0, pinObject)
+
+        return this.addBody(body)
+    }
+
+    /**
+     * Grid of `columns` by `rows` particles hanging down from `position` in the XY plane, the top corners or the whole top row pinned to `pinObject` if any.
+     */
+    addCloth({ position = new THREE.Vector3(), width = 1, height = 1, columns = 24, rows = 24, pinObject = null, pinning = 'corners' } = {})
+    {
+        const positions = []
+
+        for(let y = 0; y < rows; y++)
+            for(let x = 0; x < columns; x++)
+                positions.push(new THREE.Vector3(position.x + (x / (columns - 1) - 0.5) * width, position.y - y / (rows - 1) * height, position.z))
+
+        const body = this.createBody('cloth', positions)
+        const getIndex = (x, y) => y * columns + x
+
+        for(let y = 0; y < rows; y++)
+        {
+            for(let x = 0; x < columns; x++)
+            {
+                // Structure
+                if(x < columns - 1)
+                    this.addConstraint(body, 'distance', [ getIndex(x, y), getIndex(x + 1, y) ])
+                if(y < rows - 1)
+                    this.addConstraint(body, 'distance', [ getIndex(x, y), getIndex(x, y + 1) ])
+
+                // Shear and surface
+                if(x < columns - 1 && y < rows - 1)
+                {
+                    this.addConstraint(body, 'distance', [ getIndex(x, y), getIndex(x + 1, y + 1) ])
+                    this.addConstraint(body, 'distance', [ getIndex(x + 1, y), getIndex(x, y + 1) ])
+                    body.triangles.push(getIndex(x, y), getIndex(x, y + 1), getIndex(x + 1, y))
+                    body.triangles.push(getIndex(x + 1, y), getIndex(x, y + 1), getIndex(x + 1, y + 1))
+                }
+
+                // Bending along both directions
+                if(x > 0 && x < columns - 1)
+                    this.addConstraint(body, 'bending', [ getIndex(x - 1, y), getIndex(x, y), getIndex(x + 1, y) ])
+                if(y > 0 && y < rows - 1)
+                    this.addConstraint(body, 'bending', [ getIndex(x, y - 1), getIndex(x, y), getIndex(x, y + 1) ])
+            }
+        }
+
+        if(pinObject)
+        {
+            for(let x = 0; x < columns; x++)
+            {
+                if(pinning === 'row' || x === 0 || x === columns - 1)
+                    this.pin(body, getIndex(x, 0), pinObject)
+            }
+        }
+
+        return this.addBody(body)
+    }
+
+    /**
+     * Closed sphere of particles at its vertices keeping its volume, pinned by its top particle to `pinObject` if any.
+     */
+    addBlob({ position = new THREE.Vector3(), radius = 0.25, detail = 2, pinObject = null } = {})
+    {
+        // Shared vertices, without the attributes that would keep them apart
+        let geometry = new THREE.IcosahedronGeometry(radius, detail)
+        geometry.deleteAttribute('normal')
+        geometry.deleteAttribute('uv')
+        geometry = mergeVertices(geometry)
+
+        const positionAttribute = geometry.attributes.position
+        const positions = []
+        let top = 0
+
+        for(let i = 0; i < positionAttribute.count; i++)
+        {
+            positions.push(new THREE.Vector3().fromBufferAttribute(positionAttribute, i).add(position))
+
+            if(positions[i].y > positions[top].y)
+                top = i
+        }
+
+        const body = this.createBody('blob', positions)
+        const edges = new Set()
+
+        for(let i = 0; i < geometry.index.count; i += 3)
+        {
+            const triangle = [ geometry.index.getX(i), geometry.index.getX(i + 1), geometry.index.getX(i + 2) ]
+            body.triangles.push(...triangle)
+            this.addConstraint(body, 'volume', triangle)
+
+            // Each edge once
+            for(let j = 0; j < 3; j++)
+            {
+                const a = Math.min(triangle[j], triangle[(j + 1) % 3])
+                const b = Math.max(triangle[j], triangle[(j + 1) % 3])
+                const key = a * positions.length + b
+
+                if(!edges.has(key))
+                {
+                    edges.add(key)
+                    this.addConstraint(body, 'distance', [ a, b ])
+                }
+            }
+        }
+
+        geometry.dispose()
+
+        if(pinObject)
+            this.pin(body, top, pinObject)
+
+        return this.addBody(body)
+    }
+
+    /**
+     * Pins the `index`th particle of `body` to `object`, keeping its current offset from it.
+     */
+    pin(body, index, object)
+    {
+        object.updateWorldMatrix(true, false)
+        const offset = object.worldToLocal(body.positions[index].clone())
+        body.pins.push({ index, object, offset })
+
+        if(this.bodies.includes(body))
+            this.changed()
+    }
+
+    removeBody(body)
+    {
+        const index = this.bodies.indexOf(body)
+
+        if(index === -1)
+            return
+
+        this.bodies.splice(index, 1)
+        this.changed()
+    }
+
+    clear()
+    {
+        this.bodies = []
+        this.changed()
+    }
+
+    createBody(type, positions)
+    {
+        return { type, positions, constraints: [], triangles: [], segments: [], pins: [], particleStart: 0 }
+    }
+
+    /**
+     * Constraint between particles of `body` (indices in the body), with its rest value taken from the current positions.
+     */
+    addConstraint(body, type, indices)
+    {
+        const [ a, b, c ] = indices.map((index) => body.positions[index])
+        let rest = 0
+
+        if(type === 'distance')
+            rest = a.distanceTo(b)
+        else if(type === 'bending')
+            rest = b.clone().sub(a.clone().add(b).add(c).divideScalar(3)).length()
+
+        body.constraints.push({ type, indices, rest })
+    }
+
+    addBody(body)
+    {
+        const count = this.particleCount + body.positions.length
+
+        if(this.system && count > this.system.count)
+            throw new Error(`Not enough particles for the bodies, ${count} needed out of ${this.system.count}`)
+
+        this.bodies.push(body)
+        this.changed()
+
+        return body
+    }
+
+    changed()
+    {
+        // Bodies packed from the first particle
+        this.particleCount = 0
+
+        for(const body of this.bodies)
+        {
+            body.particleStart = this.particleCount
+            this.particleCount += body.positions.length
+        }
+
+        this.needsPlacement = true
+
+        if(this.system)
+            this.system.rebuild()
+    }
+
+    /**
+     * Creates the passes over the buffers of `system`, called by the system whenever it (re)initializes.
+     */
+    build(system, previousParticles = null)
+    {
+        this.system = system
+
+        // Particles that didn't carry over start at rest
+        if(!previousParticles || previousParticles.count < this.particleCount)
+            this.needsPlacement = true
+
+        // Data
+        const particleCount = Math.max(this.particleCount, 1)
+        const restPositions = new Float32Array(particleCount * 4)
+        const pinIndices = new Uint32Array(particleCount).fill(noPin)
+        const constraintsPerParticle = Array.from({ length: particleCount }, () => [])
+        const constraints = []
+        const volumes = []
+        this.pins = []
+
+        for(const body of this.bodies)
+        {
+            const start = body.particleStart
+
+            body.positions.forEach((position, index) => position.toArray(restPositions, (start + index) * 4))
+
+            for(const pin of body.pins)
+            {
+                pinIndices[start + pin.index] = this.pins.length
+                this.pins.push(pin)
+            }
+
+            // Volume of the closed bodies, each of their triangles pointing to it
+            let volumeIndex = null
+
+            if(body.constraints.some((constraint) => constraint.type === 'volume'))
+            {
+                volumeIndex = volumes.length
+                volumes.push({ start: constraints.length, count: 0, particleStart: start, particleCount: body.positions.length, rest: 0 })
+            }
+
+            // Volume triangles first so that each body's ones are contiguous
+            const sortedConstraints = [ ...body.constraints ].sort((a, b) => (b.type === 'volume') - (a.type === 'volume'))
+
+            for(const constraint of sortedConstraints)
+            {
+                const indices = constraint.indices.map((index) => start + index)
+                let rest = constraint.rest
+
+                if(constraint.type === 'volume')
+                {
+                    const [ a, b, c ] = constraint.indices.map((index) => body.positions[index])
+                    volumes[volumeIndex].rest += a.dot(b.clone().cross(c)) / 6
+                    volumes[volumeIndex].count++
+                    rest = volumeIndex
+                }
+
+                for(const index of indices)
+                    constraintsPerParticle[index].push(constraints.length)
+
+                constraints.push({ type: constraintTypes[constraint.type], indices, rest })
+            }
+        }
+
+        // Buffers
+        const constraintCount = Math.max(constraints.length, 1)
+        const constraintArray = new Uint32Array(constraintCount * 4)
+        const constraintRestArray = new Float32Array(constraintCount)
+
+        constraints.forEach((constraint, index) =>
+        {
+            constraintArray.set([ constraint.type, constraint.indices[0], constraint.indices[1], constraint.indices[2] ?? 0 ], index * 4)
+            constraintRestArray[index] = constraint.rest
+        })
+
+        // Constraints of each particle at `offsets[i]` to `offsets[i + 1]` in `entries`
+        const offsetArray = new Uint32Array(particleCount + 1)
+        const entryArray = new Uint32Array(Math.max(constraintsPerParticle.reduce((sum, entries) => sum + entries.length, 0), 1))
+
+        constraintsPerParticle.forEach((entries, index) =>
+        {
+            entryArray.set(entries, offsetArray[index])
+            offsetArray[index + 1] = offsetArray[index] + entries.length
+        })
+
+        const volumeCount = Math.max(volumes.length, 1)
+        const volumeArray = new Uint32Array(volumeCount * 4)
+        const volumeRestArray = new Float32Array(volumeCount)
+
+        volumes.forEach((volume, index) =>
+        {
+            volumeArray.set([ volume.start, volume.count, volume.particleStart, volume.particleCount ], index * 4)
+            volumeRestArray[index] = volume.rest
+        })
+
+        this.restPositionBuffer = storage(new StorageBufferAttribute(restPositions, 4), 'vec4', particleCount)
+        this.previousPositionBuffer = storage(new StorageBufferAttribute(particleCount, 4), 'vec4', particleCount)
+        this.projectedPositionBuffer = storage(new StorageBufferAttribute(particleCount, 4), 'vec4', particleCount)
+        this.pinIndexBuffer = storage(new StorageBufferAttribute(pinIndices, 1), 'uint', particleCount)
+        this.pinTargetAttribute = new StorageBufferAttribute(new Float32Array(Math.max(this.pins.length, 1) * 4), 4)
+        this.pinTargetBuffer = storage(this.pinTargetAttribute, 'vec4', Math.max(this.pins.length, 1))
+        this.constraintBuffer = storage(new StorageBufferAttribute(constraintArray, 4), 'uvec4', constraintCount)
+        this.constraintRestBuffer = storage(new StorageBufferAttribute(constraintRestArray, 1), 'float', constraintCount)
+        this.offsetBuffer = storage(new StorageBufferAttribute(offsetArray, 1), 'uint', particleCount + 1)
+        this.entryBuffer = storage(new StorageBufferAttribute(entryArray, 1), 'uint', entryArray.length)
+        this.volumeBuffer = storage(new StorageBufferAttribute(volumeArray, 4), 'uvec4', volumeCount)
+        this.volumeRestBuffer = storage(new StorageBufferAttribute(volumeRestArray, 1), 'float', volumeCount)
+        this.volumeLambdaBuffer = storage(new StorageBufferAttribute(volumeCount, 1), 'float', volumeCount)
+
+        this.updatePinTargets()
+
+        // Passes over the bodies' particles only, the threads beyond them in the last workgroup doing nothing
+        const isBodyParticle = instanceIndex.lessThan(uint(this.particleCount))
+        const getPosition = (index) => system.positionBuffer.element(index)
+        const getInverseMass = (index) => select(this.pinIndexBuffer.element(index).equal(uint(noPin)), float(1), float(0))
+
+        // Held alive, placed at rest if needed and remembered before the update kernel moves them
+        const prepare = Fn(() =>
+        {
+            If(isBodyParticle, () =>
+            {
+                If(this.uniforms.placing.greaterThan(0.5), () =>
+                {
+                    getPosition(instanceIndex).assign(this.restPositionBuffer.element(instanceIndex).xyz)
+                    system.velocityBuffer.element(instanceIndex).assign(vec3(0))
+                })
+
+                system.lifeBuffer.element(instanceIndex).assign(this.uniforms.life)
+                this.previousPositionBuffer.element(instanceIndex).assign(getPosition(instanceIndex))
+            })
+        })
+        this.prepareCompute = prepare().compute(particleCount)
+
+        // Volume of each closed body and the multiplier of its gradients
+        // One thread per body looping over its particles and triangles, which is fine for the few hundreds of a blob
+        const getVolumeGradient = (index, constraint) =>
+        {
+            const a = getPosition(constraint.y)
+            const b = getPosition(constraint.z)
+            const c = getPosition(constraint.w)
+
+            return select(index.equal(constraint.y), cross(b, c), select(index.equal(constraint.z), cross(c, a), cross(a, b))).div(6)
+        }
+
+        const solveVolumes = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(volumes.length)), () =>
+            {
+                const volume = this.volumeBuffer.element(instanceIndex).toVar()
+                const currentVolume = float(0).toVar()
+                const gradientsLengthSquared = float(0).toVar()
+
+                Loop({ start: volume.x, end: volume.x.add(volume.y), type: 'uint', condition: '<', name: 'triangle' }, ({ triangle }) =>
+                {
+                    const constraint = this.constraintBuffer.element(triangle)
+                    currentVolume.addAssign(getPosition(constraint.y).dot(cross(getPosition(constraint.z), getPosition(constraint.w))).div(6))
+                })
+
+                Loop({ start: volume.z, end: volume.z.add(volume.w), type: 'uint', condition: '<', name: 'particle' }, ({ particle }) =>
+                {
+                    const gradient = vec3(0).toVar()
+
+                    Loop({ start: this.offsetBuffer.element(particle), end: this.offsetBuffer.element(particle.add(1)), type: 'uint', condition: '<', name: 'entry' }, ({ entry }) =>
+                    {
+                        const constraint = this.constraintBuffer.element(this.entryBuffer.element(entry)).toVar()
+
+                        If(constraint.x.equal(uint(constraintTypes.volume)), () =>
+                        {
+                            gradient.addAssign(getVolumeGradient(particle, constraint))
+                        })
+                    })
+
+                    gradientsLengthSquared.addAssign(gradient.dot(gradient).mul(getInverseMass(particle)))
+                })
+
+                const error = currentVolume.sub(this.volumeRestBuffer.element(instanceIndex).mul(this.uniforms.pressure))
+                this.volumeLambdaBuffer.element(instanceIndex).assign(error.div(max(gradientsLengthSquared, 0.0000001)))
+            })
+        })
+        this.volumesCompute = solveVolumes().compute(volumeCount)
+
+        // Corrections of each particle's constraints
+        const solve = Fn(() =>
+        {
+            If(isBodyParticle, () =>
+            {
+                const position = getPosition(instanceIndex).toVar()
+                const inverseMass = getInverseMass(instanceIndex).toVar()
+                const correction = vec3(0).toVar()
+                const correctionCount = float(0).toVar()
+                const volumeGradient = vec3(0).toVar()
+                const volumeLambda = float(0).toVar()
+
+                Loop({ start: this.offsetBuffer.element(instanceIndex), end: this.offsetBuffer.element(instanceIndex.add(1)), type: 'uint', condition: '<', name: 'entry' }, ({ entry }) =>
+                {
+                    const constraintIndex = this.entryBuffer.element(entry).toVar()
+                    const constraint = this.constraintBuffer.element(constraintIndex).toVar()
+                    const rest = this.constraintRestBuffer.element(constraintIndex).toVar()
+
+                    If(constraint.x.equal(uint(constraintTypes.distance)), () =>
+                    {
+                        // Along the edge, shared by the masses
+                        const other = select(constraint.y.equal(instanceIndex), constraint.z, constraint.y)
+                        const otherInverseMass = getInverseMass(other)
+                        const toOther = getPosition(other).sub(position).toVar()
+                        const distance = max(toOther.length(), 0.00001)
+                        const weight = inverseMass.div(max(inverseMass.add(otherInverseMass), 0.00001))
+
+                        correction.addAssign(toOther.div(distance).mul(distance.sub(rest)).mul(weight).mul(this.uniforms.distanceStiffness))
+                        correctionCount.addAssign(1)
+                    })
+                    .ElseIf(constraint.x.equal(uint(constraintTypes.bending)), () =>
+                    {
+                        // Middle particle kept at its rest distance from the center of the three
+                        const a = constraint.y
+                        const middle = constraint.z
+                        const c = constraint.w
+                        const center = getPosition(a).add(getPosition(middle)).add(getPosition(c)).div(3)
+                        const offset = getPosition(middle).sub(center).toVar()
+                        const offsetLength = max(offset.length(), 0.00001)
+                        const totalInverseMass = getInverseMass(a).add(getInverseMass(middle).mul(2)).add(getInverseMass(c))
+                        const push = offset.mul(rest.div(offsetLength).oneMinus()).div(max(totalInverseMass, 0.00001)).mul(inverseMass).toVar()
+
+                        correction.addAssign(select(instanceIndex.equal(middle), push.mul(- 4), push.mul(2)).mul(this.uniforms.bendingStiffness))
+                        correctionCount.addAssign(1)
+                    })
+                    .Else(() =>
+                    {
+                        volumeGradient.addAssign(getVolumeGradient(instanceIndex, constraint))
+                        volumeLambda.assign(this.volumeLambdaBuffer.element(uint(rest)))
+                    })
+                })
+
+                // The volume counts as one constraint
+                If(volumeGradient.dot(volumeGradient).greaterThan(0), () =>
+                {
+                    correction.subAssign(volumeGradient.mul(volumeLambda).mul(inverseMass).mul(this.uniforms.volumeStiffness))
+                    correctionCount.addAssign(1)
+                })
+
+                position.addAssign(correction.div(max(correctionCount, 1)).mul(this.uniforms.relaxation))
+
+                // Pinned
+                const pinIndex = this.pinIndexBuffer.element(instanceIndex)
+
+                If(pinIndex.notEqual(uint(noPin)), () =>
+                {
+                    position.assign(this.pinTargetBuffer.element(pinIndex).xyz)
+                })
+
+                this.projectedPositionBuffer.element(instanceIndex).assign(position)
+            })
+        })
+        this.solveCompute = solve().compute(particleCount)
+
+        // Every particle read the same positions during the solve, they're written after
+        const apply = Fn(() =>
+        {
+            If(isBodyParticle, () =>
+            {
+                getPosition(instanceIndex).assign(this.projectedPositionBuffer.element(instanceIndex).xyz)
+            })
+        })
+        this.applyCompute = apply().compute(particleCount)
+
+        // Velocities from the corrected motion
+        const updateVelocities = Fn(() =>
+        {
+            If(isBodyParticle, () =>
+            {
+                const motion = getPosition(instanceIndex).sub(this.previousPositionBuffer.element(instanceIndex).xyz)
+                system.velocityBuffer.element(instanceIndex).assign(motion.div(max(system.uniforms.deltaTime, 0.00001)))
+            })
+        })
+        this.velocitiesCompute = updateVelocities().compute(particleCount)
+
+        this.hasVolumes = volumes.length > 0
+        this.buildMesh()
+    }
+
+    /**
+     * Compute nodes dispatched before the update kernel.
+     */
+    get computeNodes()
+    {
+        return this.particleCount ? [ this.prepareCompute ] : []
+    }
+
+    /**
+     * Compute nodes dispatched after the update kernel.
+     */
+    get postUpdateComputeNodes()
+    {
+        if(!this.particleCount)
+            return []
+
+        const computeNodes = []
+
+        for(let i = 0; i < this.iterations; i++)
+        {
+            if(this.hasVolumes)
+                computeNodes.push(this.volumesCompute)
+
+            computeNodes.push(this.solveCompute, this.applyCompute)
+        }
+
+        computeNodes.push(this.velocitiesCompute)
+
+        return computeNodes
+    }
+
+    apply()
+    {
+        // Nothing to add in the update kernel
+    }
+
+    update()
+    {
+        this.uniforms.placing.value = this.needsPlacement ? 1 : 0
+        this.needsPlacement = false
+
+        this.system.uniforms.hiddenCount.value = this.showParticles ? 0 : this.particleCount
+
+        this.updatePinTargets()
+    }
+
+    updatePinTargets()
+    {
+        const array = this.pinTargetAttribute.array
+
+        this.pins.forEach((pin, index) =>
+        {
+            pin.object.updateWorldMatrix(true, false)
+            pinPosition.copy(pin.offset).applyMatrix4(pin.object.matrixWorld).toArray(array, index * 4)
+        })
+
+        this.pinTargetAttribute.needsUpdate = true
+    }
+
+    /**
+     * Surfaces of the cloths and blobs and lines of the ropes in `mesh`, drawn at the particles positions.
+     */
+    buildMesh()
+    {
+        this.disposeMesh()
+
+        const triangles = []
+        const segments = []
+
+        for(const body of this.bodies)
+        {
+            triangles.push(...body.triangles.map((index) => body.particleStart + index))
+            segments.push(...body.segments.map((index) => body.particleStart + index))
+        }
+
+        const positionNode = this.system.positionBuffer.element(uint(attribute('particleIndex', 'float')))
+
+        // Vertices only holding the index of their particle
+        const createGeometry = (indices) =>
+        {
+            const geometry = new THREE.BufferGeometry()
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(this.particleCount * 3), 3))
+            geometry.setAttribute('normal', new THREE.Float32BufferAttribute(new Float32Array(this.particleCount * 3), 3))
+            geometry.setAttribute('particleIndex', new THREE.Float32BufferAttribute(Float32Array.from({ length: this.particleCount }, (value, index) => index), 1))
+            geometry.setIndex(indices)
+
+            return geometry
+        }
+
+        if(triangles.length)
+        {
+            // Flat shaded since the normals would need their own pass
+            const material = new MeshStandardNodeMaterial({ roughness: 0.6, metalness: 0, side: THREE.DoubleSide, flatShading: true })
+            material.positionNode = positionNode
+            material.colorNode = this.uniforms.meshColor
+
+            const surfaces = new THREE.Mesh(createGeometry(triangles), material)
+            surfaces.frustumCulled = false
+            this.mesh.add(surfaces)
+        }
+
+        if(segments.length)
+        {
+            const material = new LineBasicNodeMaterial()
+            material.positionNode = positionNode
+            material.colorNode = this.uniforms.meshColor
+
+            const lines = new THREE.LineSegments(createGeometry(segments), material)
+            lines.frustumCulled = false
+            this.mesh.add(lines)
+        }
+    }
+
+    disposeMesh()
+    {
+        for(const child of [ ...this.mesh.children ])
+        {
+            child.geometry.dispose()
+            child.material.dispose()
+            child.removeFromParent()
+        }
+    }
+
+    dispose()
+    {
+        if(this.prepareCompute)
+        {
+            for(const bufferNode of [ this.restPositionBuffer, this.previousPositionBuffer, this.projectedPositionBuffer, this.pinIndexBuffer, this.pinTargetBuffer, this.constraintBuffer, this.constraintRestBuffer, this.offsetBuffer, this.entryBuffer, this.volumeBuffer, this.volumeRestBuffer, this.volumeLambdaBuffer ])
+                bufferNode.dispose()
+
+            for(const computeNode of [ this.prepareCompute, this.volumesCompute, this.solveCompute, this.applyCompute, this.velocitiesCompute ])
+                computeNode.dispose()
+        }
+
+        if(this.system)
+            this.system.uniforms.hiddenCount.value = 0
+    }
+}
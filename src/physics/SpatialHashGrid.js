@@ -0,0 +1,341 @@
+import { Fn, If, Loop, uniform, vec3, vec4, ivec3, uint, int, instanceIndex, floor, clamp, min, select, positionLocal, atomicAdd, atomicLoad, atomicStore } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { MeshBasicNodeMaterial, StorageBufferAttribute } from 'three/webgpu'
+import * as THREE from 'three'
+
+const maxCellsPerAxis = 64
+const noCell = 0xffffffff
+
+/**
+ * Uniform grid of `cellSize` cells over `bounds` sorting the particles of a system by cell every step,
+ * so that kernels can iterate the particles within a radius with `forEachNeighbor()` instead of all of them.
+ * Added with `system.addSolver()` before the solvers using it, which then run on a sorted grid.
+ * Particles outside the bounds go to the border cells, which still works but slows the queries down.
+ *
+ * Passes: cells cleared, each particle counted in its cell (keeping its rank there), exclusive prefix sum of the counts
+ * giving the start of each cell's range (per block, then over the blocks totals, then the blocks offsets added),
+ * then each particle scattered at its cell start plus rank in `sortedIndexBuffer`.
+ */
+export default class SpatialHashGrid
+{
+    constructor(cellSize = 0.25, bounds = new THREE.Box3(new THREE.Vector3(- 2, - 1, - 2), new THREE.Vector3(2, 2, 2)))
+    {
+        // Setup
+        this.type = 'grid'
+        this.system = null
+        this._cellSize = cellSize
+        this._bounds = bounds.clone()
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.cellSize = uniform(cellSize)
+        this.uniforms.boundsMin = uniform(new THREE.Vector3())
+        this.uniforms.resolution = uniform(new THREE.Vector3()) // Cells per axis, as floats for the clamping
+
+        // Debug
+        this.debugMesh = null
+
+        this.configure()
+    }
+
+    get cellSize()
+    {
+        return this._cellSize
+    }
+
+    set cellSize(value)
+    {
+        this._cellSize = value
+
+        this.configure()
+    }
+
+    get bounds()
+    {
+        return this._bounds
+    }
+
+    set bounds(value)
+    {
+        this._bounds = value.clone()
+
+        this.configure()
+    }
+
+    /**
+     * Sizes the cells buffers for the current `cellSize` and `bounds`, then rebuilds the passes.
+     * The cells grow to `effectiveCellSize` when `cellSize` would need more than 64 of them on an axis.
+     */
+    configure()
+    {
+        // Resolution, capped so that a small cell size doesn't allocate millions of cells, the cells then growing to still cover the bounds
+        const size = this._bounds.getSize(new THREE.Vector3())
+        this.effectiveCellSize = Math.max(this._cellSize, size.x / maxCellsPerAxis, size.y / maxCellsPerAxis, size.z / maxCellsPerAxis)
+        this.resolution = size.divideScalar(this.effectiveCellSize).ceil().clampScalar(1, maxCellsPerAxis)
+        this.cellCount = this.resolution.x * this.resolution.y * this.resolution.z
+
+        this.uniforms.cellSize.value = this.effectiveCellSize
+        this.uniforms.boundsMin.value.copy(this._bounds.min)
+        this.uniforms.resolution.value.copy(this.resolution)
+
+        // Scan blocks, about as many as cells per block
+        this.scanBlockSize = Math.ceil(Math.sqrt(this.cellCount))
+        this.scanBlockCount = Math.ceil(this.cellCount / this.scanBlockSize)
+
+        // Buffers
+        if(this.cellCountBuffer)
+        {
+            this.cellCountBuffer.dispose()
+            this.cellStartBuffer.dispose()
+            this.blockSumBuffer.dispose()
+        }
+
+        this.cellCountBuffer = storage(new StorageBufferAttribute(new Uint32Array(this.cellCount), 1), 'uint', this.cellCount).toAtomic()
+        this.cellStartBuffer = storage(new StorageBufferAttribute(new Uint32Array(this.cellCount), 1), 'uint', this.cellCount)
+        this.blockSumBuffer = storage(new StorageBufferAttribute(new Uint32Array(this.scanBlockCount), 1), 'uint', this.scanBlockCount)
+
+        // Debug mesh follows the new cells
+        if(this.debugMesh)
+        {
+            const parent = this.debugMesh.parent
+            this.disposeDebugMesh()
+            this.createDebugMesh()
+
+            if(parent)
+                parent.add(this.debugMesh)
+        }
+
+        if(this.system)
+            this.system.rebuild()
+    }
+
+    /**
+     * Cell coordinates of a position, clamped to the grid.
+     */
+    getCellCoordinates(position)
+    {
+        const coordinates = floor(position.sub(this.uniforms.boundsMin).div(this.uniforms.cellSize))
+
+        return ivec3(clamp(coordinates, vec3(0), this.uniforms.resolution.sub(1)))
+    }
+
+    getCellIndex(coordinates)
+    {
+        const resolution = this.resolution
+
+        return uint(coordinates.x.add(coordinates.y.mul(resolution.x)).add(coordinates.z.mul(resolution.x * resolution.y)))
+    }
+
+    /**
+     * Calls `callback(index)` with the index of every living particle in the cells overlapping the sphere,
+     * the particle itself included, `radius` being at most a few cells for the loops to stay short.
+     * Must be called inside a `Fn()` since it declares variables and control flow.
+     */
+    forEachNeighbor(position, radius, callback)
+    {
+        const minCell = this.getCellCoordinates(position.sub(radius)).toVar()
+        const maxCell = this.getCellCoordinates(position.add(radius)).toVar()
+
+        Loop({ start: minCell.z, end: maxCell.z, type: 'int', condition: '<=', name: 'cellZ' }, ({ cellZ }) =>
+        {
+            Loop({ start: minCell.y, end: maxCell.y, type: 'int', condition: '<=', name: 'cellY' }, ({ cellY }) =>
+            {
+                Loop({ start: minCell.x, end: maxCell.x, type: 'int', condition: '<=', name: 'cellX' }, ({ cellX }) =>
+                {
+                    const cell = this.getCellIndex(ivec3(cellX, cellY, cellZ)).toVar()
+                    const start = this.cellStartBuffer.element(cell).toVar()
+                    const end = start.add(atomicLoad(this.cellCountBuffer.element(cell))).toVar()
+
+                    Loop({ start, end, type: 'uint', condition: '<', name: 'neighbor' }, ({ neighbor }) =>
+                    {
+                        callback(this.sortedIndexBuffer.element(neighbor))
+                    })
+                })
+            })
+        })
+    }
+
+    /**
+     * Creates the passes over the buffers of `system`, called by the system whenever it (re)initializes.
+     */
+    build(system)
+    {
+        this.system = system
+        const count = system.count
+
+        this.particleCellBuffer = storage(new StorageBufferAttribute(new Uint32Array(count), 1), 'uint', count)
+        this.particleRankBuffer = storage(new StorageBufferAttribute(new Uint32Array(count), 1), 'uint', count)
+        this.sortedIndexBuffer = storage(new StorageBufferAttribute(new Uint32Array(count), 1), 'uint', count)
+
+        // Passes are dispatched by workgroups of 64, the threads beyond the count would count or write the last element again
+
+        // Clear
+        const clear = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(this.cellCount)), () =>
+            {
+                atomicStore(this.cellCountBuffer.element(instanceIndex), uint(0))
+            })
+        })
+        this.clearCompute = clear().compute(this.cellCount)
+
+        // Count, dead particles in no cell
+        const assign = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(count)), () =>
+            {
+                const cell = uint(noCell).toVar()
+
+                If(system.lifeBuffer.element(instanceIndex).lessThan(1), () =>
+                {
+                    cell.assign(this.getCellIndex(this.getCellCoordinates(system.positionBuffer.element(instanceIndex))))
+                    this.particleRankBuffer.element(instanceIndex).assign(atomicAdd(this.cellCountBuffer.element(cell), uint(1)))
+                })
+
+                this.particleCellBuffer.element(instanceIndex).assign(cell)
+            })
+        })
+        this.assignCompute = assign().compute(count)
+
+        // Prefix sum in each block
+        const scanBlocks = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(this.scanBlockCount)), () =>
+            {
+                const blockStart = instanceIndex.mul(this.scanBlockSize)
+                const sum = uint(0).toVar()
+
+                Loop(this.scanBlockSize, ({ i }) =>
+                {
+                    const cell = blockStart.add(uint(i)).toVar()
+
+                    If(cell.lessThan(uint(this.cellCount)), () =>
+                    {
+                        this.cellStartBuffer.element(cell).assign(sum)
+                        sum.addAssign(atomicLoad(this.cellCountBuffer.element(cell)))
+                    })
+                })
+
+                this.blockSumBuffer.element(instanceIndex).assign(sum)
+            })
+        })
+        this.scanBlocksCompute = scanBlocks().compute(this.scanBlockCount)
+
+        // Prefix sum of the blocks totals, in a single thread since there are few
+        const scanBlockSums = Fn(() =>
+        {
+            const sum = uint(0).toVar()
+
+            Loop(this.scanBlockCount, ({ i }) =>
+            {
+                const blockSum = this.blockSumBuffer.element(i).toVar()
+                this.blockSumBuffer.element(i).assign(sum)
+                sum.addAssign(blockSum)
+            })
+        })
+        this.scanBlockSumsCompute = scanBlockSums().compute(1)
+
+        // Blocks offsets
+        const addBlockOffsets = Fn(() =>
+        {
+            If(instanceIndex.lessThan(uint(this.cellCount)), () =>
+            {
+                this.cellStartBuffer.element(instanceIndex).addAssign(this.blockSumBuffer.element(instanceIndex.div(this.scanBlockSize)))
+            })
+        })
+        this.addBlockOffsetsCompute = addBlockOffsets().compute(this.cellCount)
+
+        // Scatter
+        const scatter = Fn(() =>
+        {
+            const cell = this.particleCellBuffer.element(instanceIndex).toVar()
+
+            If(instanceIndex.lessThan(uint(count)).and(cell.notEqual(uint(noCell))), () =>
+            {
+                const sortedIndex = this.cellStartBuffer.element(cell).add(this.particleRankBuffer.element(instanceIndex))
+                this.sortedIndexBuffer.element(sortedIndex).assign(instanceIndex)
+            })
+        })
+        this.scatterCompute = scatter().compute(count)
+    }
+
+    /**
+     * Compute nodes dispatched before the update kernel.
+     */
+    get computeNodes()
+    {
+        return [
+            this.clearCompute,
+            this.assignCompute,
+            this.scanBlocksCompute,
+            this.scanBlockSumsCompute,
+            this.addBlockOffsetsCompute,
+            this.scatterCompute
+        ]
+    }
+
+    apply()
+    {
+        // Nothing to add in the update kernel
+    }
+
+    update()
+    {
+    }
+
+    /**
+     * Wireframe boxes of the occupied cells, brighter with more particles, to add to the scene.
+     */
+    createDebugMesh()
+    {
+        if(this.debugMesh)
+            return this.debugMesh
+
+        const material = new MeshBasicNodeMaterial({ wireframe: true, transparent: true, depthWrite: false })
+        const resolution = this.resolution
+
+        // Plain view of the counts since atomics can't be read outside of compute shaders
+        const cellCountBuffer = storage(this.cellCountBuffer.value, 'uint', this.cellCount)
+        const particleCount = cellCountBuffer.element(instanceIndex)
+        const cellCoordinates = vec3(
+            instanceIndex.mod(resolution.x),
+            instanceIndex.div(resolution.x).mod(resolution.y),
+            instanceIndex.div(resolution.x * resolution.y)
+        )
+        const cellCenter = cellCoordinates.add(0.5).mul(this.uniforms.cellSize).add(this.uniforms.boundsMin)
+
+        // Empty cells collapse to a point
+        const scale = select(particleCount.greaterThan(uint(0)), this.uniforms.cellSize, 0)
+        material.positionNode = positionLocal.mul(scale).add(cellCenter)
+        material.colorNode = vec4(0.3, 0.8, 1, min(int(particleCount).toFloat().div(8), 1).mul(0.7).add(0.1))
+
+        this.debugMesh = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), material, this.cellCount)
+        this.debugMesh.frustumCulled = false
+
+        return this.debugMesh
+    }
+
+    disposeDebugMesh()
+    {
+        if(!this.debugMesh)
+            return
+
+        this.debugMesh.removeFromParent()
+        this.debugMesh.geometry.dispose()
+        this.debugMesh.material.dispose()
+        this.debugMesh = null
+    }
+
+    dispose()
+    {
+        if(this.clearCompute)
+        {
+            this.particleCellBuffer.dispose()
+            this.particleRankBuffer.dispose()
+            this.sortedIndexBuffer.dispose()
+
+            for(const computeNode of this.computeNodes)
+                computeNode.dispose()
+        }
+    }
+}
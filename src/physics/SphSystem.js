@@ -0,0 +1,217 @@
+import { Fn, If, uniform, vec3, float, uint, instanceIndex, max, min, clamp, abs } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { StorageInstancedBufferAttribute } from 'three/webgpu'
+import SpatialHashGrid from './SpatialHashGrid.js'
+
+/**
+ * Smoothed-particle hydrodynamics over the particles of a system, the solver of its 'sph' `simulationMode`.
+ * A density pass sums the poly6 kernel of the neighbours into a density and a pressure (only when compressed, so that spray doesn't clump),
+ * then a forces pass accumulates the pressure (spiky kernel gradient), viscosity (kernel laplacian) and surface tension (cohesion) accelerations,
+ * which the update kernel adds to the velocity before keeping the particles in the container box. The floor still bounces them.
+ * Neighbours come from its own `grid`, whose cells are best as large as the `smoothingRadius` (see `fitGrid()`).
+ *
+ * Explicit and stiff, so the accelerations are clamped to `maxAcceleration` and small fixed steps (`system.fixedTimeStep`) keep it stable.
+ */
+export default class SphSystem
+{
+    constructor()
+    {
+        // Setup
+        this.type = 'sph'
+        this.system = null
+
+        // Uniforms
+        // Defaults make a fluid of particles about 0.05 apart at the rest density
+        this.uniforms = {}
+        this.uniforms.smoothingRadius = uniform(0.1)
+        this.uniforms.particleMass = uniform(0.125)
+        this.uniforms.restDensity = uniform(1000)
+        this.uniforms.stiffness = uniform(0.2)
+        this.uniforms.viscosity = uniform(0.005)
+        this.uniforms.surfaceTension = uniform(0.005)
+        this.uniforms.maxAcceleration = uniform(10)
+        this.uniforms.useContainer = uniform(1)
+        this.uniforms.containerCenter = uniform(vec3(0, 0, 0))
+        this.uniforms.containerSize = uniform(vec3(0.5, 1, 0.5)) // Half sizes
+        this.uniforms.containerDamping = uniform(0.3)
+
+        // Neighbours
+        this.grid = new SpatialHashGrid(this.uniforms.smoothingRadius.value)
+    }
+
+    /**
+     * Resizes the grid cells to the smoothing radius, which reallocates them and rebuilds the system.
+     */
+    fitGrid()
+    {
+        if(this.grid.cellSize !== this.uniforms.smoothingRadius.value)
+            this.grid.cellSize = this.uniforms.smoothingRadius.value
+    }
+
+    /**
+     * Creates the passes over the buffers of `system`, called by the system whenever it (re)initializes.
+     */
+    build(system)
+    {
+        this.system = system
+        this.grid.build(system)
+
+        const count = system.count
+        this.densityBuffer = storage(new StorageInstancedBufferAttribute(count, 1), 'float', count)
+        this.pressureBuffer = storage(new StorageInstancedBufferAttribute(count, 1), 'float', count)
+        this.accelerationBuffer = storage(new StorageInstancedBufferAttribute(count, 3), 'vec3', count)
+
+        // Kernels, for a distance below the smoothing radius
+        const h = this.uniforms.smoothingRadius
+        const poly6 = (distanceSquared) => float(315 / (64 * Math.PI)).div(h.pow(9)).mul(h.mul(h).sub(distanceSquared).pow(3))
+        const spikyGradient = (distance) => float(- 45 / Math.PI).div(h.pow(6)).mul(h.sub(distance).pow(2))
+        const viscosityLaplacian = (distance) => float(45 / Math.PI).div(h.pow(6)).mul(h.sub(distance))
+
+        const isAlive = (index) => system.lifeBuffer.element(index).lessThan(1)
+
+        // Density and pressure
+        const computeDensity = Fn(() =>
+        {
+            const position = system.positionBuffer.element(instanceIndex).toVar()
+            const densitySum = float(0).toVar()
+
+            If(isAlive(instanceIndex), () =>
+            {
+                this.grid.forEachNeighbor(position, h, (i) =>
+                {
+                    // The particle itself included
+                    const toOther = system.positionBuffer.element(i).sub(position)
+                    const distanceSquared = toOther.dot(toOther).toVar()
+
+                    If(distanceSquared.lessThan(h.mul(h)).and(isAlive(i)), () =>
+                    {
+                        densitySum.addAssign(poly6(distanceSquared))
+                    })
+                })
+
+                densitySum.mulAssign(this.uniforms.particleMass)
+            })
+
+            If(instanceIndex.lessThan(uint(count)), () =>
+            {
+                this.densityBuffer.element(instanceIndex).assign(densitySum)
+                this.pressureBuffer.element(instanceIndex).assign(this.uniforms.stiffness.mul(max(densitySum.sub(this.uniforms.restDensity), 0)))
+            })
+        })
+        this.densityCompute = computeDensity().compute(count)
+
+        // Accelerations
+        const computeForces = Fn(() =>
+        {
+            const position = system.positionBuffer.element(instanceIndex).toVar()
+            const velocity = system.velocityBuffer.element(instanceIndex).toVar()
+            const acceleration = vec3(0).toVar()
+
+            If(isAlive(instanceIndex), () =>
+            {
+                const pressure = this.pressureBuffer.element(instanceIndex).toVar()
+                const density = max(this.densityBuffer.element(instanceIndex), 0.00001).toVar()
+                const pressureTerm = pressure.div(density.mul(density)).toVar()
+
+                const pressureAcceleration = vec3(0).toVar()
+                const viscosityAcceleration = vec3(0).toVar()
+                const cohesionAcceleration = vec3(0).toVar()
+
+                this.grid.forEachNeighbor(position, h, (i) =>
+                {
+                    const toOther = system.positionBuffer.element(i).sub(position).toVar()
+                    const distance = toOther.length().toVar()
+
+                    If(i.notEqual(instanceIndex).and(distance.lessThan(h)).and(isAlive(i)), () =>
+                    {
+                        const otherDensity = max(this.densityBuffer.element(i), 0.00001).toVar()
+                        const otherPressureTerm = this.pressureBuffer.element(i).div(otherDensity.mul(otherDensity))
+
+                        // The gradient is negative, pushing away from the other particle
+                        // Particles on top of each other have no direction to be pushed along, they separate through the others
+                        If(distance.greaterThan(0.00001), () =>
+                        {
+                            const direction = toOther.div(distance)
+                            pressureAcceleration.addAssign(direction.mul(spikyGradient(distance)).mul(pressureTerm.add(otherPressureTerm)))
+                        })
+
+                        viscosityAcceleration.addAssign(system.velocityBuffer.element(i).sub(velocity).div(otherDensity).mul(viscosityLaplacian(distance)))
+                        cohesionAcceleration.addAssign(toOther.mul(poly6(distance.mul(distance))))
+                    })
+                })
+
+                acceleration.assign(pressureAcceleration.mul(this.uniforms.particleMass))
+                acceleration.addAssign(viscosityAcceleration.mul(this.uniforms.particleMass).mul(this.uniforms.viscosity))
+                acceleration.addAssign(cohesionAcceleration.mul(this.uniforms.surfaceTension))
+
+                // Clamped
+                const accelerationLength = acceleration.length()
+                acceleration.mulAssign(min(this.uniforms.maxAcceleration.div(max(accelerationLength, 0.00001)), 1))
+            })
+
+            // The threads beyond the count of the last workgroup would write the last particle again
+            If(instanceIndex.lessThan(uint(count)), () =>
+            {
+                this.accelerationBuffer.element(instanceIndex).assign(acceleration)
+            })
+        })
+        this.forcesCompute = computeForces().compute(count)
+    }
+
+    /**
+     * Compute nodes dispatched before the update kernel, the grid sorting first.
+     */
+    get computeNodes()
+    {
+        return [ ...this.grid.computeNodes, this.densityCompute, this.forcesCompute ]
+    }
+
+    /**
+     * Called in the update kernel before the force fields.
+     */
+    apply(position, velocity, delta)
+    {
+        velocity.addAssign(this.accelerationBuffer.element(instanceIndex).mul(delta))
+
+        // Container walls, against which the particles about to cross stop and bounce back
+        If(this.uniforms.useContainer.greaterThan(0.5), () =>
+        {
+            const containerMin = this.uniforms.containerCenter.sub(this.uniforms.containerSize).toVar()
+            const containerMax = this.uniforms.containerCenter.add(this.uniforms.containerSize).toVar()
+            const nextPosition = position.add(velocity.mul(delta)).toVar()
+            const bounce = this.uniforms.containerDamping.oneMinus()
+
+            for(const axis of [ 'x', 'y', 'z' ])
+            {
+                If(nextPosition[axis].lessThan(containerMin[axis]), () =>
+                {
+                    velocity[axis].assign(abs(velocity[axis]).mul(bounce))
+                })
+                .ElseIf(nextPosition[axis].greaterThan(containerMax[axis]), () =>
+                {
+                    velocity[axis].assign(abs(velocity[axis]).mul(bounce).negate())
+                })
+            }
+
+            position.assign(clamp(position, containerMin, containerMax))
+        })
+    }
+
+    update()
+    {
+    }
+
+    dispose()
+    {
+        this.grid.dispose()
+
+        if(this.densityCompute)
+        {
+            this.densityBuffer.dispose()
+            this.pressureBuffer.dispose()
+            this.accelerationBuffer.dispose()
+            this.densityCompute.dispose()
+            this.forcesCompute.dispose()
+        }
+    }
+}
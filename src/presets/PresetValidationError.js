@@ -0,0 +1,13 @@
+export default class PresetValidationError extends Error
+{
+    /**
+     * @param {string[]} errors - One message per invalid field, prefixed by its path
+     */
+    constructor(errors)
+    {
+        super(`Invalid preset:\n${errors.map((error) => `- ${error}`).join('\n')}`)
+
+        this.name = 'PresetValidationError'
+        this.errors = errors
+    }
+}
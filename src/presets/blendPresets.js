@@ -0,0 +1,116 @@
+import * as THREE from 'three'
+import { presetSchema } from './presetSchema.js'
+import { mixColorsOklab } from '../utils/mixColorsOklab.js'
+import ColorGradient from '../ramps/ColorGradient.js'
+import Curve from '../ramps/Curve.js'
+
+const colorA = new THREE.Color()
+const colorB = new THREE.Color()
+const sampleA = new THREE.Vector4()
+const sampleB = new THREE.Vector4()
+
+const getPositions = (itemsA, itemsB, key) => [ ...new Set([ ...itemsA, ...itemsB ].map((item) => item[key])) ].sort((a, b) => a - b)
+
+const blendColors = (a, b, weight) =>
+{
+    return `#${mixColorsOklab(colorA.set(a), colorB.set(b), weight, colorA).getHexString(THREE.SRGBColorSpace)}`
+}
+
+// Ramps are resampled at the positions of both, so the blend goes through every stop and point
+const blendGradients = (stopsA, stopsB, weight) =>
+{
+    const gradientA = new ColorGradient(stopsA)
+    const gradientB = new ColorGradient(stopsB)
+
+    return getPositions(stopsA, stopsB, 'position').map((position) =>
+    {
+        gradientA.evaluate(position, sampleA)
+        gradientB.evaluate(position, sampleB)
+
+        const color = mixColorsOklab(colorA.setRGB(sampleA.x, sampleA.y, sampleA.z), colorB.setRGB(sampleB.x, sampleB.y, sampleB.z), weight, colorA)
+
+        return {
+            position,
+            color: `#${color.getHexString(THREE.SRGBColorSpace)}`,
+            alpha: THREE.MathUtils.lerp(sampleA.w, sampleB.w, weight)
+        }
+    })
+}
+
+const blendCurves = (pointsA, pointsB, weight) =>
+{
+    const curveA = new Curve(pointsA)
+    const curveB = new Curve(pointsB)
+
+    return getPositions(pointsA, pointsB, 'x').map((x) => ({ x, y: THREE.MathUtils.lerp(curveA.evaluate(x), curveB.evaluate(x), weight) }))
+}
+
+const blendField = (a, b, weight, field) =>
+{
+    // Fields missing from one preset are left as the other one has them
+    if(a === undefined || weight >= 1)
+        return b
+    if(b === undefined || weight <= 0)
+        return a
+
+    // Everything else that can't be interpolated switches halfway
+    if(a === null || b === null)
+        return weight < 0.5 ? a : b
+
+    switch(field.type)
+    {
+        case 'object':
+        {
+            const blended = {}
+
+            for(const key of new Set([ ...Object.keys(a), ...Object.keys(b) ]))
+                blended[key] = blendField(a[key], b[key], weight, field.fields[key])
+
+            return blended
+        }
+
+        case 'array':
+            // Identical ramps are kept as they are instead of being resampled
+            if(JSON.stringify(a) === JSON.stringify(b))
+                return a
+            if(field.items.fields?.position)
+                return blendGradients(a, b, weight)
+            if(field.items.fields?.x)
+                return blendCurves(a, b, weight)
+
+            return weight < 0.5 ? a : b
+
+        case 'number':
+            return THREE.MathUtils.lerp(a, b, weight)
+
+        case 'vector3':
+            return a.map((component, index) => THREE.MathUtils.lerp(component, b[index], weight))
+
+        case 'color':
+            return blendColors(a, b, weight)
+
+        default:
+            return weight < 0.5 ? a : b
+    }
+}
+
+/**
+ * Blends two current version presets, `weight` going from 0 (`presetA`) to 1 (`presetB`).
+ * Numbers and vectors are interpolated, colors through Oklab, ramps resampled at the stops of both,
+ * and whatever can't be interpolated (modes, bursts, toggles, integers) switches at 0.5.
+ */
+export const blendPresets = (presetA, presetB, weight) =>
+{
+    weight = THREE.MathUtils.clamp(weight, 0, 1)
+
+    const blended = blendField(presetA, presetB, weight, presetSchema)
+
+    // The count is the only integer worth interpolating, the others would rebuild or jump at every step
+    const countA = presetA.system?.count
+    const countB = presetB.system?.count
+
+    if(weight > 0 && weight < 1 && countA !== undefined && countB !== undefined)
+        blended.system.count = Math.round(THREE.MathUtils.lerp(countA, countB, weight))
+
+    return blended
+}
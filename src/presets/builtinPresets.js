@@ -0,0 +1,10 @@
+import magicWand from './builtin/magicWand.json'
+import fountain from './builtin/fountain.json'
+import sparkles from './builtin/sparkles.json'
+import fire from './builtin/fire.json'
+import ashes from './builtin/ashes.json'
+import mannekenPis from './builtin/mannekenPis.json'
+import beamMeUp from './builtin/beamMeUp.json'
+import balrogWhip from './builtin/balrogWhip.json'
+
+export const builtinPresets = { magicWand, fountain, sparkles, fire, ashes, mannekenPis, beamMeUp, balrogWhip }
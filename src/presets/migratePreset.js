@@ -0,0 +1,107 @@
+import { PRESET_VERSION, emitterShapesSchema, uniformsSchema } from './presetSchema.js'
+import PresetValidationError from './PresetValidationError.js'
+
+// Shape folders of the lil-gui panel before the versioned format
+const guiShapeFolders = {
+    '⚪ Point': 'point',
+    '🧊 Box': 'box',
+    '🍦 Cone': 'cone',
+    '💿 Disc': 'disc',
+    '📏 Line': 'line',
+    '🍩 Ring': 'ring',
+    '🌗 Hemisphere': 'hemisphere'
+}
+
+const guiSettings = [ 'count', 'emissionMode', 'emissionRate', 'renderMode', 'trailLength', 'meshOrientation', 'emitterType' ]
+
+const guiTurbulence = {
+    turbulenceStrength: 'strength',
+    turbulenceTimeFrequeny: 'timeFrequency',
+    turbulencePositionFrequeny: 'positionFrequency'
+}
+
+/**
+ * Sets a controller value on `target`, `X`, `Y` and `Z` suffixed controllers filling vector fields.
+ */
+const setGuiValue = (target, fields, name, value) =>
+{
+    const vectorName = name.slice(0, -1)
+    const component = 'XYZ'.indexOf(name.slice(-1))
+
+    if(component !== -1 && fields[vectorName]?.type === 'vector3')
+    {
+        target[vectorName] ??= [ 0, 0, 0 ]
+        target[vectorName][component] = value
+    }
+    else if(fields[name])
+    {
+        target[name] = value
+    }
+}
+
+/**
+ * Version 0 presets were raw `gui.save()` objects, keyed by the lil-gui folder titles and controller names.
+ */
+const migrateGuiPreset = (save) =>
+{
+    if(typeof save?.controllers !== 'object' || typeof save?.folders !== 'object')
+        throw new PresetValidationError([ 'preset: neither a versioned preset nor a lil-gui save' ])
+
+    const system = { uniforms: {}, emitterShapes: {}, turbulence: {} }
+
+    const visit = (folder, title) =>
+    {
+        const shapeName = guiShapeFolders[title]
+
+        for(const name in folder.controllers)
+        {
+            const value = folder.controllers[name]
+
+            if(shapeName)
+            {
+                system.emitterShapes[shapeName] ??= {}
+                setGuiValue(system.emitterShapes[shapeName], emitterShapesSchema.fields[shapeName].fields, name, value)
+            }
+            else if(guiSettings.includes(name))
+                system[name] = value
+            else if(guiTurbulence[name])
+                system.turbulence[guiTurbulence[name]] = value
+            else if(name === 'emitterRadius')
+                system.emitterShapes.point = { ...system.emitterShapes.point, radius: value }
+            else if(name === 'lifeRamps')
+                system.lifeRamps = JSON.parse(value)
+            else
+                setGuiValue(system.uniforms, uniformsSchema.fields, name, value) // Anything else is GUI only and dropped
+        }
+
+        for(const childTitle in folder.folders)
+            visit(folder.folders[childTitle], childTitle)
+    }
+    visit(save, null)
+
+    return { version: 1, name: 'untitled', system }
+}
+
+// Index `n` upgrades a version `n` preset to version `n + 1`
+const migrations = [
+    migrateGuiPreset
+]
+
+/**
+ * Upgrades a parsed preset of any previous version to `PRESET_VERSION`.
+ */
+export const migratePreset = (preset) =>
+{
+    let version = preset?.version ?? 0
+
+    if(!Number.isInteger(version) || version < 0 || version > PRESET_VERSION)
+        throw new PresetValidationError([ `version: expected an integer up to ${PRESET_VERSION}, got ${JSON.stringify(version)}` ])
+
+    while(version < PRESET_VERSION)
+    {
+        preset = migrations[version](preset)
+        version = preset.version
+    }
+
+    return preset
+}
@@ -0,0 +1,158 @@
+import { easings } from '../utils/easings.js'
+
+// Description of the preset format, used to validate, serialize and apply presets
+// Every field is optional so that partial presets only change what they contain, except the ones marked `required`
+
+export const PRESET_VERSION = 1
+
+const number = (min = - Infinity, max = Infinity) => ({ type: 'number', min, max })
+const integer = (min = - Infinity, max = Infinity) => ({ type: 'integer', min, max })
+const boolean = () => ({ type: 'boolean' })
+const string = () => ({ type: 'string' })
+const color = () => ({ type: 'color' })
+const vector3 = (min = - Infinity, max = Infinity) => ({ type: 'vector3', min, max })
+const enumeration = (...options) => ({ type: 'enum', options })
+const nullable = (field) => ({ ...field, nullable: true })
+const required = (field) => ({ ...field, required: true })
+const oneOf = (...fields) => ({ type: 'oneOf', fields })
+const object = (fields) => ({ type: 'object', fields })
+const array = (items, minLength = 0) => ({ type: 'array', items, minLength })
+
+const direction = vector3(- 1, 1)
+const curve = array(object({ x: number(0, 1), y: number() }), 1)
+
+export const uniformsSchema = object({
+    seed: integer(0, 0xffffffff),
+    colorIn: color(),
+    colorOut: color(),
+    emitterVelocityStrength: number(),
+    emitterNormalVelocity: number(),
+    initialVelocity: vector3(),
+    initialRandomVelocity: number(0),
+    velocityDamping: number(0, 1),
+    decayFrequency: number(0),
+    gravity: vector3(),
+    floorY: number(),
+    floorDamping: number(0, 1),
+    size: number(0),
+    solidRatio: number(0, 1),
+    solidAlpha: number(0),
+    glowSpread: number(0),
+    fadeIn: number(0, 1),
+    fadeOut: number(0, 1),
+    opacity: number(0, 1),
+    sparklingAlpha: number(0),
+    sparklingFrequency: number(0),
+    sparklingDuration: number(0, 1),
+    useLifeRamps: boolean(),
+    trailWidth: number(0),
+    trailWidthTaper: number(0, 1),
+    trailOpacityTaper: number(0, 1),
+    stretchFactor: number(0),
+    angularVelocity: number(0)
+})
+
+export const emitterShapesSchema = object({
+    point: object({ radius: number(0), surface: boolean() }),
+    box: object({ size: vector3(0), surface: boolean() }),
+    cone: object({ angle: number(0, Math.PI * 0.5), height: number(0), direction, surface: boolean() }),
+    disc: object({ radius: number(0), direction, surface: boolean() }),
+    line: object({ start: vector3(), end: vector3(), radius: number(0), surface: boolean() }),
+    ring: object({ radius: number(0), tubeRadius: number(0), direction, surface: boolean() }),
+    hemisphere: object({ radius: number(0), direction, surface: boolean() })
+})
+
+export const turbulenceSchema = object({
+    strength: number(0),
+    timeFrequency: number(0),
+    positionFrequency: number(0),
+    octaves: integer(1, 8),
+    lacunarity: number(0),
+    gain: number(0),
+    warpStrength: number(0),
+    warpFrequency: number(0)
+})
+
+export const spriteSheetSchema = object({
+    columns: integer(1, 64),
+    rows: integer(1, 64),
+    frameCount: integer(1, 4096),
+    fps: number(0),
+    randomStart: boolean(),
+    blend: boolean(),
+    glowMix: number(0, 1)
+})
+
+export const sphSchema = object({
+    smoothingRadius: number(0.001),
+    particleMass: number(0),
+    restDensity: number(0),
+    stiffness: number(0),
+    viscosity: number(0),
+    surfaceTension: number(0),
+    maxAcceleration: number(0),
+    useContainer: boolean(),
+    containerCenter: vector3(),
+    containerSize: vector3(0),
+    containerDamping: number(0, 1)
+})
+
+export const physarumSchema = object({
+    speed: number(0),
+    sensorAngle: number(0, Math.PI),
+    sensorDistance: number(0),
+    turnRate: number(0),
+    deposit: number(0),
+    decay: number(0),
+    diffusion: number(0, 1),
+    size: number(0.001),
+    center: vector3(),
+    trailColor: color(),
+    displayIntensity: number(0)
+})
+
+export const lifeRampsSchema = object({
+    colorGradient: array(object({ position: number(0, 1), color: color(), alpha: number(0, 1) }), 1),
+    sizeCurve: curve,
+    opacityCurve: curve,
+    emissiveCurve: curve
+})
+
+export const timelineSchema = object({
+    duration: number(0),
+    loop: boolean(),
+    tracks: array(object({
+        path: required(string()), // From the timeline targets, like 'system.uniforms.size' or 'emitter.position'
+        keyframes: required(array(object({
+            time: required(number(0)),
+            value: required(oneOf(number(), vector3(), color())), // Of the type of the path's value, checked by `Timeline.fromJSON()`
+            easing: enumeration('step', ...Object.keys(easings))
+        }), 1))
+    }))
+})
+
+// Force fields other than the turbulence and colliders live in the scene and are not part of presets
+export const presetSchema = object({
+    version: integer(1, PRESET_VERSION),
+    name: string(),
+    system: object({
+        count: integer(1, 1000000),
+        emissionMode: enumeration('continuous', 'explicit'),
+        emissionRate: number(0),
+        bursts: array(object({ count: integer(0), delay: number(0), repeat: nullable(integer(0)), interval: number(0) })), // A null `repeat` loops forever
+        renderMode: enumeration('billboard', 'stretched', 'trail', 'mesh'),
+        trailLength: integer(2, 256),
+        meshOrientation: enumeration('velocity', 'spin'),
+        emitterType: enumeration('point', 'box', 'cone', 'disc', 'line', 'ring', 'hemisphere', 'mesh'),
+        simulationMode: enumeration('free', 'sph', 'physarum'),
+        turbulenceNoise: enumeration('curl3d', 'curl4d', 'fbm'),
+        uniforms: uniformsSchema,
+        emitterShapes: emitterShapesSchema,
+        turbulence: turbulenceSchema,
+        lifeRamps: lifeRampsSchema,
+        spriteSheet: spriteSheetSchema,
+        sph: sphSchema,
+        physarum: physarumSchema
+    }),
+    timeline: timelineSchema
+})
@@ -0,0 +1,347 @@
+import * as THREE from 'three'
+import { PRESET_VERSION, presetSchema, uniformsSchema, emitterShapesSchema, turbulenceSchema, spriteSheetSchema, sphSchema, physarumSchema } from './presetSchema.js'
+import { migratePreset } from './migratePreset.js'
+import { blendPresets } from './blendPresets.js'
+import PresetValidationError from './PresetValidationError.js'
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+const typeDescriptions = {
+    number: 'a number',
+    integer: 'an integer',
+    vector3: 'an array of 3 numbers',
+    boolean: 'a boolean',
+    string: 'a string',
+    color: 'a "#rrggbb" color'
+}
+
+const describeRange = (field) =>
+{
+    if(field.min > - Infinity && field.max < Infinity)
+        return ` between ${field.min} and ${field.max}`
+    if(field.min > - Infinity)
+        return ` of at least ${field.min}`
+    if(field.max < Infinity)
+        return ` of at most ${field.max}`
+
+    return ''
+}
+
+const validateField = (value, field, path, errors) =>
+{
+    const got = JSON.stringify(value)
+
+    if(value === null && field.nullable)
+        return
+
+    switch(field.type)
+    {
+        case 'object':
+            if(!isPlainObject(value))
+                return errors.push(`${path}: expected an object, got ${got}`)
+
+            for(const key in value)
+            {
+                if(field.fields[key])
+                    validateField(value[key], field.fields[key], path ? `${path}.${key}` : key, errors)
+                else
+                    errors.push(`${path ? `${path}.${key}` : key}: unknown field`)
+            }
+
+            for(const key in field.fields)
+            {
+                if(field.fields[key].required && value[key] === undefined)
+                    errors.push(`${path ? `${path}.${key}` : key}: missing`)
+            }
+            return
+
+        case 'array':
+            if(!Array.isArray(value))
+                return errors.push(`${path}: expected an array, got ${got}`)
+            if(value.length < field.minLength)
+                return errors.push(`${path}: expected at least ${field.minLength} items, got ${value.length}`)
+
+            value.forEach((item, index) => validateField(item, field.items, `${path}[${index}]`, errors))
+            return
+
+        case 'number':
+        case 'integer':
+            if(!isNumber(value) || (field.type === 'integer' && !Number.isInteger(value)) || value < field.min || value > field.max)
+                errors.push(`${path}: expected ${field.type === 'integer' ? 'an integer' : 'a number'}${describeRange(field)}, got ${got}`)
+            return
+
+        case 'vector3':
+            if(!Array.isArray(value) || value.length !== 3 || !value.every((component) => isNumber(component) && component >= field.min && component <= field.max))
+                errors.push(`${path}: expected an array of 3 numbers${describeRange(field)}, got ${got}`)
+            return
+
+        case 'boolean':
+            if(typeof value !== 'boolean')
+                errors.push(`${path}: expected a boolean, got ${got}`)
+            return
+
+        case 'string':
+            if(typeof value !== 'string')
+                errors.push(`${path}: expected a string, got ${got}`)
+            return
+
+        case 'color':
+            if(typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value))
+                errors.push(`${path}: expected a "#rrggbb" color, got ${got}`)
+            return
+
+        case 'oneOf':
+        {
+            const matches = field.fields.some((_field) =>
+            {
+                const fieldErrors = []
+                validateField(value, _field, path, fieldErrors)
+
+                return fieldErrors.length === 0
+            })
+
+            if(!matches)
+                errors.push(`${path}: expected ${field.fields.map((_field) => typeDescriptions[_field.type]).join(' or ')}, got ${got}`)
+            return
+        }
+
+        case 'enum':
+            if(!field.options.includes(value))
+                errors.push(`${path}: expected one of ${field.options.map((option) => `"${option}"`).join(', ')}, got ${got}`)
+            return
+    }
+}
+
+/**
+ * Throws a `PresetValidationError` listing every unknown or invalid field of a current version preset.
+ */
+export const validatePreset = (preset) =>
+{
+    const errors = []
+    validateField(preset, presetSchema, '', errors)
+
+    if(isPlainObject(preset) && preset.version === undefined)
+        errors.push('version: missing')
+
+    if(errors.length)
+        throw new PresetValidationError(errors)
+}
+
+const readUniforms = (uniforms, schema) =>
+{
+    const values = {}
+
+    for(const key in schema.fields)
+    {
+        const uniform = uniforms[key]
+
+        switch(schema.fields[key].type)
+        {
+            case 'boolean':
+                values[key] = uniform.value > 0.5
+                break
+            case 'color':
+                values[key] = `#${uniform.value.getHexString(THREE.SRGBColorSpace)}`
+                break
+            case 'vector3':
+                values[key] = uniform.value.toArray()
+                break
+            default:
+                values[key] = uniform.value
+        }
+    }
+
+    return values
+}
+
+const writeUniforms = (uniforms, schema, values) =>
+{
+    for(const key in values)
+    {
+        const uniform = uniforms[key]
+        const value = values[key]
+
+        switch(schema.fields[key].type)
+        {
+            case 'boolean':
+                uniform.value = value ? 1 : 0
+                break
+            case 'color':
+                uniform.value.set(value)
+                break
+            case 'vector3':
+                uniform.value.fromArray(value)
+                break
+            default:
+                uniform.value = value
+        }
+    }
+}
+
+/**
+ * Migrates a parsed preset (of any version) and validates it, throwing a `PresetValidationError` if invalid.
+ */
+export const normalizePreset = (preset) =>
+{
+    preset = migratePreset(preset)
+    validatePreset(preset)
+
+    return preset
+}
+
+/**
+ * Current settings of a `ParticlesSystem` as a preset object, ready for `JSON.stringify()`.
+ */
+export const serializePreset = (system, name = 'untitled') =>
+{
+    const emitterShapes = {}
+    for(const shapeName in emitterShapesSchema.fields)
+        emitterShapes[shapeName] = readUniforms(system.emitterShapes[shapeName].uniforms, emitterShapesSchema.fields[shapeName])
+
+    return {
+        version: PRESET_VERSION,
+        name,
+        system: {
+            count: system.activeCount,
+            emissionMode: system.emissionMode,
+            emissionRate: system.emissionRate,
+            bursts: system.bursts.map((burst) => ({
+                count: burst.count,
+                delay: burst.delay,
+                repeat: burst.repeat === Infinity ? null : (burst.repeat ?? 0),
+                interval: burst.interval
+            })),
+            renderMode: system.renderMode,
+            trailLength: system.trailLength,
+            meshOrientation: system.meshOrientation,
+            emitterType: system.emitterType,
+            simulationMode: system.simulationMode,
+            turbulenceNoise: system.turbulenceNoise,
+            uniforms: readUniforms(system.uniforms, uniformsSchema),
+            emitterShapes,
+            turbulence: readUniforms(system.turbulenceField.uniforms, turbulenceSchema),
+            lifeRamps: system.lifeRamps.toJSON(),
+            spriteSheet: readUniforms(system.spriteSheet.uniforms, spriteSheetSchema),
+            sph: readUniforms(system.sph.uniforms, sphSchema),
+            physarum: readUniforms(system.physarum.uniforms, physarumSchema)
+        },
+        timeline: system.timeline.toJSON()
+    }
+}
+
+// Everything but the count
+const writeSettings = (system, settings) =>
+{
+    // Uniforms
+    if(settings.uniforms)
+        writeUniforms(system.uniforms, uniformsSchema, settings.uniforms)
+
+    for(const shapeName in settings.emitterShapes)
+        writeUniforms(system.emitterShapes[shapeName].uniforms, emitterShapesSchema.fields[shapeName], settings.emitterShapes[shapeName])
+
+    if(settings.turbulence)
+        writeUniforms(system.turbulenceField.uniforms, turbulenceSchema, settings.turbulence)
+
+    if(settings.spriteSheet)
+        writeUniforms(system.spriteSheet.uniforms, spriteSheetSchema, settings.spriteSheet)
+
+    if(settings.sph)
+        writeUniforms(system.sph.uniforms, sphSchema, settings.sph)
+
+    if(settings.physarum)
+        writeUniforms(system.physarum.uniforms, physarumSchema, settings.physarum)
+
+    if(settings.lifeRamps)
+        system.lifeRamps.fromJSON(settings.lifeRamps)
+
+    // Emission (mutated in place since the bursts may be referenced elsewhere)
+    if(settings.emissionRate !== undefined)
+        system.emissionRate = settings.emissionRate
+
+    if(settings.bursts)
+    {
+        const bursts = settings.bursts.map((burst) => ({ ...burst, repeat: burst.repeat === null ? Infinity : burst.repeat }))
+        system.bursts.splice(0, system.bursts.length, ...bursts)
+    }
+
+    // Settings rebuilding the system, only when they change
+    for(const key of [ 'emissionMode', 'renderMode', 'trailLength', 'meshOrientation', 'emitterType', 'simulationMode', 'turbulenceNoise' ])
+    {
+        if(settings[key] !== undefined && settings[key] !== system[key])
+            system[key] = settings[key]
+    }
+}
+
+/**
+ * Migrates, validates and applies a parsed preset (of any version) to a `ParticlesSystem`.
+ * Nothing is applied if the preset is invalid, a `PresetValidationError` is thrown instead.
+ * Returns the migrated preset.
+ */
+export const applyPreset = (system, preset) =>
+{
+    preset = normalizePreset(preset)
+
+    const settings = preset.system ?? {}
+
+    // Keyframes are checked against the values they animate, also throwing before anything changes
+    if(preset.timeline)
+        system.timeline.fromJSON(preset.timeline)
+
+    if(settings.count !== undefined)
+    {
+        if(settings.count !== system.count)
+            system.count = settings.count
+        else
+            system.activeCount = settings.count
+    }
+
+    writeSettings(system, settings)
+    system.restartEmission()
+
+    // Grid cells following the smoothing radius, not while blending since it reallocates them
+    if(system.simulationMode === 'sph')
+        system.sph.fitGrid()
+
+    // Replayed from the start
+    if(preset.timeline)
+        system.timeline.seek(0)
+
+    return preset
+}
+
+/**
+ * Applies the blend of two parsed presets (see `blendPresets()`) to a `ParticlesSystem`, without restarting the emission.
+ * The particles are allocated for the largest count of both and the blended count only changes `activeCount`,
+ * so that particles fade out by not respawning instead of popping.
+ * Blending every frame, `normalized` skips the migration and validation of presets that already went through `normalizePreset()`.
+ */
+export const applyPresetBlend = (system, presetA, presetB, weight, { normalized = false } = {}) =>
+{
+    if(!normalized)
+    {
+        presetA = normalizePreset(presetA)
+        presetB = normalizePreset(presetB)
+    }
+
+    const capacity = Math.max(presetA.system?.count ?? system.activeCount, presetB.system?.count ?? system.activeCount)
+
+    if(system.count < capacity)
+        system.count = capacity
+
+    const settings = blendPresets(presetA, presetB, weight).system ?? {}
+
+    if(settings.count !== undefined)
+        system.activeCount = settings.count
+
+    writeSettings(system, settings)
+
+    // Life ramps are mixed with the two colors look in the shaders, so they can fade instead of switching
+    const useLifeRampsA = presetA.system?.uniforms?.useLifeRamps
+    const useLifeRampsB = presetB.system?.uniforms?.useLifeRamps
+
+    if(useLifeRampsA !== undefined && useLifeRampsB !== undefined)
+        system.uniforms.useLifeRamps.value = THREE.MathUtils.lerp(Number(useLifeRampsA), Number(useLifeRampsB), THREE.MathUtils.clamp(weight, 0, 1))
+}
+
+export { migratePreset, blendPresets, PresetValidationError }
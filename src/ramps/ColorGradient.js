@@ -0,0 +1,74 @@
+import * as THREE from 'three'
+
+export default class ColorGradient
+{
+    /**
+     * @param {Array<{ position: number, color: string, alpha: number }>} stops - Colors as sRGB hex strings
+     */
+    constructor(stops = [])
+    {
+        this.stops = []
+        this.setStops(stops)
+    }
+
+    setStops(stops)
+    {
+        this.stops = stops.map((stop) => ({ position: stop.position, color: stop.color, alpha: stop.alpha ?? 1 }))
+        this.sort()
+    }
+
+    sort()
+    {
+        this.stops.sort((a, b) => a.position - b.position)
+    }
+
+    addStop(position, color = '#ffffff', alpha = 1)
+    {
+        const stop = { position, color, alpha }
+        this.stops.push(stop)
+        this.sort()
+
+        return stop
+    }
+
+    removeStop(stop)
+    {
+        // Keep at least one stop
+        if(this.stops.length <= 1)
+            return
+
+        this.stops.splice(this.stops.indexOf(stop), 1)
+    }
+
+    /**
+     * Linear interpolation in the working (linear) color space, written in `target` (a THREE.Vector4).
+     */
+    evaluate(position, target)
+    {
+        const stops = this.stops
+
+        if(stops.length === 0)
+            return target.set(1, 1, 1, 1)
+
+        let index = 0
+        while(index < stops.length && stops[index].position < position)
+            index++
+
+        const stopA = stops[Math.max(0, index - 1)]
+        const stopB = stops[Math.min(stops.length - 1, index)]
+        const span = stopB.position - stopA.position
+        const ratio = span > 0 ? THREE.MathUtils.clamp((position - stopA.position) / span, 0, 1) : 0
+
+        const color = ColorGradient.colorA.set(stopA.color).lerp(ColorGradient.colorB.set(stopB.color), ratio)
+
+        return target.set(color.r, color.g, color.b, THREE.MathUtils.lerp(stopA.alpha, stopB.alpha, ratio))
+    }
+
+    toJSON()
+    {
+        return this.stops.map((stop) => ({ ...stop }))
+    }
+
+    static colorA = new THREE.Color()
+    static colorB = new THREE.Color()
+}
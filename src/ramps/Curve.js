@@ -0,0 +1,112 @@
+import * as THREE from 'three'
+
+export default class Curve
+{
+    /**
+     * @param {Array<{ x: number, y: number }>} points - Control points with `x` in [0, 1]
+     */
+    constructor(points = [])
+    {
+        this.points = []
+        this.setPoints(points)
+    }
+
+    setPoints(points)
+    {
+        this.points = points.map((point) => ({ x: point.x, y: point.y }))
+        this.sort()
+    }
+
+    sort()
+    {
+        this.points.sort((a, b) => a.x - b.x)
+    }
+
+    addPoint(x, y)
+    {
+        const point = { x, y }
+        this.points.push(point)
+        this.sort()
+
+        return point
+    }
+
+    removePoint(point)
+    {
+        // Keep at least one point
+        if(this.points.length <= 1)
+            return
+
+        this.points.splice(this.points.indexOf(point), 1)
+    }
+
+    /**
+     * Monotone cubic interpolation (Fritsch-Carlson), the curve never overshoots its points.
+     */
+    evaluate(x)
+    {
+        const points = this.points
+        const count = points.length
+
+        if(count === 0)
+            return 0
+        if(x <= points[0].x)
+            return points[0].y
+        if(x >= points[count - 1].x)
+            return points[count - 1].y
+
+        let index = 0
+        while(points[index + 1].x < x)
+            index++
+
+        const pointA = points[index]
+        const pointB = points[index + 1]
+        const span = pointB.x - pointA.x
+
+        if(span <= 0)
+            return pointB.y
+
+        const tangentA = this.getTangent(index)
+        const tangentB = this.getTangent(index + 1)
+        const t = (x - pointA.x) / span
+        const t2 = t * t
+        const t3 = t2 * t
+
+        return (2 * t3 - 3 * t2 + 1) * pointA.y
+            + (t3 - 2 * t2 + t) * span * tangentA
+            + (- 2 * t3 + 3 * t2) * pointB.y
+            + (t3 - t2) * span * tangentB
+    }
+
+    getTangent(index)
+    {
+        const points = this.points
+        const getSlope = (i) =>
+        {
+            const span = points[i + 1].x - points[i].x
+            return span > 0 ? (points[i + 1].y - points[i].y) / span : 0
+        }
+
+        if(index === 0)
+            return getSlope(0)
+        if(index === points.length - 1)
+            return getSlope(index - 1)
+
+        const slopeBefore = getSlope(index - 1)
+        const slopeAfter = getSlope(index)
+
+        // Flat on local extremums to avoid overshooting
+        if(slopeBefore * slopeAfter <= 0)
+            return 0
+
+        // Within 3 times the slopes of both segments, which keeps each of them monotone
+        const limit = 3 * Math.min(Math.abs(slopeBefore), Math.abs(slopeAfter))
+
+        return THREE.MathUtils.clamp((slopeBefore + slopeAfter) * 0.5, - limit, limit)
+    }
+
+    toJSON()
+    {
+        return this.points.map((point) => ({ ...point }))
+    }
+}
@@ -0,0 +1,181 @@
+import * as THREE from 'three'
+
+export default class CurveEditor
+{
+    /**
+     * Curve widget appended to a lil-gui folder, with `x` in [0, 1] and `y` in [min, max].
+     * Click to add a point, drag to move it, double click to remove it.
+     */
+    constructor(parent, curve, name = 'curve', min = 0, max = 1)
+    {
+        // Setup
+        this.parent = parent
+        this.curve = curve
+        this.min = min
+        this.max = max
+        this.dragged = null
+
+        // DOM
+        this.domElement = document.createElement('div')
+        this.domElement.classList.add('ramp-editor')
+
+        this.$name = document.createElement('div')
+        this.$name.classList.add('ramp-editor-name')
+        this.$name.textContent = `${name} (${min} → ${max})`
+        this.domElement.appendChild(this.$name)
+
+        this.canvas = document.createElement('canvas')
+        this.canvas.width = 256
+        this.canvas.height = 96
+        this.domElement.appendChild(this.canvas)
+        this.context = this.canvas.getContext('2d')
+
+        this.parent.$children.appendChild(this.domElement)
+
+        // Events
+        this.canvas.addEventListener('pointerdown', (event) =>
+        {
+            const coordinates = this.getCoordinates(event)
+            let point = this.getPointAt(coordinates)
+
+            if(!point)
+                point = this.curve.addPoint(coordinates.x, coordinates.y)
+
+            this.dragged = point
+            this.canvas.setPointerCapture(event.pointerId)
+            this.change()
+        })
+
+        this.canvas.addEventListener('pointermove', (event) =>
+        {
+            if(!this.dragged)
+                return
+
+            const coordinates = this.getCoordinates(event)
+            this.dragged.x = coordinates.x
+            this.dragged.y = coordinates.y
+            this.curve.sort()
+            this.change()
+        })
+
+        this.canvas.addEventListener('pointerup', () =>
+        {
+            this.dragged = null
+        })
+
+        this.canvas.addEventListener('dblclick', (event) =>
+        {
+            const point = this.getPointAt(this.getCoordinates(event))
+
+            if(!point)
+                return
+
+            this.curve.removePoint(point)
+            this.change()
+        })
+
+        this.update()
+    }
+
+    getCoordinates(event)
+    {
+        const bounding = this.canvas.getBoundingClientRect()
+        const x = THREE.MathUtils.clamp((event.clientX - bounding.left) / bounding.width, 0, 1)
+        const y = THREE.MathUtils.clamp(1 - (event.clientY - bounding.top) / bounding.height, 0, 1)
+
+        return { x, y: THREE.MathUtils.lerp(this.min, this.max, y) }
+    }
+
+    getPointAt(coordinates)
+    {
+        const thresholdX = 6 / this.canvas.width
+        const thresholdY = 6 / this.canvas.height * (this.max - this.min)
+
+        return this.curve.points.find((point) => Math.abs(point.x - coordinates.x) < thresholdX && Math.abs(point.y - coordinates.y) < thresholdY)
+    }
+
+    toCanvas(x, y)
+    {
+        return [
+            x * (this.canvas.width - 1),
+            (1 - THREE.MathUtils.inverseLerp(this.min, this.max, y)) * (this.canvas.height - 1)
+        ]
+    }
+
+    onChange(callback)
+    {
+        this._onChange = callback
+
+        return this
+    }
+
+    change()
+    {
+        this.update()
+
+        if(this._onChange)
+            this._onChange(this.curve)
+    }
+
+    /**
+     * Redraws, to call when the curve has been changed from outside.
+     */
+    update()
+    {
+        this.draw()
+    }
+
+    draw()
+    {
+        const context = this.context
+        const width = this.canvas.width
+        const height = this.canvas.height
+
+        context.clearRect(0, 0, width, height)
+
+        // Grid
+        context.strokeStyle = '#3c3c3c'
+        context.lineWidth = 1
+        context.beginPath()
+        for(let i = 1; i < 4; i++)
+        {
+            context.moveTo(Math.round(width * i / 4) + 0.5, 0)
+            context.lineTo(Math.round(width * i / 4) + 0.5, height)
+            context.moveTo(0, Math.round(height * i / 4) + 0.5)
+            context.lineTo(width, Math.round(height * i / 4) + 0.5)
+        }
+        context.stroke()
+
+        // Curve
+        context.strokeStyle = '#2cc9ff'
+        context.lineWidth = 2
+        context.beginPath()
+        for(let i = 0; i < width; i++)
+        {
+            const x = i / (width - 1)
+            const [ canvasX, canvasY ] = this.toCanvas(x, this.curve.evaluate(x))
+
+            if(i === 0)
+                context.moveTo(canvasX, canvasY)
+            else
+                context.lineTo(canvasX, canvasY)
+        }
+        context.stroke()
+
+        // Points
+        context.fillStyle = '#ffffff'
+        for(const point of this.curve.points)
+        {
+            const [ canvasX, canvasY ] = this.toCanvas(point.x, point.y)
+
+            context.beginPath()
+            context.arc(canvasX, canvasY, 4, 0, Math.PI * 2)
+            context.fill()
+        }
+    }
+
+    destroy()
+    {
+        this.domElement.remove()
+    }
+}
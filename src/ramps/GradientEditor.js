@@ -0,0 +1,203 @@
+import * as THREE from 'three'
+
+export default class GradientEditor
+{
+    /**
+     * Gradient widget appended to a lil-gui folder.
+     * Click to add a stop, drag to move it, double click to remove it, the inputs edit the selected stop.
+     */
+    constructor(parent, gradient, name = 'gradient')
+    {
+        // Setup
+        this.parent = parent
+        this.gradient = gradient
+        this.selected = gradient.stops[0]
+        this.dragged = null
+
+        // DOM
+        this.domElement = document.createElement('div')
+        this.domElement.classList.add('ramp-editor')
+
+        this.$name = document.createElement('div')
+        this.$name.classList.add('ramp-editor-name')
+        this.$name.textContent = name
+        this.domElement.appendChild(this.$name)
+
+        this.canvas = document.createElement('canvas')
+        this.canvas.width = 256
+        this.canvas.height = 40
+        this.domElement.appendChild(this.canvas)
+        this.context = this.canvas.getContext('2d')
+
+        this.$inputs = document.createElement('div')
+        this.$inputs.classList.add('ramp-editor-inputs')
+        this.domElement.appendChild(this.$inputs)
+
+        this.$color = document.createElement('input')
+        this.$color.type = 'color'
+        this.$inputs.appendChild(this.$color)
+
+        this.$alpha = document.createElement('input')
+        this.$alpha.type = 'range'
+        this.$alpha.min = 0
+        this.$alpha.max = 1
+        this.$alpha.step = 0.01
+        this.$inputs.appendChild(this.$alpha)
+
+        this.parent.$children.appendChild(this.domElement)
+
+        // Events
+        this.$color.addEventListener('input', () =>
+        {
+            this.selected.color = this.$color.value
+            this.change()
+        })
+
+        this.$alpha.addEventListener('input', () =>
+        {
+            this.selected.alpha = parseFloat(this.$alpha.value)
+            this.change()
+        })
+
+        this.canvas.addEventListener('pointerdown', (event) =>
+        {
+            const position = this.getPosition(event)
+            let stop = this.getStopAt(position)
+
+            if(!stop)
+            {
+                const color = this.gradient.evaluate(position, new THREE.Vector4())
+                const hex = `#${new THREE.Color(color.x, color.y, color.z).getHexString()}`
+                stop = this.gradient.addStop(position, hex, color.w)
+            }
+
+            this.selected = stop
+            this.dragged = stop
+            this.canvas.setPointerCapture(event.pointerId)
+            this.change()
+        })
+
+        this.canvas.addEventListener('pointermove', (event) =>
+        {
+            if(!this.dragged)
+                return
+
+            this.dragged.position = this.getPosition(event)
+            this.gradient.sort()
+            this.change()
+        })
+
+        this.canvas.addEventListener('pointerup', () =>
+        {
+            this.dragged = null
+        })
+
+        this.canvas.addEventListener('dblclick', (event) =>
+        {
+            const stop = this.getStopAt(this.getPosition(event))
+
+            if(!stop)
+                return
+
+            this.gradient.removeStop(stop)
+            this.selected = this.gradient.stops[0]
+            this.change()
+        })
+
+        this.update()
+    }
+
+    getPosition(event)
+    {
+        const bounding = this.canvas.getBoundingClientRect()
+
+        return THREE.MathUtils.clamp((event.clientX - bounding.left) / bounding.width, 0, 1)
+    }
+
+    getStopAt(position)
+    {
+        const threshold = 6 / this.canvas.width
+
+        return this.gradient.stops.find((stop) => Math.abs(stop.position - position) < threshold)
+    }
+
+    onChange(callback)
+    {
+        this._onChange = callback
+
+        return this
+    }
+
+    change()
+    {
+        this.update()
+
+        if(this._onChange)
+            this._onChange(this.gradient)
+    }
+
+    /**
+     * Redraws and syncs the inputs, to call when the gradient has been changed from outside.
+     */
+    update()
+    {
+        if(!this.gradient.stops.includes(this.selected))
+            this.selected = this.gradient.stops[0]
+
+        this.$color.value = this.selected.color
+        this.$alpha.value = this.selected.alpha
+
+        this.draw()
+    }
+
+    draw()
+    {
+        const context = this.context
+        const width = this.canvas.width
+        const rampHeight = 28
+        const color = new THREE.Vector4()
+        const style = new THREE.Color()
+
+        context.clearRect(0, 0, width, this.canvas.height)
+
+        // Checkerboard behind the alpha
+        for(let x = 0; x < width; x += 7)
+            for(let y = 0; y < rampHeight; y += 7)
+            {
+                context.fillStyle = (x + y) % 14 === 0 ? '#666' : '#999'
+                context.fillRect(x, y, 7, 7)
+            }
+
+        // Ramp
+        for(let x = 0; x < width; x++)
+        {
+            this.gradient.evaluate(x / (width - 1), color)
+            context.globalAlpha = color.w
+            context.fillStyle = style.setRGB(color.x, color.y, color.z).getStyle()
+            context.fillRect(x, 0, 1, rampHeight)
+        }
+        context.globalAlpha = 1
+
+        // Stops
+        for(const stop of this.gradient.stops)
+        {
+            const x = stop.position * (width - 1)
+
+            context.beginPath()
+            context.moveTo(x, rampHeight)
+            context.lineTo(x + 6, this.canvas.height)
+            context.lineTo(x - 6, this.canvas.height)
+            context.closePath()
+            context.fillStyle = stop.color
+            context.fill()
+            context.lineWidth = 2
+            context.strokeStyle = stop === this.selected ? '#ffffff' : '#000000'
+            context.stroke()
+        }
+    }
+
+    destroy()
+    {
+        this.domElement.remove()
+    }
+}
@@ -0,0 +1,127 @@
+import { texture, vec2 } from 'three/tsl'
+import ColorGradient from './ColorGradient.js'
+import Curve from './Curve.js'
+import * as THREE from 'three'
+
+export default class LifeRamps
+{
+    /**
+     * Color gradient and curves over the particles life, baked in a small texture.
+     * Row 0 holds the gradient (RGBA) and row 1 the size, opacity and emissive curves (RGB).
+     */
+    constructor(resolution = 128)
+    {
+        // Setup
+        this.resolution = resolution
+
+        this.colorGradient = new ColorGradient([
+            { position: 0, color: '#ff7300', alpha: 1 },
+            { position: 1, color: '#006eff', alpha: 1 }
+        ])
+        this.sizeCurve = new Curve([ { x: 0, y: 0 }, { x: 0.2, y: 1 }, { x: 0.8, y: 1 }, { x: 1, y: 0 } ])
+        this.opacityCurve = new Curve([ { x: 0, y: 1 }, { x: 1, y: 1 } ])
+        this.emissiveCurve = new Curve([ { x: 0, y: 1 }, { x: 1, y: 1 } ])
+
+        // Texture (half float to stay filterable)
+        this.texture = new THREE.DataTexture(new Uint16Array(resolution * 2 * 4), resolution, 2, THREE.RGBAFormat, THREE.HalfFloatType)
+        this.texture.minFilter = THREE.LinearFilter
+        this.texture.magFilter = THREE.LinearFilter
+        this.texture.wrapS = THREE.ClampToEdgeWrapping
+        this.texture.wrapT = THREE.ClampToEdgeWrapping
+
+        this.bake()
+    }
+
+    /**
+     * To call after editing the gradient or the curves.
+     */
+    bake()
+    {
+        const data = this.texture.image.data
+        const resolution = this.resolution
+        const color = new THREE.Vector4()
+        const toHalfFloat = THREE.DataUtils.toHalfFloat
+
+        for(let i = 0; i < resolution; i++)
+        {
+            const position = i / (resolution - 1)
+
+            // Gradient
+            this.colorGradient.evaluate(position, color)
+            const gradientOffset = i * 4
+            data[gradientOffset    ] = toHalfFloat(color.x)
+            data[gradientOffset + 1] = toHalfFloat(color.y)
+            data[gradientOffset + 2] = toHalfFloat(color.z)
+            data[gradientOffset + 3] = toHalfFloat(color.w)
+
+            // Curves
+            const curvesOffset = (resolution + i) * 4
+            data[curvesOffset    ] = toHalfFloat(this.sizeCurve.evaluate(position))
+            data[curvesOffset + 1] = toHalfFloat(this.opacityCurve.evaluate(position))
+            data[curvesOffset + 2] = toHalfFloat(this.emissiveCurve.evaluate(position))
+            data[curvesOffset + 3] = toHalfFloat(1)
+        }
+
+        this.texture.needsUpdate = true
+    }
+
+    getUV(life, row)
+    {
+        // Sample on texel centers so both ends of the ramps are reached
+        const texelRatio = (this.resolution - 1) / this.resolution
+        const halfTexel = 0.5 / this.resolution
+
+        return vec2(life.clamp(0, 1).mul(texelRatio).add(halfTexel), row * 0.5 + 0.25)
+    }
+
+    /**
+     * Gradient color (rgb) and alpha (a) at `life`.
+     */
+    getColor(life)
+    {
+        return texture(this.texture, this.getUV(life, 0))
+    }
+
+    /**
+     * Size (x), opacity (y) and emissive intensity (z) at `life`.
+     */
+    getCurves(life)
+    {
+        return texture(this.texture, this.getUV(life, 1)).xyz
+    }
+
+    toJSON()
+    {
+        return {
+            colorGradient: this.colorGradient.toJSON(),
+            sizeCurve: this.sizeCurve.toJSON(),
+            opacityCurve: this.opacityCurve.toJSON(),
+            emissiveCurve: this.emissiveCurve.toJSON()
+        }
+    }
+
+    /**
+     * Only bakes if the ramps change, so that applying the same ramps every frame doesn't re-upload the texture.
+     */
+    fromJSON(json)
+    {
+        const previous = JSON.stringify(this.toJSON())
+
+        if(json.colorGradient)
+            this.colorGradient.setStops(json.colorGradient)
+        if(json.sizeCurve)
+            this.sizeCurve.setPoints(json.sizeCurve)
+        if(json.opacityCurve)
+            this.opacityCurve.setPoints(json.opacityCurve)
+        if(json.emissiveCurve)
+            this.emissiveCurve.setPoints(json.emissiveCurve)
+
+        if(JSON.stringify(this.toJSON()) !== previous)
+            this.bake()
+    }
+
+    dispose()
+    {
+        this.texture.dispose()
+    }
+}
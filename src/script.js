@@ -1,12 +1,39 @@
 import GUI from 'lil-gui'
 import * as THREE from 'three'
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
-import { WebGPURenderer } from 'three/webgpu'
+import { MeshBasicNodeMaterial, WebGPURenderer } from 'three/webgpu'
 import { TransformControls } from 'three/addons/controls/TransformControls.js'
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { Timer } from 'three/addons/misc/Timer.js'
 import { color, fog, rangeFogFactor } from 'three/tsl'
 import ParticlesSystem from './ParticlesSystem.js'
+import ParticleEngine from './ParticleEngine.js'
 import Grid from './Grid.js'
+import TurbulenceField from './forces/TurbulenceField.js'
+import AttractorField from './forces/AttractorField.js'
+import VortexField from './forces/VortexField.js'
+import WindField from './forces/WindField.js'
+import DragField from './forces/DragField.js'
+import VectorField from './forces/VectorField.js'
+import VectorFieldGrid from './forces/VectorFieldGrid.js'
+import PlaneCollider from './colliders/PlaneCollider.js'
+import SphereCollider from './colliders/SphereCollider.js'
+import BoxCollider from './colliders/BoxCollider.js'
+import CapsuleCollider from './colliders/CapsuleCollider.js'
+import SdfCollider from './colliders/SdfCollider.js'
+import GradientEditor from './ramps/GradientEditor.js'
+import CurveEditor from './ramps/CurveEditor.js'
+import { applyPreset, serializePreset } from './presets/presets.js'
+import { uniformsSchema, emitterShapesSchema, turbulenceSchema, spriteSheetSchema } from './presets/presetSchema.js'
+import { builtinPresets } from './presets/builtinPresets.js'
+import { easings } from './utils/easings.js'
+import SequenceExporter from './export/SequenceExporter.js'
+import ParticleCache from './cache/ParticleCache.js'
+import CacheRecorder from './cache/CacheRecorder.js'
+import SubEmitter from './subEmitters/SubEmitter.js'
+import BoidsSystem from './physics/BoidsSystem.js'
+import SpatialHashGrid from './physics/SpatialHashGrid.js'
+import PositionBasedSystem from './physics/PositionBasedSystem.js'
 
 /**
  * Base
@@ -67,6 +94,16 @@ renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
 renderer.setClearColor('#19191f')
 await renderer.init()
 
+/**
+ * Lights (for the mesh particles)
+ */
+const ambientLight = new THREE.AmbientLight('#ffffff', 0.6)
+scene.add(ambientLight)
+
+const directionalLight = new THREE.DirectionalLight('#ffffff', 2)
+directionalLight.position.set(3, 4, 2)
+scene.add(directionalLight)
+
 /**
  * Emitter
  */
@@ -79,7 +116,7 @@ scene.add(emitter.object)
 // Create TransformControls and add to the scene directly
 const transformControls = new TransformControls(camera, renderer.domElement)
 transformControls.attach(emitter.object)
-// scene.add(transformControlsObject)
+scene.add(transformControls.getHelper())
 
 // Create a proxy object for the GUI
 emitter.controls = {
@@ -92,11 +129,28 @@ transformControls.addEventListener( 'dragging-changed', (event) =>
     cameraControls.enabled = !event.value
 })
 
+/**
+ * Emitter mesh
+ */
+const gltfLoader = new GLTFLoader()
+const suzanne = (await gltfLoader.loadAsync('./suzanne.glb')).scene
+suzanne.scale.setScalar(0.3)
+suzanne.visible = false
+suzanne.traverse((child) =>
+{
+    if(child.isMesh)
+        child.material = new MeshBasicNodeMaterial({ color: '#39364f', wireframe: true })
+})
+emitter.object.add(suzanne)
+
 /**
  * Particles system
  */
-const particlesSystem = new ParticlesSystem(renderer)
-scene.add(particlesSystem.mesh)
+const particleEngine = new ParticleEngine(renderer, scene)
+
+const particlesSystem = particleEngine.add('main', new ParticlesSystem(renderer))
+particlesSystem.emitterMesh = suzanne
+particlesSystem.timeline.targets.emitter = emitter.object
 
 /**
  * Debug
@@ -105,68 +159,587 @@ const gui = new GUI({
     width: 400
 })
 
-// Presets
+// Live bindings so that `updateDisplay()` reflects the uniforms after a preset is applied
+const uniformToggle = (uniform) => ({
+    get value() { return uniform.value > 0.5 },
+    set value(value) { uniform.value = value ? 1 : 0 }
+})
+const uniformColor = (uniform) => ({
+    get value() { return `#${uniform.value.getHexString(THREE.SRGBColorSpace)}` },
+    set value(value) { uniform.value.set(value) }
+})
+
+// Presets (format in `presets/presetSchema.js`)
 const presetsFolder = gui.addFolder('📦 Presets')
-const presets = {
-    magicWand: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":10000,"decayFrequency":0.2,"velocityDamping":0.01},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":true,"emitterRadius":0.01,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":0,"initialVelocityZ":0,"initialRandomVelocity":0},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0.01,"turbulenceTimeFrequeny":0.1,"turbulencePositionFrequeny":3},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":-0.5,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-0.95,"floorDamping":0.1},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#ff7300","colorOut":"#006eff","fadeIn":0.2,"fadeOut":0.2,"size":0.075,"glowSpread":0.02,"solidRatio":0.05,"solidAlpha":5,"opacity":1},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":4,"sparklingFrequency":1,"sparklingDuration":0.01},"folders":{}}}}}}',
-    fountain: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":10000,"decayFrequency":0.2,"velocityDamping":0.01},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":false,"emitterRadius":0,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":1.733,"initialVelocityZ":0,"initialRandomVelocity":0.162},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0.023,"turbulenceTimeFrequeny":0.1,"turbulencePositionFrequeny":0.873},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":-1.622,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-0.95,"floorDamping":0.757},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#7ae4ff","colorOut":"#0033ff","fadeIn":0.053,"fadeOut":0.182,"size":0.1,"glowSpread":0.019,"solidRatio":0.101,"solidAlpha":5,"opacity":0.669},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":4,"sparklingFrequency":0,"sparklingDuration":0.01},"folders":{}}}}}}',
-    sparkles: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":1000,"decayFrequency":0.303,"velocityDamping":0.009},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":true,"emitterRadius":0,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":1.489,"initialVelocityZ":1.327,"initialRandomVelocity":0.263},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0.005,"turbulenceTimeFrequeny":0.1,"turbulencePositionFrequeny":3},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":-2.84,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-0.134,"floorDamping":0.372},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#ffa55c","colorOut":"#ff0000","fadeIn":0.047,"fadeOut":0.2,"size":0.1,"glowSpread":0.02,"solidRatio":0.05,"solidAlpha":5,"opacity":1},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":4.46,"sparklingFrequency":10,"sparklingDuration":0.01},"folders":{}}}}}}',
-    fire: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":2000,"decayFrequency":0.25,"velocityDamping":0.077},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":false,"emitterRadius":0,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":0,"initialVelocityZ":0,"initialRandomVelocity":0.392},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0.009,"turbulenceTimeFrequeny":0.047,"turbulencePositionFrequeny":1.076},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":1.085,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-0.188,"floorDamping":0.1},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#ffa052","colorOut":"#ff0000","fadeIn":0.067,"fadeOut":0.372,"size":0.27,"glowSpread":0.009,"solidRatio":0.047,"solidAlpha":2.633,"opacity":0.419},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":4,"sparklingFrequency":0,"sparklingDuration":0.01},"folders":{}}}}}}',
-    ashes: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":1000,"decayFrequency":0.25,"velocityDamping":0.077},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":false,"emitterRadius":0.959,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":0,"initialVelocityZ":0,"initialRandomVelocity":0.108},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0.003,"turbulenceTimeFrequeny":0.105,"turbulencePositionFrequeny":0.535},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":0.137,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-1,"floorDamping":0},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#ff7d52","colorOut":"#ff0000","fadeIn":0.067,"fadeOut":0.372,"size":0.189,"glowSpread":0.009,"solidRatio":0.047,"solidAlpha":2.633,"opacity":0.419},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":4,"sparklingFrequency":0,"sparklingDuration":0.01},"folders":{}}}}}}',
-    mannekenPis: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":1000,"decayFrequency":0.303,"velocityDamping":0.019},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":true,"emitterRadius":0,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":2,"initialVelocityZ":1.836,"initialRandomVelocity":0.018},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0.022,"turbulenceTimeFrequeny":0.1,"turbulencePositionFrequeny":0.378},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":-3.236,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-0.134,"floorDamping":1},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#fff199","colorOut":"#ff9500","fadeIn":0.058,"fadeOut":0.2,"size":0.051,"glowSpread":0.01,"solidRatio":0.238,"solidAlpha":1,"opacity":1},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":4.46,"sparklingFrequency":10,"sparklingDuration":0.01},"folders":{}}}}}}',
-    beamMeUp: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":559,"decayFrequency":0.128,"velocityDamping":0},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":false,"emitterRadius":0.338,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":0.101,"initialVelocityZ":0,"initialRandomVelocity":0},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0,"turbulenceTimeFrequeny":0,"turbulencePositionFrequeny":0},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":0,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-0.95,"floorDamping":0.1},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#f133ff","colorOut":"#00b3ff","fadeIn":0.2,"fadeOut":0.2,"size":0.258,"glowSpread":0.007,"solidRatio":0.05,"solidAlpha":4.116,"opacity":1},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":1.246,"sparklingFrequency":1,"sparklingDuration":0.01},"folders":{}}}}}}',
-    balrogWhip: '{"controllers":{},"folders":{"📦 Presets":{"controllers":{},"folders":{}},"✨ Particles":{"controllers":{"count":2000,"decayFrequency":0.303,"velocityDamping":0.017},"folders":{"🔫 Emitter":{"controllers":{"emitterVisible":false,"emitterRadius":0,"emitterVelocityStrength":0.4,"initialVelocityX":0,"initialVelocityY":0,"initialVelocityZ":0,"initialRandomVelocity":0.01},"folders":{}},"💨 Emitter":{"controllers":{"turbulenceStrength":0.016,"turbulenceTimeFrequeny":0.178,"turbulencePositionFrequeny":0.378},"folders":{}},"🧲 Gravity":{"controllers":{"gravityX":0,"gravityY":0,"gravityZ":0},"folders":{}},"🫓 Floor":{"controllers":{"floorY":-1,"floorDamping":1},"folders":{}},"🎨 Appearance":{"controllers":{"colorIn":"#ffa66b","colorOut":"#ff0f27","fadeIn":0.318,"fadeOut":0.084,"size":0.071,"glowSpread":0.01,"solidRatio":0.238,"solidAlpha":1,"opacity":1},"folders":{}},"💥 Sparkling":{"controllers":{"sparklingAlpha":4.46,"sparklingFrequency":10,"sparklingDuration":0.01},"folders":{}}}}}}',
+const presetState = { name: 'untitled', transitionDuration: 0, transitionEasing: 'easeInOut' }
+
+// Snaps, or transitions when a duration is set
+const loadPreset = (preset) =>
+{
+    try
+    {
+        if(presetState.transitionDuration > 0)
+        {
+            particlesSystem.transitionToPreset(preset, presetState.transitionDuration, presetState.transitionEasing).then(refreshGui)
+            presetState.name = preset.name ?? presetState.name
+        }
+        else
+        {
+            const appliedPreset = applyPreset(particlesSystem, preset)
+            presetState.name = appliedPreset.name ?? presetState.name
+        }
+    }
+    catch(error)
+    {
+        console.error(error)
+        window.alert(error.message)
+    }
+
+    refreshGui()
 }
 
-for(const _presetName in presets)
+presetsFolder.add(presetState, 'transitionDuration', 0, 10, 0.01)
+presetsFolder.add(presetState, 'transitionEasing', Object.keys(easings))
+
+for(const _presetName in builtinPresets)
 {
-    const preset = presets[_presetName]
     presetsFolder.add({
         load: () =>
         {
-            gui.load(JSON.parse(preset))
+            loadPreset(builtinPresets[_presetName])
         }
     }, 'load').name(_presetName)
 }
+
+// Crossfader between two presets
+const crossfaderGui = presetsFolder.addFolder('🎚️ Crossfader')
+const crossfaderState = { presetA: 'fire', presetB: 'ashes', weight: 0 }
+const applyCrossfader = () =>
+{
+    particlesSystem.blendPresets(builtinPresets[crossfaderState.presetA], builtinPresets[crossfaderState.presetB], crossfaderState.weight)
+    refreshGui()
+}
+crossfaderGui.add(crossfaderState, 'presetA', Object.keys(builtinPresets)).onChange(applyCrossfader)
+crossfaderGui.add(crossfaderState, 'presetB', Object.keys(builtinPresets)).onChange(applyCrossfader)
+crossfaderGui.add(crossfaderState, 'weight', 0, 1, 0.001).onChange(applyCrossfader)
+
+// Import from a file
+const presetFileInput = document.createElement('input')
+presetFileInput.type = 'file'
+presetFileInput.accept = '.json,application/json'
+presetFileInput.addEventListener('change', async () =>
+{
+    const file = presetFileInput.files[0]
+
+    if(!file)
+        return
+
+    try
+    {
+        loadPreset(JSON.parse(await file.text()))
+    }
+    catch(error)
+    {
+        // Not even JSON
+        console.error(error)
+        window.alert(error.message)
+    }
+
+    presetFileInput.value = ''
+})
+
+presetsFolder.add(presetState, 'name').name('presetName')
+presetsFolder.add({
+    import: () =>
+    {
+        presetFileInput.click()
+    }
+}, 'import').name('import from file 📂')
+presetsFolder.add({
+    export: () =>
+    {
+        const json = JSON.stringify(serializePreset(particlesSystem, presetState.name), null, 4)
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(new Blob([ json ], { type: 'application/json' }))
+        link.download = `${presetState.name}.json`
+        link.click()
+        URL.revokeObjectURL(link.href)
+    }
+}, 'export').name('export to file 💾')
 presetsFolder.add({
     copy: () =>
     {
-        navigator.clipboard.writeText(JSON.stringify(gui.save()))
+        navigator.clipboard.writeText(JSON.stringify(serializePreset(particlesSystem, presetState.name), null, 4))
     }
 }, 'copy').name('copy to clipboard 📋')
 
+// Timeline
+const timeline = particlesSystem.timeline
+const timelineGui = gui.addFolder('🎬 Timeline')
+const timelinePaths = [
+    'emitter.position',
+    'emitter.rotation',
+    ...Object.keys(uniformsSchema.fields).map((key) => `system.uniforms.${key}`),
+    ...Object.keys(emitterShapesSchema.fields).flatMap((shapeName) => Object.keys(emitterShapesSchema.fields[shapeName].fields).map((key) => `system.emitterShapes.${shapeName}.uniforms.${key}`)),
+    ...Object.keys(turbulenceSchema.fields).map((key) => `system.turbulenceField.uniforms.${key}`),
+    ...Object.keys(spriteSheetSchema.fields).map((key) => `system.spriteSheet.uniforms.${key}`)
+]
+const timelineState = { path: 'emitter.position', easing: 'linear' }
+
+timelineGui.add(timeline, 'playing').listen().onChange((value) =>
+{
+    if(value)
+        timeline.play()
+    else
+        refreshGui()
+})
+timelineGui.add({ stop: () => { timeline.stop(); refreshGui() } }, 'stop').name('stop ⏹️')
+timelineGui.add(timeline, 'loop')
+timelineGui.add(timeline, 'duration', 0.1, 60, 0.01).onChange((value) =>
+{
+    timelineTimeController.max(value)
+    timeline.seek(timeline.time)
+})
+const timelineTimeController = timelineGui
+    .add(timeline, 'time', 0, timeline.duration, 0.001)
+    .listen()
+    .onChange((value) =>
+    {
+        timeline.seek(value)
+        refreshGui()
+    })
+timelineGui.add(timelineState, 'path', timelinePaths)
+timelineGui.add(timelineState, 'easing', [ 'step', ...Object.keys(easings) ])
+timelineGui.add({ key: () => { timeline.addKeyframe(timelineState.path, timeline.time, timeline.read(timelineState.path), timelineState.easing) } }, 'key').name('add keyframe 🔑')
+timelineGui.add({
+    unkey: () =>
+    {
+        const keyframe = timeline.getTrack(timelineState.path)?.keyframes.find((_keyframe) => _keyframe.time === timeline.time)
+
+        if(keyframe)
+            timeline.removeKeyframe(timelineState.path, keyframe)
+    }
+}, 'unkey').name('remove keyframe at time')
+timelineGui.add({ clear: () => { timeline.removeTrack(timelineState.path) } }, 'clear').name('clear track 🗑️')
+timelineGui.add({ clear: () => { timeline.clear() } }, 'clear').name('clear all tracks 🗑️')
+
+// Systems (rebuilt as systems get added or removed, following the entries since they're also toggled from elsewhere)
+const systemsGui = gui.addFolder('🧩 Systems')
+const updateSystemsGui = (systems) =>
+{
+    for(const controller of [ ...systemsGui.controllers ])
+        controller.destroy()
+
+    for(const [ _systemName, _entry ] of systems)
+    {
+        systemsGui.add(_entry, 'enabled').name(`${_systemName} enabled`).listen().onChange((value) => { particleEngine.setEnabled(_systemName, value) })
+        systemsGui.add(_entry, 'paused').name(`${_systemName} paused`).listen().onChange((value) => { particleEngine.setPaused(_systemName, value) })
+    }
+}
+updateSystemsGui(particleEngine.systems)
+particleEngine.onChange(updateSystemsGui)
+
 // Particles
 const particlesGui = gui.addFolder('✨ Particles')
-particlesGui
+const countController = particlesGui
     .add({ count: particlesSystem.count }, 'count', 100, 50000, 1)
     .onFinishChange(
         (value) => {
             particlesSystem.count = value
-            scene.add(particlesSystem.mesh)
         }
     )
 particlesGui.add(particlesSystem.uniforms.decayFrequency, 'value', 0, 1, 0.001).name('decayFrequency')
 particlesGui.add(particlesSystem.uniforms.velocityDamping, 'value', 0, 0.1, 0.001).name('velocityDamping')
 
+const simulationGui = particlesGui.addFolder('⏱️ Simulation')
+const stepping = { fixed: false, stepsPerSecond: 60 }
+const applyStepping = () =>
+{
+    particlesSystem.fixedTimeStep = stepping.fixed ? 1 / stepping.stepsPerSecond : null
+}
+simulationGui.add(particlesSystem, 'simulationMode', [ 'free', 'sph', 'physarum' ]).onChange(() => { updateContainerHelper() })
+simulationGui.add(particlesSystem.uniforms.seed, 'value', 0, 9999, 1).name('seed')
+simulationGui.add(stepping, 'fixed').name('fixedTimeStep').onChange(applyStepping)
+simulationGui.add(stepping, 'stepsPerSecond', 10, 240, 1).onChange(applyStepping)
+simulationGui.add(particlesSystem, 'maxSubSteps', 1, 16, 1)
+simulationGui.add({ reset: () => { particlesSystem.reset() } }, 'reset').name('reset simulation 🔄')
+
+const emissionGui = particlesGui.addFolder('🚿 Emission')
+// The panel edits the first burst
+particlesSystem.bursts.push({ count: 0, delay: 0, repeat: 0, interval: 1 })
+emissionGui.add(particlesSystem, 'emissionMode', [ 'continuous', 'explicit' ])
+emissionGui.add(particlesSystem, 'emissionRate', 0, 10000, 1)
+const burstControllers = [
+    emissionGui.add(particlesSystem.bursts[0], 'count', 0, 10000, 1).name('burstCount'),
+    emissionGui.add(particlesSystem.bursts[0], 'delay', 0, 10, 0.001).name('burstDelay'),
+    emissionGui.add(particlesSystem.bursts[0], 'repeat', 0, 100, 1).name('burstRepeat'),
+    emissionGui.add(particlesSystem.bursts[0], 'interval', 0, 10, 0.001).name('burstInterval')
+]
+emissionGui.add({ emit: () => { particlesSystem.emit(particlesSystem.bursts[0].count) } }, 'emit').name('emit now 💥')
+emissionGui.add({ restart: () => { particlesSystem.restartEmission() } }, 'restart').name('restart bursts 🔁')
+
 const emitterGui = particlesGui.addFolder('🔫 Emitter')
 emitterGui.add(emitter.controls, 'enabled').name('emitterVisible').onChange((value) => { 
     emitter.controls.visible = value;
-    transformControls.visible = value;
+    transformControls.getHelper().visible = value;
     transformControls.enabled = value;
 })
+emitterGui.add({ gizmo: 'translate' }, 'gizmo', [ 'translate', 'rotate' ]).onChange((value) => { transformControls.setMode(value) })
+emitterGui
+    .add(particlesSystem, 'emitterType', Object.keys(particlesSystem.emitterShapes))
+    .onChange(
+        (value) => {
+            suzanne.visible = value === 'mesh'
+
+            for(const _shapeName in emitterShapeGuis)
+                emitterShapeGuis[_shapeName].show(_shapeName === value)
+        }
+    )
 emitterGui.add(particlesSystem.uniforms.emitterRadius, 'value', 0, 1, 0.001).name('emitterRadius')
 emitterGui.add(particlesSystem.uniforms.emitterVelocityStrength, 'value', 0, 1, 0.001).name('emitterVelocityStrength')
+emitterGui.add(particlesSystem.uniforms.emitterNormalVelocity, 'value', -2, 2, 0.001).name('emitterNormalVelocity')
 
 emitterGui.add(particlesSystem.uniforms.initialVelocity.value, 'x', -2, 2, 0.001).name('initialVelocityX')
 emitterGui.add(particlesSystem.uniforms.initialVelocity.value, 'y', -2, 2, 0.001).name('initialVelocityY')
 emitterGui.add(particlesSystem.uniforms.initialVelocity.value, 'z', -2, 2, 0.001).name('initialVelocityZ')
 emitterGui.add(particlesSystem.uniforms.initialRandomVelocity, 'value', 0, 1, 0.001).name('initialRandomVelocity')
 
-const turbulenceGui = particlesGui.addFolder('💨 Emitter')
+// Emitter shapes
+const emitterShapes = particlesSystem.emitterShapes
+const emitterShapeGuis = {}
+const addSurfaceToggle = (folder, shape) =>
+{
+    folder.add(uniformToggle(shape.uniforms.surface), 'value').name('surface')
+}
+
+emitterShapeGuis.point = emitterGui.addFolder('⚪ Point')
+addSurfaceToggle(emitterShapeGuis.point, emitterShapes.point)
+
+emitterShapeGuis.box = emitterGui.addFolder('🧊 Box')
+addSurfaceToggle(emitterShapeGuis.box, emitterShapes.box)
+emitterShapeGuis.box.add(emitterShapes.box.uniforms.size.value, 'x', 0, 2, 0.001).name('sizeX')
+emitterShapeGuis.box.add(emitterShapes.box.uniforms.size.value, 'y', 0, 2, 0.001).name('sizeY')
+emitterShapeGuis.box.add(emitterShapes.box.uniforms.size.value, 'z', 0, 2, 0.001).name('sizeZ')
+
+emitterShapeGuis.cone = emitterGui.addFolder('🍦 Cone')
+addSurfaceToggle(emitterShapeGuis.cone, emitterShapes.cone)
+emitterShapeGuis.cone.add(emitterShapes.cone.uniforms.angle, 'value', 0, Math.PI * 0.5, 0.001).name('angle')
+emitterShapeGuis.cone.add(emitterShapes.cone.uniforms.height, 'value', 0, 2, 0.001).name('height')
+emitterShapeGuis.cone.add(emitterShapes.cone.uniforms.direction.value, 'x', -1, 1, 0.001).name('directionX')
+emitterShapeGuis.cone.add(emitterShapes.cone.uniforms.direction.value, 'y', -1, 1, 0.001).name('directionY')
+emitterShapeGuis.cone.add(emitterShapes.cone.uniforms.direction.value, 'z', -1, 1, 0.001).name('directionZ')
+
+emitterShapeGuis.disc = emitterGui.addFolder('💿 Disc')
+addSurfaceToggle(emitterShapeGuis.disc, emitterShapes.disc)
+emitterShapeGuis.disc.add(emitterShapes.disc.uniforms.radius, 'value', 0, 2, 0.001).name('radius')
+emitterShapeGuis.disc.add(emitterShapes.disc.uniforms.direction.value, 'x', -1, 1, 0.001).name('directionX')
+emitterShapeGuis.disc.add(emitterShapes.disc.uniforms.direction.value, 'y', -1, 1, 0.001).name('directionY')
+emitterShapeGuis.disc.add(emitterShapes.disc.uniforms.direction.value, 'z', -1, 1, 0.001).name('directionZ')
+
+emitterShapeGuis.line = emitterGui.addFolder('📏 Line')
+addSurfaceToggle(emitterShapeGuis.line, emitterShapes.line)
+emitterShapeGuis.line.add(emitterShapes.line.uniforms.start.value, 'x', -2, 2, 0.001).name('startX')
+emitterShapeGuis.line.add(emitterShapes.line.uniforms.start.value, 'y', -2, 2, 0.001).name('startY')
+emitterShapeGuis.line.add(emitterShapes.line.uniforms.start.value, 'z', -2, 2, 0.001).name('startZ')
+emitterShapeGuis.line.add(emitterShapes.line.uniforms.end.value, 'x', -2, 2, 0.001).name('endX')
+emitterShapeGuis.line.add(emitterShapes.line.uniforms.end.value, 'y', -2, 2, 0.001).name('endY')
+emitterShapeGuis.line.add(emitterShapes.line.uniforms.end.value, 'z', -2, 2, 0.001).name('endZ')
+emitterShapeGuis.line.add(emitterShapes.line.uniforms.radius, 'value', 0, 1, 0.001).name('radius')
+
+emitterShapeGuis.ring = emitterGui.addFolder('🍩 Ring')
+addSurfaceToggle(emitterShapeGuis.ring, emitterShapes.ring)
+emitterShapeGuis.ring.add(emitterShapes.ring.uniforms.radius, 'value', 0, 2, 0.001).name('radius')
+emitterShapeGuis.ring.add(emitterShapes.ring.uniforms.tubeRadius, 'value', 0, 1, 0.001).name('tubeRadius')
+emitterShapeGuis.ring.add(emitterShapes.ring.uniforms.direction.value, 'x', -1, 1, 0.001).name('directionX')
+emitterShapeGuis.ring.add(emitterShapes.ring.uniforms.direction.value, 'y', -1, 1, 0.001).name('directionY')
+emitterShapeGuis.ring.add(emitterShapes.ring.uniforms.direction.value, 'z', -1, 1, 0.001).name('directionZ')
+
+emitterShapeGuis.hemisphere = emitterGui.addFolder('🌗 Hemisphere')
+addSurfaceToggle(emitterShapeGuis.hemisphere, emitterShapes.hemisphere)
+emitterShapeGuis.hemisphere.add(emitterShapes.hemisphere.uniforms.radius, 'value', 0, 2, 0.001).name('radius')
+emitterShapeGuis.hemisphere.add(emitterShapes.hemisphere.uniforms.direction.value, 'x', -1, 1, 0.001).name('directionX')
+emitterShapeGuis.hemisphere.add(emitterShapes.hemisphere.uniforms.direction.value, 'y', -1, 1, 0.001).name('directionY')
+emitterShapeGuis.hemisphere.add(emitterShapes.hemisphere.uniforms.direction.value, 'z', -1, 1, 0.001).name('directionZ')
+
+emitterShapeGuis.mesh = emitterGui.addFolder('🐵 Mesh')
+emitterShapeGuis.mesh.add(suzanne, 'visible').name('meshVisible')
+
+for(const _shapeName in emitterShapeGuis)
+    emitterShapeGuis[_shapeName].show(_shapeName === particlesSystem.emitterType)
+
+const turbulenceGui = particlesGui.addFolder('💨 Turbulence')
 turbulenceGui.add(particlesSystem.uniforms.turbulenceStrength, 'value', 0, 0.1, 0.001).name('turbulenceStrength')
 turbulenceGui.add(particlesSystem.uniforms.turbulenceTimeFrequeny, 'value', 0, 1, 0.001).name('turbulenceTimeFrequeny')
 turbulenceGui.add(particlesSystem.uniforms.turbulencePositionFrequeny, 'value', 0, 10, 0.001).name('turbulencePositionFrequeny')
 
+// Gizmo shared by force fields and colliders
+const objectTransformControls = new TransformControls(camera, renderer.domElement)
+objectTransformControls.addEventListener('dragging-changed', (event) =>
+{
+    cameraControls.enabled = !event.value
+})
+scene.add(objectTransformControls.getHelper())
+
+// Force fields
+const forcesGui = particlesGui.addFolder('🌪️ Forces')
+const forceFieldGuis = new Map()
+
+const updateForceFieldTitles = () =>
+{
+    for(const [ _forceField, _folder ] of forceFieldGuis)
+        _folder.title(`${particlesSystem.forceFields.indexOf(_forceField)} · ${_forceField.type}`)
+}
+
+// Vector field files, loaded into the field whose button was clicked
+const vectorFieldFile = { target: null }
+const vectorFieldFileInput = document.createElement('input')
+vectorFieldFileInput.type = 'file'
+vectorFieldFileInput.accept = '.vfld,.fga,.json'
+vectorFieldFileInput.addEventListener('change', async () =>
+{
+    const file = vectorFieldFileInput.files[0]
+
+    if(!file || !vectorFieldFile.target)
+        return
+
+    try
+    {
+        const extension = file.name.split('.').pop().toLowerCase()
+
+        if(extension === 'fga')
+            vectorFieldFile.target.grid = VectorFieldGrid.fromFga(await file.text())
+        else if(extension === 'json')
+            vectorFieldFile.target.grid = VectorFieldGrid.fromJSON(await file.text())
+        else
+            vectorFieldFile.target.grid = VectorFieldGrid.fromArrayBuffer(await file.arrayBuffer())
+    }
+    catch(error)
+    {
+        console.error(error)
+        window.alert(error.message)
+    }
+
+    vectorFieldFileInput.value = ''
+})
+
+const addForceFieldGui = (forceField) =>
+{
+    const folder = forcesGui.addFolder(forceField.type)
+    const uniforms = forceField.uniforms
+    forceFieldGuis.set(forceField, folder)
+
+    // Placement
+    if(forceField.object)
+    {
+        forceField.object.add(new THREE.AxesHelper(0.2))
+        scene.add(forceField.object)
+        folder.add({ select: () => { objectTransformControls.attach(forceField.object) } }, 'select').name('select gizmo 🎯')
+    }
+
+    // Parameters
+    if(forceField.type === 'turbulence')
+    {
+        folder.add(forceField, 'noise', [ 'curl3d', 'curl4d', 'fbm' ]).onChange(() => { particlesSystem.rebuild() })
+        folder.add(uniforms.strength, 'value', 0, 0.1, 0.001).name('strength')
+        folder.add(uniforms.timeFrequency, 'value', 0, 1, 0.001).name('timeFrequency')
+        folder.add(uniforms.positionFrequency, 'value', 0, 10, 0.001).name('positionFrequency')
+        folder.add(uniforms.octaves, 'value', 1, 8, 1).name('octaves (fbm)')
+        folder.add(uniforms.lacunarity, 'value', 1, 4, 0.001).name('lacunarity (fbm)')
+        folder.add(uniforms.gain, 'value', 0, 1, 0.001).name('gain (fbm)')
+        folder.add(uniforms.warpStrength, 'value', 0, 2, 0.001).name('warpStrength')
+        folder.add(uniforms.warpFrequency, 'value', 0, 4, 0.001).name('warpFrequency')
+    }
+    else if(forceField.type === 'attractor')
+    {
+        folder.add(uniforms.strength, 'value', -10, 10, 0.001).name('strength')
+        folder.add(uniforms.radius, 'value', 0, 5, 0.001).name('radius')
+        folder.add(uniforms.falloff, 'value', 0, 5, 0.001).name('falloff')
+    }
+    else if(forceField.type === 'vortex')
+    {
+        folder.add(uniforms.strength, 'value', -10, 10, 0.001).name('strength')
+        folder.add(uniforms.pull, 'value', -10, 10, 0.001).name('pull')
+        folder.add(uniforms.radius, 'value', 0, 5, 0.001).name('radius')
+        folder.add(uniforms.falloff, 'value', 0, 5, 0.001).name('falloff')
+    }
+    else if(forceField.type === 'wind')
+    {
+        folder.add(uniforms.strength, 'value', 0, 10, 0.001).name('strength')
+        folder.add(uniforms.gustStrength, 'value', 0, 5, 0.001).name('gustStrength')
+        folder.add(uniforms.gustFrequency, 'value', 0, 5, 0.001).name('gustFrequency')
+        folder.add(uniforms.gustScale, 'value', 0, 5, 0.001).name('gustScale')
+    }
+    else if(forceField.type === 'drag')
+    {
+        folder.add(uniforms.linear, 'value', 0, 10, 0.001).name('linear')
+        folder.add(uniforms.quadratic, 'value', 0, 10, 0.001).name('quadratic')
+    }
+    else if(forceField.type === 'vectorField')
+    {
+        folder.add(uniforms.strength, 'value', 0, 10, 0.001).name('strength')
+        folder.add(uniforms.drag, 'value', 0, 10, 0.001).name('drag')
+        folder.add(uniforms.tiling, 'value', 0.1, 10, 0.001).name('tiling')
+        folder.add(uniformToggle(uniforms.bounded), 'value').name('bounded')
+
+        // Grid
+        folder.add({ load: () =>
+        {
+            vectorFieldFile.target = forceField
+            vectorFieldFileInput.click()
+        } }, 'load').name('load field (.vfld, .fga, .json) 📂')
+
+        // The current turbulence noise frozen in a box around the origin, in the space of the field
+        const bake = { resolution: 32, size: 4 }
+        folder.add(bake, 'resolution', [ 16, 32, 48, 64 ]).name('bakeResolution')
+        folder.add(bake, 'size', 0.5, 10, 0.1).name('bakeSize')
+        folder.add({ bake: () =>
+        {
+            const turbulence = particlesSystem.turbulenceField.uniforms
+            const resolution = new THREE.Vector3().setScalar(bake.resolution)
+            const bounds = new THREE.Box3().setFromCenterAndSize(new THREE.Vector3(), new THREE.Vector3().setScalar(bake.size))
+
+            forceField.grid = VectorFieldGrid.fromCurlNoise(
+                { positionFrequency: turbulence.positionFrequency.value, timeFrequency: turbulence.timeFrequency.value },
+                particlesSystem.uniforms.time.value,
+                resolution,
+                bounds
+            )
+        } }, 'bake').name('bake turbulence 🍞')
+
+        folder.add({ save: () =>
+        {
+            downloadFile(new Blob([ forceField.grid.toArrayBuffer() ]), `${presetState.name}.vfld`)
+        } }, 'save').name('save field 💾')
+        folder.add({ fga: () =>
+        {
+            downloadFile(new Blob([ forceField.grid.toFga() ], { type: 'text/plain' }), `${presetState.name}.fga`)
+        } }, 'fga').name('export field as FGA 🧊')
+    }
+
+    // Order
+    folder.add({ up: () =>
+    {
+        particlesSystem.moveForceField(forceField, particlesSystem.forceFields.indexOf(forceField) - 1)
+        updateForceFieldTitles()
+    } }, 'up').name('move up ⬆️')
+    folder.add({ down: () =>
+    {
+        particlesSystem.moveForceField(forceField, particlesSystem.forceFields.indexOf(forceField) + 1)
+        updateForceFieldTitles()
+    } }, 'down').name('move down ⬇️')
+    folder.add({ remove: () =>
+    {
+        particlesSystem.removeForceField(forceField)
+
+        if(objectTransformControls.object === forceField.object)
+            objectTransformControls.detach()
+        if(forceField.object)
+            forceField.object.removeFromParent()
+        forceField.dispose?.()
+
+        folder.destroy()
+        forceFieldGuis.delete(forceField)
+        updateForceFieldTitles()
+    } }, 'remove').name('remove 🗑️')
+
+    updateForceFieldTitles()
+}
+
+const forceFieldTypes = {
+    turbulence: () => new TurbulenceField(),
+    attractor: () => new AttractorField(1),
+    repulsor: () => new AttractorField(-1),
+    vortex: () => new VortexField(),
+    wind: () => new WindField(),
+    drag: () => new DragField(),
+    vectorField: () => new VectorField()
+}
+const forceFieldAdd = { type: 'attractor' }
+forcesGui.add(forceFieldAdd, 'type', Object.keys(forceFieldTypes)).name('newFieldType')
+forcesGui.add({ add: () =>
+{
+    const forceField = particlesSystem.addForceField(forceFieldTypes[forceFieldAdd.type]())
+    addForceFieldGui(forceField)
+} }, 'add').name('add field ➕')
+
+for(const _forceField of particlesSystem.forceFields)
+    addForceFieldGui(_forceField)
+
+// Colliders
+const collidersGui = particlesGui.addFolder('🧱 Colliders')
+
+const addColliderGui = (collider) =>
+{
+    const folder = collidersGui.addFolder(collider.type)
+    const uniforms = collider.uniforms
+
+    // Placement
+    if(!collider.object.parent)
+    {
+        collider.object.add(new THREE.AxesHelper(0.2))
+        scene.add(collider.object)
+    }
+    folder.add({ select: () => { objectTransformControls.attach(collider.object) } }, 'select').name('select gizmo 🎯')
+
+    // Response
+    folder.add(uniforms.bounce, 'value', 0, 1, 0.001).name('bounce')
+    folder.add(uniforms.friction, 'value', 0, 1, 0.001).name('friction')
+    folder.add({ killOnContact: uniforms.kill.value > 0.5 }, 'killOnContact').onChange((value) => { uniforms.kill.value = value ? 1 : 0 })
+
+    // Shape
+    if(collider.type === 'sphere')
+    {
+        folder.add(uniforms.radius, 'value', 0, 2, 0.001).name('radius')
+    }
+    else if(collider.type === 'box')
+    {
+        folder.add(uniforms.halfSize.value, 'x', 0, 2, 0.001).name('halfSizeX')
+        folder.add(uniforms.halfSize.value, 'y', 0, 2, 0.001).name('halfSizeY')
+        folder.add(uniforms.halfSize.value, 'z', 0, 2, 0.001).name('halfSizeZ')
+    }
+    else if(collider.type === 'capsule')
+    {
+        folder.add(uniforms.radius, 'value', 0, 2, 0.001).name('radius')
+        folder.add(uniforms.halfHeight, 'value', 0, 2, 0.001).name('halfHeight')
+    }
+
+    folder.add({ remove: () =>
+    {
+        particlesSystem.removeCollider(collider)
+
+        if(objectTransformControls.object === collider.object)
+            objectTransformControls.detach()
+        collider.object.removeFromParent()
+        collider.dispose?.()
+
+        folder.destroy()
+    } }, 'remove').name('remove 🗑️')
+}
+
+const colliderTypes = {
+    plane: () => new PlaneCollider(),
+    sphere: () => new SphereCollider(),
+    box: () => new BoxCollider(),
+    capsule: () => new CapsuleCollider(),
+    sdf: () =>
+    {
+        // Baked from a copy of the emitter mesh acting as a prop
+        const prop = suzanne.clone()
+        prop.visible = true
+        prop.position.y = -0.5
+        scene.add(prop)
+
+        return new SdfCollider(prop)
+    }
+}
+const colliderAdd = { type: 'sphere' }
+collidersGui.add(colliderAdd, 'type', Object.keys(colliderTypes)).name('newColliderType')
+collidersGui.add({ add: () =>
+{
+    const collider = particlesSystem.addCollider(colliderTypes[colliderAdd.type]())
+    addColliderGui(collider)
+} }, 'add').name('add collider ➕')
+
 const gravityGui = particlesGui.addFolder('🧲 Gravity')
 gravityGui.add(particlesSystem.uniforms.gravity.value, 'x', -10, 10, 0.001).name('gravityX')
 gravityGui.add(particlesSystem.uniforms.gravity.value, 'y', -10, 10, 0.001).name('gravityY')
@@ -176,9 +749,288 @@ const floorGui = particlesGui.addFolder('🫓 Floor')
 floorGui.add(particlesSystem.uniforms.floorY, 'value', -2, 0, 0.001).name('floorY').onChange((value) => { grid.mesh.position.y = value - 0.05 })
 floorGui.add(particlesSystem.uniforms.floorDamping, 'value', 0, 1, 0.001).name('floorDamping')
 
+// SPH fluid, with its container drawn as a box
+const fluidGui = particlesGui.addFolder('💧 Fluid')
+const sph = particlesSystem.sph
+const containerHelper = new THREE.Box3Helper(new THREE.Box3(), '#4fc3ff')
+scene.add(containerHelper)
+const updateContainerHelper = () =>
+{
+    const center = sph.uniforms.containerCenter.value
+    const size = sph.uniforms.containerSize.value
+    containerHelper.box.min.copy(center).sub(size)
+    containerHelper.box.max.copy(center).add(size)
+    containerHelper.visible = particlesSystem.simulationMode === 'sph' && sph.uniforms.useContainer.value > 0.5
+}
+updateContainerHelper()
+
+fluidGui.add({
+    setup: () =>
+    {
+        // Small fixed steps keep the pressure stable
+        particlesSystem.simulationMode = 'sph'
+        stepping.fixed = true
+        stepping.stepsPerSecond = 120
+        applyStepping()
+        particlesSystem.turbulenceField.uniforms.strength.value = 0
+        updateContainerHelper()
+        refreshGui()
+    }
+}, 'setup').name('fluid setup 💧')
+fluidGui.add(sph.uniforms.smoothingRadius, 'value', 0.02, 0.5, 0.001).name('smoothingRadius').onFinishChange(() => { sph.fitGrid() })
+fluidGui.add(sph.uniforms.particleMass, 'value', 0.001, 1, 0.001).name('particleMass')
+fluidGui.add(sph.uniforms.restDensity, 'value', 0, 5000, 1).name('restDensity')
+fluidGui.add(sph.uniforms.stiffness, 'value', 0, 5, 0.001).name('stiffness')
+fluidGui.add(sph.uniforms.viscosity, 'value', 0, 0.02, 0.0001).name('viscosity')
+fluidGui.add(sph.uniforms.surfaceTension, 'value', 0, 0.05, 0.0001).name('surfaceTension')
+fluidGui.add(sph.uniforms.maxAcceleration, 'value', 0, 50, 0.01).name('maxAcceleration')
+fluidGui.add(uniformToggle(sph.uniforms.useContainer), 'value').name('useContainer').onChange(updateContainerHelper)
+fluidGui.add(sph.uniforms.containerCenter.value, 'x', -2, 2, 0.001).name('containerCenterX').onChange(updateContainerHelper)
+fluidGui.add(sph.uniforms.containerCenter.value, 'y', -2, 2, 0.001).name('containerCenterY').onChange(updateContainerHelper)
+fluidGui.add(sph.uniforms.containerCenter.value, 'z', -2, 2, 0.001).name('containerCenterZ').onChange(updateContainerHelper)
+fluidGui.add(sph.uniforms.containerSize.value, 'x', 0.05, 2, 0.001).name('containerSizeX').onChange(updateContainerHelper)
+fluidGui.add(sph.uniforms.containerSize.value, 'y', 0.05, 2, 0.001).name('containerSizeY').onChange(updateContainerHelper)
+fluidGui.add(sph.uniforms.containerSize.value, 'z', 0.05, 2, 0.001).name('containerSizeZ').onChange(updateContainerHelper)
+fluidGui.add(sph.uniforms.containerDamping, 'value', 0, 1, 0.001).name('containerDamping')
+
+// Physarum, with the trail field drawn as a floor overlay or a volume
+const physarumGui = particlesGui.addFolder('🦠 Physarum')
+const physarum = particlesSystem.physarum
+const physarumState = { dimensions: physarum.dimensions, resolution: physarum.resolution, showOverlay: false, showVolume: false }
+
+physarumGui.add({
+    setup: () =>
+    {
+        // Agents living long and moving on their own
+        particlesSystem.simulationMode = 'physarum'
+        particlesSystem.uniforms.gravity.value.set(0, 0, 0)
+        particlesSystem.uniforms.decayFrequency.value = 0.02
+        particlesSystem.turbulenceField.uniforms.strength.value = 0
+        physarumState.showOverlay = true
+        scene.add(physarum.createOverlayMesh())
+        updateContainerHelper()
+        refreshGui()
+    }
+}, 'setup').name('slime setup 🦠')
+physarumGui.add(physarumState, 'dimensions', [ 2, 3 ]).onChange((value) => { physarum.dimensions = value })
+physarumGui.add(physarumState, 'resolution', 16, 512, 1).onFinishChange((value) =>
+{
+    // Capped for the cubes
+    physarum.resolution = value
+    physarumState.resolution = physarum.resolution
+    refreshGui()
+})
+physarumGui.add(physarum.uniforms.speed, 'value', 0, 2, 0.001).name('speed')
+physarumGui.add(physarum.uniforms.sensorAngle, 'value', 0, Math.PI * 0.5, 0.001).name('sensorAngle')
+physarumGui.add(physarum.uniforms.sensorDistance, 'value', 0, 0.5, 0.001).name('sensorDistance')
+physarumGui.add(physarum.uniforms.turnRate, 'value', 0, 30, 0.01).name('turnRate')
+physarumGui.add(physarum.uniforms.deposit, 'value', 0, 10, 0.001).name('deposit')
+physarumGui.add(physarum.uniforms.decay, 'value', 0, 10, 0.001).name('decay')
+physarumGui.add(physarum.uniforms.diffusion, 'value', 0, 1, 0.001).name('diffusion')
+physarumGui.add(physarum.uniforms.size, 'value', 0.1, 8, 0.001).name('size')
+physarumGui.add(physarum.uniforms.center.value, 'x', -2, 2, 0.001).name('centerX')
+physarumGui.add(physarum.uniforms.center.value, 'y', -2, 2, 0.001).name('centerY')
+physarumGui.add(physarum.uniforms.center.value, 'z', -2, 2, 0.001).name('centerZ')
+physarumGui.addColor(uniformColor(physarum.uniforms.trailColor), 'value').name('trailColor')
+physarumGui.add(physarum.uniforms.displayIntensity, 'value', 0, 2, 0.001).name('displayIntensity')
+physarumGui.add(physarumState, 'showOverlay').onChange((value) =>
+{
+    if(value)
+        scene.add(physarum.createOverlayMesh())
+    else
+        physarum.disposeMesh('overlayMesh')
+})
+physarumGui.add(physarumState, 'showVolume').onChange((value) =>
+{
+    if(value)
+        scene.add(physarum.createVolumeMesh())
+    else
+        physarum.disposeMesh('volumeMesh')
+})
+
+// Sub-emitter spawning sparks from the particles, added to the engine the first time it's enabled
+const subEmitterGui = particlesGui.addFolder('🎆 Sub-emitter')
+const sparksSystem = new ParticlesSystem(renderer, 20000)
+sparksSystem.emissionMode = 'explicit'
+sparksSystem.uniforms.floorY = particlesSystem.uniforms.floorY // Same floor as the parent
+sparksSystem.uniforms.size.value = 0.03
+sparksSystem.uniforms.decayFrequency.value = 1.5
+sparksSystem.uniforms.initialRandomVelocity.value = 0.4
+sparksSystem.uniforms.colorIn.value.set('#ffd9a0')
+sparksSystem.uniforms.colorOut.value.set('#ff3c00')
+const subEmitter = new SubEmitter(sparksSystem, { trigger: 'collision', count: 4 })
+const subEmitterState = { enabled: false }
+
+subEmitterGui.add(subEmitterState, 'enabled').onChange((value) =>
+{
+    if(value)
+    {
+        if(!particleEngine.get('sparks'))
+            particleEngine.add('sparks', sparksSystem)
+
+        particleEngine.setEnabled('sparks', true)
+        particlesSystem.addSubEmitter(subEmitter)
+    }
+    else
+    {
+        particlesSystem.removeSubEmitter(subEmitter)
+        particleEngine.setEnabled('sparks', false)
+    }
+})
+subEmitterGui.add(subEmitter, 'trigger', [ 'death', 'collision', 'continuous' ])
+subEmitterGui.add(subEmitter.uniforms.count, 'value', 1, 64, 1).name('childrenPerEvent')
+subEmitterGui.add(subEmitter.uniforms.rate, 'value', 0, 60, 0.1).name('continuousRate')
+subEmitterGui.add(subEmitter.uniforms.inheritVelocity, 'value', 0, 1, 0.001).name('inheritVelocity')
+subEmitterGui.add(subEmitter.uniforms.minImpactSpeed, 'value', 0, 2, 0.001).name('minImpactSpeed')
+subEmitterGui.add(subEmitter, 'inheritColor')
+subEmitterGui.add(sparksSystem.uniforms.size, 'value', 0, 0.2, 0.001).name('childSize')
+subEmitterGui.add(sparksSystem.uniforms.decayFrequency, 'value', 0, 5, 0.001).name('childDecayFrequency')
+subEmitterGui.add(sparksSystem.uniforms.initialRandomVelocity, 'value', 0, 2, 0.001).name('childRandomVelocity')
+subEmitterGui.addColor(uniformColor(sparksSystem.uniforms.colorIn), 'value').name('childColorIn')
+subEmitterGui.addColor(uniformColor(sparksSystem.uniforms.colorOut), 'value').name('childColorOut')
+
+// Boids, flocking the particles of the chosen system
+const boidsGui = particlesGui.addFolder('🐦 Boids')
+const boids = new BoidsSystem()
+const neighbourGrid = new SpatialHashGrid()
+const boidsTargets = { main: particlesSystem, sparks: sparksSystem }
+const boidsState = { enabled: false, system: 'main', useGrid: true, showCells: false }
+const updateBoids = () =>
+{
+    for(const _system of Object.values(boidsTargets))
+    {
+        _system.removeSolver(boids)
+        _system.removeSolver(neighbourGrid)
+    }
+
+    boids.grid = boidsState.useGrid ? neighbourGrid : null
+
+    // Grid first so that the particles are sorted before the steering
+    if(boidsState.enabled)
+    {
+        const system = boidsTargets[boidsState.system]
+
+        if(boidsState.useGrid)
+            system.addSolver(neighbourGrid)
+
+        system.addSolver(boids)
+    }
+}
+
+for(const object of [ boids.predator, boids.goal ])
+{
+    object.add(new THREE.AxesHelper(0.2))
+    scene.add(object)
+}
+
+boidsGui.add(boidsState, 'enabled').onChange(updateBoids)
+boidsGui.add(boidsState, 'system', Object.keys(boidsTargets)).onChange(updateBoids)
+boidsGui.add({
+    setup: () =>
+    {
+        // Long lives and nothing else pushing the flock
+        const system = boidsTargets[boidsState.system]
+        system.uniforms.gravity.value.set(0, 0, 0)
+        system.uniforms.decayFrequency.value = 0.02
+        system.turbulenceField.uniforms.strength.value = 0
+        refreshGui()
+    }
+}, 'setup').name('flocking setup 🕊️')
+boidsGui.add(boids.uniforms.separationRadius, 'value', 0, 1, 0.001).name('separationRadius')
+boidsGui.add(boids.uniforms.separationWeight, 'value', 0, 5, 0.001).name('separationWeight')
+boidsGui.add(boids.uniforms.alignmentRadius, 'value', 0, 1, 0.001).name('alignmentRadius')
+boidsGui.add(boids.uniforms.alignmentWeight, 'value', 0, 5, 0.001).name('alignmentWeight')
+boidsGui.add(boids.uniforms.cohesionRadius, 'value', 0, 1, 0.001).name('cohesionRadius')
+boidsGui.add(boids.uniforms.cohesionWeight, 'value', 0, 5, 0.001).name('cohesionWeight')
+boidsGui.add(boids.uniforms.maxSpeed, 'value', 0, 5, 0.001).name('maxSpeed')
+boidsGui.add(boids.uniforms.maxForce, 'value', 0, 10, 0.001).name('maxForce')
+boidsGui.add(boids.uniforms.boundsSize.value, 'x', 0.1, 5, 0.001).name('boundsSizeX')
+boidsGui.add(boids.uniforms.boundsSize.value, 'y', 0.1, 5, 0.001).name('boundsSizeY')
+boidsGui.add(boids.uniforms.boundsSize.value, 'z', 0.1, 5, 0.001).name('boundsSizeZ')
+boidsGui.add(boids.uniforms.boundsWeight, 'value', 0, 5, 0.001).name('boundsWeight')
+boidsGui.add(boids.uniforms.predatorRadius, 'value', 0, 2, 0.001).name('predatorRadius')
+boidsGui.add(boids.uniforms.predatorWeight, 'value', 0, 10, 0.001).name('predatorWeight')
+boidsGui.add({ select: () => { objectTransformControls.attach(boids.predator) } }, 'select').name('select predator gizmo 🎯')
+boidsGui.add(boids.uniforms.goalWeight, 'value', 0, 5, 0.001).name('goalWeight')
+boidsGui.add({ select: () => { objectTransformControls.attach(boids.goal) } }, 'select').name('select goal gizmo 🎯')
+
+// Neighbour grid, limiting the boids to the particles of the surrounding cells
+const neighbourGridGui = boidsGui.addFolder('🧮 Neighbour grid')
+// Applied on release since each change reallocates the cells
+const neighbourGridState = { cellSize: neighbourGrid.cellSize, boundsSize: neighbourGrid.bounds.max.x }
+neighbourGridGui.add(boidsState, 'useGrid').onChange(updateBoids)
+neighbourGridGui.add(neighbourGridState, 'cellSize', 0.05, 1, 0.01).onFinishChange((value) =>
+{
+    neighbourGrid.cellSize = value
+})
+neighbourGridGui.add(neighbourGridState, 'boundsSize', 0.5, 8, 0.1).onFinishChange((value) =>
+{
+    neighbourGrid.bounds = new THREE.Box3(new THREE.Vector3(- value, - value / 2, - value), new THREE.Vector3(value, value, value))
+})
+neighbourGridGui.add(boidsState, 'showCells').onChange((value) =>
+{
+    if(value)
+        scene.add(neighbourGrid.createDebugMesh())
+    else
+        neighbourGrid.disposeDebugMesh()
+})
+
+// Soft bodies, made of the first particles and pinned to the emitter or to an anchor
+const softBodiesGui = particlesGui.addFolder('🪢 Soft bodies')
+const positionBased = new PositionBasedSystem()
+const softBodiesAnchor = new THREE.Object3D()
+softBodiesAnchor.position.set(0.5, 0.5, 0)
+softBodiesAnchor.add(new THREE.AxesHelper(0.2))
+scene.add(softBodiesAnchor, positionBased.mesh)
+
+const pinTargets = { emitter: emitter.object, anchor: softBodiesAnchor, none: null }
+const softBodiesState = { pinTo: 'anchor', pinning: 'corners', showMesh: true }
+const addSoftBody = (create) =>
+{
+    try
+    {
+        // Added with the first body
+        if(!particlesSystem.solvers.includes(positionBased))
+            particlesSystem.addSolver(positionBased)
+
+        const pinObject = pinTargets[softBodiesState.pinTo]
+        const position = pinObject ? pinObject.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3(0, 0.5, 0)
+        create(position, pinObject)
+    }
+    catch(error)
+    {
+        console.error(error)
+        window.alert(error.message)
+    }
+}
+
+softBodiesGui.add(softBodiesState, 'pinTo', Object.keys(pinTargets))
+softBodiesGui.add(softBodiesState, 'pinning', [ 'corners', 'row' ]).name('clothPinning')
+softBodiesGui.add({ add: () => { addSoftBody((position, pinObject) => positionBased.addRope({ position, pinObject })) } }, 'add').name('add rope 🪢')
+softBodiesGui.add({ add: () => { addSoftBody((position, pinObject) => positionBased.addCloth({ position, pinObject, pinning: softBodiesState.pinning })) } }, 'add').name('add flag 🏳️')
+softBodiesGui.add({
+    add: () =>
+    {
+        // Hanging by its top
+        addSoftBody((position, pinObject) => positionBased.addBlob({ position: position.sub(new THREE.Vector3(0, 0.25, 0)), radius: 0.25, pinObject }))
+    }
+}, 'add').name('add jelly 🍮')
+softBodiesGui.add({ clear: () => { positionBased.clear() } }, 'clear').name('clear bodies 🧹')
+softBodiesGui.add({ select: () => { objectTransformControls.attach(softBodiesAnchor) } }, 'select').name('select anchor gizmo 🎯')
+softBodiesGui.add(positionBased, 'iterations', 1, 32, 1)
+softBodiesGui.add(positionBased.uniforms.distanceStiffness, 'value', 0, 1, 0.001).name('distanceStiffness')
+softBodiesGui.add(positionBased.uniforms.bendingStiffness, 'value', 0, 1, 0.001).name('bendingStiffness')
+softBodiesGui.add(positionBased.uniforms.volumeStiffness, 'value', 0, 1, 0.001).name('volumeStiffness')
+softBodiesGui.add(positionBased.uniforms.pressure, 'value', 0, 3, 0.001).name('pressure')
+softBodiesGui.add(positionBased.uniforms.relaxation, 'value', 0.5, 2, 0.001).name('relaxation')
+softBodiesGui.add(positionBased.uniforms.life, 'value', 0, 0.99, 0.001).name('life')
+softBodiesGui.add(positionBased, 'showParticles')
+softBodiesGui.add(softBodiesState, 'showMesh').onChange((value) => { positionBased.mesh.visible = value })
+softBodiesGui.addColor(uniformColor(positionBased.uniforms.meshColor), 'value').name('meshColor')
+
 const appearanceGui = particlesGui.addFolder('🎨 Appearance')
-appearanceGui.addColor({ color: particlesSystem.uniforms.colorIn.value.getHex(THREE.SRGBColorSpace) }, 'color').onChange((value) => { particlesSystem.uniforms.colorIn.value.set(value) }).name('colorIn')
-appearanceGui.addColor({ color: particlesSystem.uniforms.colorOut.value.getHex(THREE.SRGBColorSpace) }, 'color').onChange((value) => { particlesSystem.uniforms.colorOut.value.set(value) }).name('colorOut')
+appearanceGui.addColor(uniformColor(particlesSystem.uniforms.colorIn), 'value').name('colorIn')
+appearanceGui.addColor(uniformColor(particlesSystem.uniforms.colorOut), 'value').name('colorOut')
 appearanceGui.add(particlesSystem.uniforms.fadeIn, 'value', 0, 1, 0.001).name('fadeIn')
 appearanceGui.add(particlesSystem.uniforms.fadeOut, 'value', 0, 1, 0.001).name('fadeOut')
 appearanceGui.add(particlesSystem.uniforms.size, 'value', 0, 1, 0.001).name('size')
@@ -186,12 +1038,210 @@ appearanceGui.add(particlesSystem.uniforms.glowSpread, 'value', 0, 0.1, 0.001).n
 appearanceGui.add(particlesSystem.uniforms.solidRatio, 'value', 0, 1, 0.001).name('solidRatio')
 appearanceGui.add(particlesSystem.uniforms.solidAlpha, 'value', 0, 10, 0.001).name('solidAlpha')
 appearanceGui.add(particlesSystem.uniforms.opacity, 'value', 0, 1, 0.001).name('opacity')
+appearanceGui.add(uniformToggle(particlesSystem.uniforms.useLifeRamps), 'value').name('useLifeRamps')
+
+const lifeRamps = particlesSystem.lifeRamps
+
+const lifeRampsGui = appearanceGui.addFolder('🌈 Life ramps')
+const lifeRampsEditors = [
+    new GradientEditor(lifeRampsGui, lifeRamps.colorGradient, 'colorGradient'),
+    new CurveEditor(lifeRampsGui, lifeRamps.sizeCurve, 'sizeCurve', 0, 2),
+    new CurveEditor(lifeRampsGui, lifeRamps.opacityCurve, 'opacityCurve', 0, 1),
+    new CurveEditor(lifeRampsGui, lifeRamps.emissiveCurve, 'emissiveCurve', 0, 4)
+]
+
+for(const lifeRampsEditor of lifeRampsEditors)
+    lifeRampsEditor.onChange(() =>
+    {
+        lifeRamps.bake()
+    })
+
+// Render modes
+const renderModeGuis = {}
+
+renderModeGuis.stretched = particlesGui.addFolder('🌠 Stretched')
+renderModeGuis.stretched.add(particlesSystem.uniforms.stretchFactor, 'value', 0, 5, 0.001).name('stretchFactor')
+
+renderModeGuis.trail = particlesGui.addFolder('〰️ Trail')
+const trailGui = renderModeGuis.trail
+const trailLengthController = trailGui
+    .add({ trailLength: particlesSystem.trailLength }, 'trailLength', 2, 64, 1)
+    .onFinishChange(
+        (value) => {
+            particlesSystem.trailLength = value
+        }
+    )
+trailGui.add(particlesSystem.uniforms.trailWidth, 'value', 0, 0.2, 0.001).name('trailWidth')
+trailGui.add(particlesSystem.uniforms.trailWidthTaper, 'value', 0, 1, 0.001).name('trailWidthTaper')
+trailGui.add(particlesSystem.uniforms.trailOpacityTaper, 'value', 0, 1, 0.001).name('trailOpacityTaper')
+
+renderModeGuis.mesh = particlesGui.addFolder('🪨 Mesh')
+const meshGeometries = {
+    icosahedron: particlesSystem.meshGeometry,
+    box: new THREE.BoxGeometry(0.7, 0.7, 0.7),
+    suzanne: suzanne.getObjectByProperty('isMesh', true).geometry
+}
+renderModeGuis.mesh
+    .add({ meshGeometry: 'icosahedron' }, 'meshGeometry', Object.keys(meshGeometries))
+    .onChange(
+        (value) => {
+            particlesSystem.meshGeometry = meshGeometries[value]
+        }
+    )
+renderModeGuis.mesh.add(particlesSystem, 'meshOrientation', [ 'velocity', 'spin' ])
+renderModeGuis.mesh.add(particlesSystem.uniforms.angularVelocity, 'value', 0, 20, 0.001).name('angularVelocity')
+
+for(const _modeName in renderModeGuis)
+    renderModeGuis[_modeName].show(_modeName === particlesSystem.renderMode)
+
+appearanceGui
+    .add(particlesSystem, 'renderMode', [ 'billboard', 'stretched', 'trail', 'mesh' ])
+    .onChange(
+        (value) => {
+            for(const _modeName in renderModeGuis)
+                renderModeGuis[_modeName].show(_modeName === value)
+        }
+    )
+
+// Sprite sheet
+const spriteSheetGui = particlesGui.addFolder('🎞️ Sprite sheet')
+const spriteSheet = particlesSystem.spriteSheet
+
+// Procedural 4 × 4 flipbook of a growing smoke puff to try the sprite sheets without any file
+const createDemoSpriteSheet = () =>
+{
+    const frameSize = 128
+    const canvas = document.createElement('canvas')
+    canvas.width = frameSize * 4
+    canvas.height = frameSize * 4
+    const context = canvas.getContext('2d')
+
+    for(let frame = 0; frame < 16; frame++)
+    {
+        const progress = frame / 15
+        const centerX = (frame % 4 + 0.5) * frameSize
+        const centerY = (Math.floor(frame / 4) + 0.5) * frameSize
+
+        for(let blob = 0; blob < 7; blob++)
+        {
+            const angle = blob * 2.4 + progress * 1.5
+            const distance = (0.08 + progress * 0.18) * frameSize
+            const x = centerX + Math.cos(angle) * distance
+            const y = centerY + Math.sin(angle) * distance
+            const radius = (0.12 + progress * 0.16) * frameSize
+
+            const gradient = context.createRadialGradient(x, y, 0, x, y, radius)
+            gradient.addColorStop(0, `rgba(255, 255, 255, ${0.5 * (1 - progress * 0.6)})`)
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)')
+            context.fillStyle = gradient
+            context.fillRect(centerX - frameSize * 0.5, centerY - frameSize * 0.5, frameSize, frameSize)
+        }
+    }
+
+    const texture = new THREE.CanvasTexture(canvas)
+    texture.colorSpace = THREE.SRGBColorSpace
+
+    return texture
+}
+
+const spriteTextures = {
+    none: null,
+    demo: createDemoSpriteSheet(),
+    file: null // Filled by the "load image" button
+}
+const spriteTextureController = spriteSheetGui
+    .add({ spriteTexture: 'none' }, 'spriteTexture', Object.keys(spriteTextures))
+    .onChange(
+        (value) => {
+            particlesSystem.spriteTexture = spriteTextures[value]
+
+            if(value === 'demo')
+            {
+                spriteSheetColumnsController.setValue(4)
+                spriteSheetRowsController.setValue(4)
+                spriteSheetFrameCountController.setValue(16)
+            }
+        }
+    )
+
+// Load an image file as the sprite sheet
+const spriteFileInput = document.createElement('input')
+spriteFileInput.type = 'file'
+spriteFileInput.accept = 'image/*'
+spriteFileInput.addEventListener('change', async () =>
+{
+    const file = spriteFileInput.files[0]
+
+    if(!file)
+        return
+
+    const url = URL.createObjectURL(file)
+    const texture = await new THREE.TextureLoader().loadAsync(url)
+    texture.colorSpace = THREE.SRGBColorSpace
+    URL.revokeObjectURL(url)
+
+    const previousTexture = spriteTextures.file
+    spriteTextures.file = texture
+
+    if(spriteTextureController.getValue() === 'file')
+        particlesSystem.spriteTexture = texture
+    else
+        spriteTextureController.setValue('file')
+
+    if(previousTexture)
+        previousTexture.dispose()
+
+    spriteFileInput.value = ''
+})
+spriteSheetGui.add({ load: () => { spriteFileInput.click() } }, 'load').name('load image 📂')
+
+const spriteSheetColumnsController = spriteSheetGui.add(spriteSheet.uniforms.columns, 'value', 1, 16, 1).name('columns')
+const spriteSheetRowsController = spriteSheetGui.add(spriteSheet.uniforms.rows, 'value', 1, 16, 1).name('rows')
+const spriteSheetFrameCountController = spriteSheetGui.add(spriteSheet.uniforms.frameCount, 'value', 1, 256, 1).name('frameCount')
+spriteSheetGui.add(spriteSheet.uniforms.fps, 'value', 0, 60, 0.1).name('fps') // 0 plays the frames over the life
+spriteSheetGui.add(uniformToggle(spriteSheet.uniforms.randomStart), 'value').name('randomStart')
+spriteSheetGui.add(uniformToggle(spriteSheet.uniforms.blend), 'value').name('frameBlending')
+spriteSheetGui.add(spriteSheet.uniforms.glowMix, 'value', 0, 1, 0.001).name('glowMix')
 
 const sparklingGui = particlesGui.addFolder('💥 Sparkling')
 sparklingGui.add(particlesSystem.uniforms.sparklingAlpha, 'value', 0, 10, 0.001).name('sparklingAlpha')
 sparklingGui.add(particlesSystem.uniforms.sparklingFrequency, 'value', 0, 10, 0.001).name('sparklingFrequency')
 sparklingGui.add(particlesSystem.uniforms.sparklingDuration, 'value', 0, 0.1, 0.001).name('sparklingDuration')
 
+// Sync the panel with the system after a preset has been applied
+const refreshGui = () =>
+{
+    // Proxies of the settings that only rebuild on finish change
+    countController.setValue(particlesSystem.activeCount)
+    trailLengthController.setValue(particlesSystem.trailLength)
+
+    // Presets replace the bursts
+    if(particlesSystem.bursts.length === 0)
+        particlesSystem.bursts.push({ count: 0, delay: 0, repeat: 0, interval: 1 })
+
+    for(const burstController of burstControllers)
+        burstController.object = particlesSystem.bursts[0]
+
+    // Folders depending on the emitter and the render mode
+    suzanne.visible = particlesSystem.emitterType === 'mesh'
+
+    for(const _shapeName in emitterShapeGuis)
+        emitterShapeGuis[_shapeName].show(_shapeName === particlesSystem.emitterType)
+
+    for(const _modeName in renderModeGuis)
+        renderModeGuis[_modeName].show(_modeName === particlesSystem.renderMode)
+
+    for(const lifeRampsEditor of lifeRampsEditors)
+        lifeRampsEditor.update()
+
+    timelineTimeController.max(timeline.duration)
+
+    updateContainerHelper()
+
+    for(const controller of gui.controllersRecursive())
+        controller.updateDisplay()
+}
+
 /**
  * Grid
  */
@@ -200,11 +1250,269 @@ grid.mesh.position.y = -1
 grid.mesh.rotation.x = - Math.PI * 0.5
 scene.add(grid.mesh)
 
+/**
+ * Export
+ */
+const exporter = new SequenceExporter(renderer, scene, camera, (deltaTime) => { simulate(deltaTime) })
+const exportGui = gui.addFolder('🎥 Export')
+const exportState = {
+    format: 'png',
+    fps: 30,
+    duration: 5,
+    width: 1920,
+    height: 1080,
+    transparent: false,
+    hideHelpers: true,
+    fromStart: true,
+    progress: 0,
+    abortController: null
+}
+const exportHelpers = [ grid.mesh, transformControls.getHelper(), objectTransformControls.getHelper(), containerHelper ]
+
+// Same run as a fresh start with the timeline at its beginning
+const startOver = () =>
+{
+    timeline.seek(0)
+    particlesSystem.emitterPosition.copy(emitter.object.position)
+    particlesSystem.reset()
+}
+
+exportGui.add(exportState, 'format', [ 'png', 'webm' ])
+exportGui.add(exportState, 'fps', 1, 120, 1)
+exportGui.add(exportState, 'duration', 0.1, 60, 0.01)
+exportGui.add(exportState, 'width', 16, 7680, 1)
+exportGui.add(exportState, 'height', 16, 4320, 1)
+exportGui.add(exportState, 'transparent')
+exportGui.add(exportState, 'hideHelpers')
+exportGui.add(exportState, 'fromStart')
+exportGui.add(exportState, 'progress', 0, 1, 0.001).listen().disable()
+exportGui.add({
+    export: async () =>
+    {
+        if(exporter.exporting)
+            return
+
+        const helpersVisibility = exportHelpers.map((helper) => helper.visible)
+
+        if(exportState.hideHelpers)
+        {
+            for(const helper of exportHelpers)
+                helper.visible = false
+        }
+
+        exportState.progress = 0
+        exportState.abortController = new AbortController()
+
+        try
+        {
+            await exporter.export({
+                format: exportState.format,
+                fps: exportState.fps,
+                duration: exportState.duration,
+                width: exportState.width,
+                height: exportState.height,
+                transparent: exportState.transparent,
+                name: presetState.name,
+                onStart: exportState.fromStart ? startOver : null,
+                onProgress: (progress) => { exportState.progress = progress },
+                signal: exportState.abortController.signal
+            })
+        }
+        catch(error)
+        {
+            // Closing the directory picker is a cancellation
+            if(error.name !== 'AbortError')
+            {
+                console.error(error)
+                window.alert(error.message)
+            }
+        }
+        finally
+        {
+            exportHelpers.forEach((helper, index) => { helper.visible = helpersVisibility[index] })
+            exportState.abortController = null
+            refreshGui()
+        }
+    }
+}, 'export').name('export ⏺️')
+exportGui.add({ cancel: () => { exportState.abortController?.abort() } }, 'cancel').name('cancel ⏹️')
+
+/**
+ * Cache
+ */
+const cacheRecorder = new CacheRecorder(renderer, particlesSystem, (deltaTime) => { simulate(deltaTime) })
+const cacheGui = gui.addFolder('💾 Cache')
+const cacheState = {
+    fps: 30,
+    duration: 5,
+    recordVelocity: true,
+    recordLife: true,
+    fromStart: true,
+    progress: 0,
+    abortController: null,
+    cache: null
+}
+
+// Playback settings forwarded to the system's player, if any
+const cachePlayback = {
+    get playing() { return particlesSystem.cachePlayer?.playing ?? false },
+    set playing(value)
+    {
+        if(value)
+            particlesSystem.cachePlayer?.play()
+        else
+            particlesSystem.cachePlayer?.pause()
+    },
+    get loop() { return particlesSystem.cachePlayer?.loop ?? true },
+    set loop(value)
+    {
+        if(particlesSystem.cachePlayer)
+            particlesSystem.cachePlayer.loop = value
+    },
+    get time() { return particlesSystem.cachePlayer?.time ?? 0 },
+    set time(value) { particlesSystem.cachePlayer?.seek(value) }
+}
+
+const downloadFile = (blob, fileName) =>
+{
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = fileName
+    link.click()
+    URL.revokeObjectURL(link.href)
+}
+
+const setCache = (cache) =>
+{
+    cacheState.cache = cache
+    cacheTimeController.max(cache.duration)
+    particlesSystem.playCache(cache)
+    refreshGui()
+}
+
+cacheGui.add(cacheState, 'fps', 1, 120, 1)
+cacheGui.add(cacheState, 'duration', 0.1, 60, 0.01)
+cacheGui.add(cacheState, 'recordVelocity')
+cacheGui.add(cacheState, 'recordLife')
+cacheGui.add(cacheState, 'fromStart')
+cacheGui.add(cacheState, 'progress', 0, 1, 0.001).listen().disable()
+cacheGui.add({
+    record: async () =>
+    {
+        if(cacheRecorder.recording)
+            return
+
+        particlesSystem.stopCache()
+
+        if(cacheState.fromStart)
+            startOver()
+
+        cacheState.progress = 0
+        cacheState.abortController = new AbortController()
+
+        try
+        {
+            const cache = await cacheRecorder.record({
+                fps: cacheState.fps,
+                duration: cacheState.duration,
+                attributes: [ 'position', ...(cacheState.recordVelocity ? [ 'velocity' ] : []), ...(cacheState.recordLife ? [ 'life' ] : []) ],
+                onProgress: (progress) => { cacheState.progress = progress },
+                signal: cacheState.abortController.signal
+            })
+
+            if(cache)
+                setCache(cache)
+        }
+        catch(error)
+        {
+            console.error(error)
+            window.alert(error.message)
+        }
+        finally
+        {
+            cacheState.abortController = null
+        }
+    }
+}, 'record').name('record ⏺️')
+cacheGui.add({ cancel: () => { cacheState.abortController?.abort() } }, 'cancel').name('cancel ⏹️')
+
+// Playback
+cacheGui.add(cachePlayback, 'playing').listen()
+cacheGui.add(cachePlayback, 'loop')
+const cacheTimeController = cacheGui.add(cachePlayback, 'time', 0, 1, 0.001).listen()
+cacheGui.add({
+    play: () =>
+    {
+        if(cacheState.cache)
+            setCache(cacheState.cache)
+    }
+}, 'play').name('play cache ▶️')
+cacheGui.add({ stop: () => { particlesSystem.stopCache() } }, 'stop').name('back to simulation ⏏️')
+
+// Files
+const cacheFileInput = document.createElement('input')
+cacheFileInput.type = 'file'
+cacheFileInput.accept = '.ptcl'
+cacheFileInput.addEventListener('change', async () =>
+{
+    const file = cacheFileInput.files[0]
+
+    if(!file)
+        return
+
+    try
+    {
+        setCache(ParticleCache.fromArrayBuffer(await file.arrayBuffer()))
+    }
+    catch(error)
+    {
+        console.error(error)
+        window.alert(error.message)
+    }
+
+    cacheFileInput.value = ''
+})
+
+cacheGui.add({ load: () => { cacheFileInput.click() } }, 'load').name('load cache 📂')
+cacheGui.add({
+    save: () =>
+    {
+        if(cacheState.cache)
+            downloadFile(new Blob([ cacheState.cache.toArrayBuffer() ]), `${presetState.name}.ptcl`)
+    }
+}, 'save').name('save cache 💾')
+cacheGui.add({
+    ply: () =>
+    {
+        if(!cacheState.cache)
+            return
+
+        const frameIndex = cacheState.cache.getFrameIndex(cachePlayback.time)
+        downloadFile(new Blob([ cacheState.cache.toPly(frameIndex) ]), `${presetState.name}_${String(frameIndex).padStart(5, '0')}.ply`)
+    }
+}, 'ply').name('export frame as PLY 🧊')
+
 /**
  * Animate
  */
 const timer = new Timer()
 
+// Advances everything that moves, from the real time or from the exporter's fixed frame rate
+const simulate = (deltaTime) =>
+{
+    // Timeline (before the emitter position is handed to the system)
+    const timelinePlaying = timeline.playing
+    timeline.update(deltaTime)
+
+    if(timelinePlaying && !timeline.playing)
+        refreshGui()
+
+    // Particles System
+    particlesSystem.emitterPosition.copy(emitter.object.position)
+    particlesSystem.uniforms.emitterVelocity.value.copy(emitter.velocity)
+    particleEngine.update(deltaTime)
+}
+
 const tick = async () =>
 {
     // Timer
@@ -214,13 +1522,14 @@ const tick = async () =>
     // Update camera controls
     cameraControls.update()
 
-    // Particles System
-    particlesSystem.emitterPosition.copy(emitter.object.position)
-    particlesSystem.uniforms.emitterVelocity.value.copy(emitter.velocity)
-    particlesSystem.update(deltaTime)
+    // The exporter and the cache recorder step on their own meanwhile
+    if(!exporter.exporting && !cacheRecorder.recording)
+    {
+        simulate(deltaTime)
 
-    // Render
-    await renderer.renderAsync(scene, camera)
+        // Render
+        await renderer.renderAsync(scene, camera)
+    }
 
     // Call tick again on the next frame
     requestAnimationFrame(tick)
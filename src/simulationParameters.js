@@ -0,0 +1,40 @@
+// Parameters of the update step, shared by the GPU `ParticlesSystem` and the CPU `CpuSimulation`
+// so that both start from the same values and draw the same random sequences
+
+// Default values, named like the uniforms (and the preset fields)
+export const simulationDefaults = {
+    seed: 0,
+    emitterVelocityStrength: 0.4,
+    emitterNormalVelocity: 0,
+    initialVelocity: [ 0, 0, 0 ],
+    initialRandomVelocity: 0,
+    velocityDamping: 0.01,
+    decayFrequency: 0.2,
+    gravity: [ 0, - 0.5, 0 ],
+    floorY: - 0.95,
+    floorDamping: 0.1,
+    turbulence: {
+        strength: 0.01,
+        timeFrequency: 0.1,
+        positionFrequency: 3
+    },
+    point: {
+        radius: 0.01,
+        surface: true
+    }
+}
+
+// Salts of the seeded random values, one per use so that they don't correlate
+export const randomSalts = {
+    life: 1,
+    directionX: 2,
+    directionY: 3,
+    directionZ: 4,
+    mixStrength: 5,
+    size: 6,
+    sparkling: 7,
+    sprite: 8,
+    spinAngle: 9,
+    physarumTurn: 10,
+    emitterShape: 16 // And up, one per value sampled by the emitter shape
+}
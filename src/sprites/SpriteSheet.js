@@ -0,0 +1,62 @@
+import { uniform, texture, vec2, vec4, select, mix, min, max } from 'three/tsl'
+
+export default class SpriteSheet
+{
+    /**
+     * Texture atlas of `columns` × `rows` frames read left to right then top to bottom.
+     * Frames play once over the particle life, or loop at `fps` frames per second when above 0.
+     * With `randomStart` each particle starts at a random frame and wraps around.
+     */
+    constructor()
+    {
+        // Setup
+        this.texture = null
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.columns = uniform(1)
+        this.uniforms.rows = uniform(1)
+        this.uniforms.frameCount = uniform(1)
+        this.uniforms.fps = uniform(0)
+        this.uniforms.randomStart = uniform(0)
+        this.uniforms.blend = uniform(1)
+        this.uniforms.glowMix = uniform(0) // 0 uses the texture alpha alone, 1 masks it with the procedural glow and solid core
+    }
+
+    getFrameUV(frame, spriteUV)
+    {
+        const column = frame.mod(this.uniforms.columns)
+        const row = frame.div(this.uniforms.columns).floor()
+
+        // First frame at the top left
+        const cell = vec2(column, this.uniforms.rows.sub(1).sub(row))
+
+        return cell.add(spriteUV).div(vec2(this.uniforms.columns, this.uniforms.rows))
+    }
+
+    /**
+     * Frame color of a particle given its `life` in [0, 1], its `age` in seconds and a `random` value in [0, 1].
+     */
+    sample(spriteUV, life, age, random)
+    {
+        if(!this.texture)
+            return vec4(1)
+
+        const frameCount = max(this.uniforms.frameCount.floor(), 1)
+
+        // Frame time
+        const frameOverLife = life.mul(frameCount)
+        const frameAtFps = age.mul(this.uniforms.fps)
+        const frameStart = random.mul(frameCount).floor().mul(this.uniforms.randomStart)
+        const frameTime = select(this.uniforms.fps.greaterThan(0), frameAtFps, frameOverLife).add(frameStart).toVar()
+
+        // Current and next frames, the last one holding over life instead of blending back into the first
+        const isLooping = this.uniforms.fps.greaterThan(0).or(this.uniforms.randomStart.greaterThan(0))
+        const frame = select(isLooping, frameTime.floor().mod(frameCount), min(frameTime.floor(), frameCount.sub(1)))
+        const nextFrame = select(isLooping, frame.add(1).mod(frameCount), min(frame.add(1), frameCount.sub(1)))
+        const current = texture(this.texture, this.getFrameUV(frame, spriteUV))
+        const next = texture(this.texture, this.getFrameUV(nextFrame, spriteUV))
+
+        return mix(current, next, frameTime.fract().mul(this.uniforms.blend))
+    }
+}
@@ -0,0 +1,136 @@
+import { uniform, uint, vec4, min, max, If, Fn, atomicAdd, atomicLoad, atomicStore } from 'three/tsl'
+import { storage } from 'three/tsl'
+import { StorageBufferAttribute } from 'three/webgpu'
+
+/**
+ * Link from a parent `ParticlesSystem` to a child one, spawning `count` child particles per event of the parent's particles.
+ * Added with `parent.addSubEmitter()`. Both systems have to be updated in the same `ParticleEngine` with the child after the parent,
+ * and the child should be in 'explicit' emission mode so that it has dead particles to spawn.
+ *
+ * The parent's update kernel appends the events to a buffer, which the child's update kernel reads in the same step.
+ * Events are appended and claimed through atomic counters, so unlike the rest of the simulation which child particle
+ * picks which event depends on the threads order.
+ */
+export default class SubEmitter
+{
+    /**
+     * @param {ParticlesSystem} child
+     * @param {Object} [options]
+     * @param {string} [options.trigger] - 'death' when the life wraps or a collider kills, 'collision' on bounces (floor and colliders)
+     *                                     going into the surface faster than `minImpactSpeed`
+     *                                     or 'continuous' along the path at `rate` events per second
+     * @param {boolean} [options.inheritColor] - Children take the parent's color at the time of the event instead of their own
+     * @param {number} [options.maxEvents] - Events kept per step, the ones beyond are dropped
+     */
+    constructor(child, { trigger = 'death', count = 8, rate = 10, inheritVelocity = 0.3, inheritColor = false, minImpactSpeed = 0.05, maxEvents = 4096 } = {})
+    {
+        // Setup
+        this.parent = null // Set by `addSubEmitter()`
+        this.child = child
+        this._trigger = trigger
+        this._inheritColor = inheritColor
+        this.maxEvents = maxEvents
+
+        // Uniforms
+        this.uniforms = {}
+        this.uniforms.count = uniform(count, 'uint') // Children per event
+        this.uniforms.rate = uniform(rate) // Events per second per particle with the 'continuous' trigger
+        this.uniforms.inheritVelocity = uniform(inheritVelocity)
+        this.uniforms.minImpactSpeed = uniform(minImpactSpeed) // Below, a 'collision' is a particle resting on the surface
+
+        // Events
+        // Position, velocity and color of each event as 3 consecutive vec4
+        this.eventBuffer = storage(new StorageBufferAttribute(maxEvents * 3, 4), 'vec4', maxEvents * 3)
+
+        // Counters
+        // Events appended by the parent and children claimed by the child since the start of the step
+        this.eventCounterBuffer = storage(new StorageBufferAttribute(new Uint32Array(1), 1), 'uint', 1).toAtomic()
+        this.claimCounterBuffer = storage(new StorageBufferAttribute(new Uint32Array(1), 1), 'uint', 1).toAtomic()
+
+        const countersReset = Fn(() =>
+        {
+            atomicStore(this.eventCounterBuffer.element(0), uint(0))
+            atomicStore(this.claimCounterBuffer.element(0), uint(0))
+        })
+        this.countersResetCompute = countersReset().compute(1)
+    }
+
+    get trigger()
+    {
+        return this._trigger
+    }
+
+    set trigger(value)
+    {
+        this._trigger = value
+
+        this.rebuild()
+    }
+
+    get inheritColor()
+    {
+        return this._inheritColor
+    }
+
+    set inheritColor(value)
+    {
+        this._inheritColor = value
+
+        this.rebuild()
+    }
+
+    rebuild()
+    {
+        if(this.parent)
+            this.parent.rebuild()
+
+        this.child.rebuild()
+    }
+
+    /**
+     * Appends an event, from the parent's update kernel.
+     * Must be called inside a `Fn()` since it declares variables and control flow.
+     */
+    emit(position, velocity, color)
+    {
+        const index = atomicAdd(this.eventCounterBuffer.element(0), uint(1)).toVar()
+
+        If(index.lessThan(uint(this.maxEvents)), () =>
+        {
+            this.eventBuffer.element(index.mul(3)).assign(vec4(position, 1))
+            this.eventBuffer.element(index.mul(3).add(1)).assign(vec4(velocity, 0))
+            this.eventBuffer.element(index.mul(3).add(2)).assign(vec4(color, 1))
+        })
+    }
+
+    /**
+     * Index of the event a dead child particle gets spawned from, from the child's update kernel.
+     * Not an event if it's not below `getEventCount()`.
+     */
+    claim()
+    {
+        return atomicAdd(this.claimCounterBuffer.element(0), uint(1)).div(max(this.uniforms.count, uint(1)))
+    }
+
+    getEventCount()
+    {
+        return min(atomicLoad(this.eventCounterBuffer.element(0)), uint(this.maxEvents))
+    }
+
+    getEvent(index)
+    {
+        return {
+            position: this.eventBuffer.element(index.mul(3)).xyz,
+            velocity: this.eventBuffer.element(index.mul(3).add(1)).xyz,
+            color: this.eventBuffer.element(index.mul(3).add(2)).xyz
+        }
+    }
+
+    dispose()
+    {
+        this.eventBuffer.dispose()
+        this.eventCounterBuffer.dispose()
+        this.claimCounterBuffer.dispose()
+        this.countersResetCompute.dispose()
+    }
+}
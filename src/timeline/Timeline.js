@@ -0,0 +1,331 @@
+import * as THREE from 'three'
+import { easings } from '../utils/easings.js'
+import { mixColorsOklab } from '../utils/mixColorsOklab.js'
+import PresetValidationError from '../presets/PresetValidationError.js'
+
+export default class Timeline
+{
+    /**
+     * @param {Object} targets - Roots of the track paths, like `{ system }` for `'system.uniforms.size'`
+     */
+    constructor(targets = {})
+    {
+        // Setup
+        this.targets = targets
+        this.duration = 5 // Seconds
+        this.loop = true
+        this.playing = false
+        this.time = 0
+
+        // Tracks
+        // { path, keyframes } with keyframes { time, value, easing } sorted by time, `easing` shaping the segment up to the next keyframe
+        // Paths end on a uniform (number, Vector3 or Color) or an Object3D `position`, `scale` or `rotation`
+        // Values are stored as in presets: numbers, [ x, y, z ] arrays (radians for rotations) or '#rrggbb' sRGB colors
+        this.tracks = []
+    }
+
+    /**
+     * Object and key of the animated value, or null if the path doesn't lead anywhere (yet).
+     */
+    resolve(path)
+    {
+        const keys = path.split('.')
+        const key = keys.pop()
+        let object = this.targets
+
+        for(const _key of keys)
+        {
+            object = object?.[_key]
+
+            if(object === undefined || object === null)
+                return null
+        }
+
+        if(object?.[key] === undefined)
+            return null
+
+        // Uniforms are animated through their value
+        if(object[key].isUniformNode)
+            return { object: object[key], key: 'value' }
+
+        return { object, key }
+    }
+
+    /**
+     * Current value at the end of `path`, as stored in keyframes.
+     */
+    read(path)
+    {
+        const target = this.resolve(path)
+
+        if(!target)
+            return null
+
+        const value = target.object[target.key]
+
+        if(value.isColor)
+            return `#${value.getHexString(THREE.SRGBColorSpace)}`
+        if(value.isVector3)
+            return value.toArray()
+        if(value.isEuler)
+            return [ value.x, value.y, value.z ]
+
+        return value
+    }
+
+    write(path, value)
+    {
+        const target = this.resolve(path)
+
+        if(!target)
+            return
+
+        const current = target.object[target.key]
+
+        if(current.isColor)
+            current.set(value)
+        else if(current.isVector3 || current.isEuler)
+            current.set(...value)
+        else
+            target.object[target.key] = value
+    }
+
+    getTrack(path)
+    {
+        return this.tracks.find((track) => track.path === path)
+    }
+
+    /**
+     * Adds (or replaces) the keyframe of `path` at `time`, with the current value by default.
+     */
+    addKeyframe(path, time = this.time, value = this.read(path), easing = 'linear')
+    {
+        if(value === null)
+            return null
+
+        let track = this.getTrack(path)
+
+        if(!track)
+        {
+            track = { path, keyframes: [] }
+            this.tracks.push(track)
+        }
+
+        const keyframe = { time, value, easing }
+        track.keyframes = track.keyframes.filter((_keyframe) => _keyframe.time !== time)
+        track.keyframes.push(keyframe)
+        track.keyframes.sort((a, b) => a.time - b.time)
+
+        return keyframe
+    }
+
+    removeKeyframe(path, keyframe)
+    {
+        const track = this.getTrack(path)
+
+        if(!track)
+            return
+
+        track.keyframes.splice(track.keyframes.indexOf(keyframe), 1)
+
+        if(track.keyframes.length === 0)
+            this.removeTrack(path)
+    }
+
+    removeTrack(path)
+    {
+        this.tracks = this.tracks.filter((track) => track.path !== path)
+    }
+
+    clear()
+    {
+        this.tracks = []
+    }
+
+    play()
+    {
+        // Playing again from the end
+        if(!this.loop && this.time >= this.duration)
+            this.time = 0
+
+        this.playing = true
+    }
+
+    pause()
+    {
+        this.playing = false
+    }
+
+    stop()
+    {
+        this.playing = false
+        this.seek(0)
+    }
+
+    seek(time)
+    {
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration)
+        this.apply()
+    }
+
+    /**
+     * Advances the playhead and applies the tracks, to call before the systems update so that they see the animated values.
+     * Nothing is applied while paused so that the values can be edited by hand.
+     */
+    update(deltaTime)
+    {
+        if(!this.playing)
+            return
+
+        this.time += deltaTime
+
+        if(this.time >= this.duration)
+        {
+            if(this.loop && this.duration > 0)
+            {
+                this.time %= this.duration
+            }
+            else
+            {
+                this.time = this.duration
+                this.playing = false
+            }
+        }
+
+        this.apply()
+    }
+
+    apply()
+    {
+        for(const track of this.tracks)
+            this.write(track.path, this.evaluate(track, this.time))
+    }
+
+    evaluate(track, time)
+    {
+        const keyframes = track.keyframes
+
+        // Held before the first and after the last keyframe
+        let index = 0
+        while(index < keyframes.length && keyframes[index].time <= time)
+            index++
+
+        if(index === 0)
+            return keyframes[0].value
+        if(index === keyframes.length)
+            return keyframes[index - 1].value
+
+        const keyframeA = keyframes[index - 1]
+        const keyframeB = keyframes[index]
+
+        if(keyframeA.easing === 'step')
+            return keyframeA.value
+
+        const easing = easings[keyframeA.easing] ?? easings.linear
+        const ratio = easing((time - keyframeA.time) / (keyframeB.time - keyframeA.time))
+
+        return this.interpolate(track.path, keyframeA.value, keyframeB.value, ratio)
+    }
+
+    interpolate(path, valueA, valueB, ratio)
+    {
+        if(typeof valueA === 'number')
+            return THREE.MathUtils.lerp(valueA, valueB, ratio)
+
+        // Colors through Oklab, like preset blending
+        if(typeof valueA === 'string')
+        {
+            mixColorsOklab(Timeline.colorA.set(valueA), Timeline.colorB.set(valueB), ratio, Timeline.colorA)
+            return `#${Timeline.colorA.getHexString(THREE.SRGBColorSpace)}`
+        }
+
+        // Rotations take the shortest way
+        const target = this.resolve(path)
+
+        if(target?.object[target.key].isEuler)
+        {
+            Timeline.quaternionA.setFromEuler(Timeline.euler.set(...valueA))
+            Timeline.quaternionB.setFromEuler(Timeline.euler.set(...valueB))
+            Timeline.euler.setFromQuaternion(Timeline.quaternionA.slerp(Timeline.quaternionB, ratio))
+
+            return [ Timeline.euler.x, Timeline.euler.y, Timeline.euler.z ]
+        }
+
+        return valueA.map((component, index) => THREE.MathUtils.lerp(component, valueB[index], ratio))
+    }
+
+    toJSON()
+    {
+        return {
+            duration: this.duration,
+            loop: this.loop,
+            tracks: this.tracks.map((track) => ({
+                path: track.path,
+                keyframes: track.keyframes.map((keyframe) => ({ ...keyframe }))
+            }))
+        }
+    }
+
+    /**
+     * Takes validated timeline JSON (see `timelineSchema`), throwing a `PresetValidationError` without changing anything
+     * if a keyframe value doesn't match the type of the value its path leads to.
+     */
+    fromJSON(json)
+    {
+        const errors = []
+
+        json.tracks?.forEach((track, trackIndex) =>
+        {
+            const current = this.read(track.path)
+
+            // Paths that don't lead anywhere (yet) are kept and skipped when applied
+            if(current === null)
+                return
+
+            const expected = typeof current === 'string' ? 'color' : Array.isArray(current) ? 'vector3' : typeof current
+            const isExpected = {
+                color: (value) => typeof value === 'string',
+                vector3: (value) => Array.isArray(value),
+                number: (value) => typeof value === 'number'
+            }[expected] ?? (() => false)
+
+            track.keyframes.forEach((keyframe, keyframeIndex) =>
+            {
+                if(!isExpected(keyframe.value))
+                    errors.push(`timeline.tracks[${trackIndex}].keyframes[${keyframeIndex}].value: expected ${Timeline.typeDescriptions[expected] ?? 'an animatable value'} for ${track.path}, got ${JSON.stringify(keyframe.value)}`)
+            })
+        })
+
+        if(errors.length)
+            throw new PresetValidationError(errors)
+
+        if(json.duration !== undefined)
+            this.duration = json.duration
+        if(json.loop !== undefined)
+            this.loop = json.loop
+
+        if(json.tracks)
+        {
+            this.tracks = json.tracks.map((track) => ({
+                path: track.path,
+                keyframes: track.keyframes
+                    .map((keyframe) => ({ time: keyframe.time, value: keyframe.value, easing: keyframe.easing ?? 'linear' }))
+                    .sort((a, b) => a.time - b.time)
+            }))
+        }
+
+        this.time = Math.min(this.time, this.duration)
+    }
+
+    static typeDescriptions = {
+        number: 'a number',
+        vector3: 'an array of 3 numbers',
+        color: 'a "#rrggbb" color'
+    }
+
+    static colorA = new THREE.Color()
+    static colorB = new THREE.Color()
+    static euler = new THREE.Euler()
+    static quaternionA = new THREE.Quaternion()
+    static quaternionB = new THREE.Quaternion()
+}
@@ -0,0 +1,27 @@
+// Rotation matrix of `angle` radians around a unit `axis` (Rodrigues' formula)
+
+import { cos, float, Fn, mat3, sin, vec3 } from 'three/tsl'
+
+const axisAngleRotation = Fn(([ axis, angle ]) =>
+{
+    const c = cos(angle)
+    const s = sin(angle)
+    const t = float(1).sub(c)
+
+    const x = vec3(t.mul(axis.x).mul(axis.x).add(c), t.mul(axis.x).mul(axis.y).add(s.mul(axis.z)), t.mul(axis.x).mul(axis.z).sub(s.mul(axis.y)))
+    const y = vec3(t.mul(axis.x).mul(axis.y).sub(s.mul(axis.z)), t.mul(axis.y).mul(axis.y).add(c), t.mul(axis.y).mul(axis.z).add(s.mul(axis.x)))
+    const z = vec3(t.mul(axis.x).mul(axis.z).add(s.mul(axis.y)), t.mul(axis.y).mul(axis.z).sub(s.mul(axis.x)), t.mul(axis.z).mul(axis.z).add(c))
+
+    return mat3(x, y, z)
+})
+
+axisAngleRotation.setLayout( {
+    name: 'axisAngleRotation',
+    type: 'mat3',
+    inputs: [
+        { name: 'axis', type: 'vec3' },
+        { name: 'angle', type: 'float' }
+    ]
+} )
+
+export { axisAngleRotation }
@@ -0,0 +1,26 @@
+// Builds a rotation whose Z column is the given axis, to place shapes along any direction
+
+import { abs, cross, Fn, mat3, select, vec3 } from 'three/tsl'
+
+const orthonormalBasis = Fn(([ axis ]) =>
+{
+    // Fall back to up for a zero axis, which would otherwise normalize to NaN
+    const z = select(axis.length().greaterThan(0.00001), axis.normalize(), vec3(0, 1, 0))
+
+    // Avoid a degenerate cross product when the axis is close to up
+    const reference = select(abs(z.y).greaterThan(0.999), vec3(1, 0, 0), vec3(0, 1, 0))
+    const x = cross(reference, z).normalize()
+    const y = cross(z, x)
+
+    return mat3(x, y, z)
+})
+
+orthonormalBasis.setLayout( {
+    name: 'orthonormalBasis',
+    type: 'mat3',
+    inputs: [
+        { name: 'axis', type: 'vec3' }
+    ]
+} )
+
+export { orthonormalBasis }
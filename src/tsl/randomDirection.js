@@ -0,0 +1,23 @@
+// Uniformly distributed unit vector from two random values in [0, 1]
+
+import { cos, float, Fn, PI2, sin, sqrt, vec3 } from 'three/tsl'
+
+const randomDirection = Fn(([ randomA, randomB ]) =>
+{
+    const z = randomA.mul(2).sub(1)
+    const angle = randomB.mul(PI2)
+    const radius = sqrt(float(1).sub(z.mul(z)))
+
+    return vec3(cos(angle).mul(radius), sin(angle).mul(radius), z)
+})
+
+randomDirection.setLayout( {
+    name: 'randomDirection',
+    type: 'vec3',
+    inputs: [
+        { name: 'randomA', type: 'float' },
+        { name: 'randomB', type: 'float' }
+    ]
+} )
+
+export { randomDirection }
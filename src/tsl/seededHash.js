@@ -0,0 +1,8 @@
+// Random value in [0, 1] per index, from a seed and a salt giving each call site its own sequence
+// The salted seed is spread over the whole 32 bits range so that the sequences of close salts don't overlap
+
+import { hash, uint } from 'three/tsl'
+
+const seededHash = (index, seed, salt) => hash(index.add(seed.add(uint(salt)).mul(uint(0x9e3779b9))))
+
+export { seededHash }
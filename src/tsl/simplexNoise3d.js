@@ -85,8 +85,8 @@ const simplexNoise3d = Fn( ( [ v_immutable ] ) => {
 	const dotX2 = dot(x2, x2);
 	const dotX3 = dot(x3, x3);
 	
-	const dotsVec = vec4(dotX0, dotX1, dotX2, dotX3);
-	const diff = sub(0.6, dotsVec);
+	const distancesVec = vec4(dotX0, dotX1, dotX2, dotX3);
+	const diff = sub(0.6, distancesVec);
 	const maxResult = max(diff, 0.0);
 	
 	const m = vec4(maxResult).toVar();
@@ -0,0 +1,76 @@
+import * as THREE from 'three'
+
+/**
+ * Flattens every mesh under `object` into triangles expressed in the object's local space.
+ * Returns `positions` and `normals` (9 floats per triangle) along with each triangle `areas`.
+ */
+export function collectTriangles(object)
+{
+    object.updateWorldMatrix(true, true)
+    const objectMatrixInverse = object.matrixWorld.clone().invert()
+
+    const positions = []
+    const normals = []
+    const areas = []
+
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    const c = new THREE.Vector3()
+    const ab = new THREE.Vector3()
+    const ac = new THREE.Vector3()
+    const faceNormal = new THREE.Vector3()
+    const vertexNormal = new THREE.Vector3()
+
+    object.traverse((child) =>
+    {
+        if(!child.isMesh)
+            return
+
+        const geometry = child.geometry
+        const positionAttribute = geometry.attributes.position
+        const normalAttribute = geometry.attributes.normal
+        const index = geometry.index
+
+        const matrix = objectMatrixInverse.clone().multiply(child.matrixWorld)
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix)
+
+        const triangleCount = (index ? index.count : positionAttribute.count) / 3
+
+        for(let i = 0; i < triangleCount; i++)
+        {
+            const i0 = index ? index.getX(i * 3 + 0) : i * 3 + 0
+            const i1 = index ? index.getX(i * 3 + 1) : i * 3 + 1
+            const i2 = index ? index.getX(i * 3 + 2) : i * 3 + 2
+
+            a.fromBufferAttribute(positionAttribute, i0).applyMatrix4(matrix)
+            b.fromBufferAttribute(positionAttribute, i1).applyMatrix4(matrix)
+            c.fromBufferAttribute(positionAttribute, i2).applyMatrix4(matrix)
+
+            ab.subVectors(b, a)
+            ac.subVectors(c, a)
+            faceNormal.crossVectors(ab, ac)
+
+            const area = faceNormal.length() * 0.5
+            faceNormal.normalize()
+
+            positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z)
+            areas.push(area)
+
+            for(const vertexIndex of [ i0, i1, i2 ])
+            {
+                if(normalAttribute)
+                    vertexNormal.fromBufferAttribute(normalAttribute, vertexIndex).applyMatrix3(normalMatrix).normalize()
+                else
+                    vertexNormal.copy(faceNormal)
+
+                normals.push(vertexNormal.x, vertexNormal.y, vertexNormal.z)
+            }
+        }
+    })
+
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        areas: new Float32Array(areas)
+    }
+}
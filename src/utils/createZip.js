@@ -0,0 +1,77 @@
+// Uncompressed (stored) zip archive, enough to bundle files that are compressed already like PNGs
+
+const crcTable = new Uint32Array(256).map((_, index) =>
+{
+    let crc = index
+
+    for(let k = 0; k < 8; k++)
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1
+
+    return crc
+})
+
+const getCrc32 = (data) =>
+{
+    let crc = 0xffffffff
+
+    for(let i = 0; i < data.length; i++)
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * @param {Array<{ name: string, data: Uint8Array }>} files
+ * @returns {Blob}
+ */
+export function createZip(files)
+{
+    const encoder = new TextEncoder()
+    const parts = []
+    const centralParts = []
+    let offset = 0
+
+    for(const file of files)
+    {
+        const name = encoder.encode(file.name)
+        const crc = getCrc32(file.data)
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30))
+        header.setUint32(0, 0x04034b50, true)
+        header.setUint16(4, 20, true) // Version needed
+        header.setUint16(8, 0, true) // Stored
+        header.setUint32(14, crc, true)
+        header.setUint32(18, file.data.length, true)
+        header.setUint32(22, file.data.length, true)
+        header.setUint16(26, name.length, true)
+        parts.push(header, name, file.data)
+
+        // Central directory entry
+        const entry = new DataView(new ArrayBuffer(46))
+        entry.setUint32(0, 0x02014b50, true)
+        entry.setUint16(4, 20, true) // Version made by
+        entry.setUint16(6, 20, true) // Version needed
+        entry.setUint16(10, 0, true) // Stored
+        entry.setUint32(16, crc, true)
+        entry.setUint32(20, file.data.length, true)
+        entry.setUint32(24, file.data.length, true)
+        entry.setUint16(28, name.length, true)
+        entry.setUint32(42, offset, true)
+        centralParts.push(entry, name)
+
+        offset += 30 + name.length + file.data.length
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0)
+
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054b50, true)
+    end.setUint16(8, files.length, true)
+    end.setUint16(10, files.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    return new Blob([ ...parts, ...centralParts, end ], { type: 'application/zip' })
+}
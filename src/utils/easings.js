@@ -0,0 +1,7 @@
+// Easing functions mapping a progress in [0, 1] to a weight in [0, 1]
+export const easings = {
+    linear: (progress) => progress,
+    easeIn: (progress) => progress ** 3,
+    easeOut: (progress) => 1 - (1 - progress) ** 3,
+    easeInOut: (progress) => progress < 0.5 ? 4 * progress ** 3 : 1 - ((2 - 2 * progress) ** 3) * 0.5
+}
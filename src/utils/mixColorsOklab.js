@@ -0,0 +1,43 @@
+import * as THREE from 'three'
+
+const labA = new THREE.Vector3()
+const labB = new THREE.Vector3()
+
+// Linear sRGB to Oklab (https://bottosson.github.io/posts/oklab/)
+const toOklab = (color, target) =>
+{
+    const l = Math.cbrt(0.4122214708 * color.r + 0.5363325363 * color.g + 0.0514459929 * color.b)
+    const m = Math.cbrt(0.2119034982 * color.r + 0.6806995451 * color.g + 0.1073969566 * color.b)
+    const s = Math.cbrt(0.0883024619 * color.r + 0.2817188376 * color.g + 0.6299787005 * color.b)
+
+    return target.set(
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    )
+}
+
+const fromOklab = (lab, target) =>
+{
+    const l = (lab.x + 0.3963377774 * lab.y + 0.2158037573 * lab.z) ** 3
+    const m = (lab.x - 0.1055613458 * lab.y - 0.0638541728 * lab.z) ** 3
+    const s = (lab.x - 0.0894841775 * lab.y - 1.2914855480 * lab.z) ** 3
+
+    return target.setRGB(
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        - 1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        - 0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    )
+}
+
+/**
+ * Mixes two colors of the linear working color space through Oklab, a perceptual space
+ * where the in-between colors keep a steady lightness instead of going dull.
+ */
+export function mixColorsOklab(colorA, colorB, ratio, target = new THREE.Color())
+{
+    toOklab(colorA, labA)
+    toOklab(colorB, labB)
+
+    return fromOklab(labA.lerp(labB, ratio), target)
+}
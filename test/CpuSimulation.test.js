@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readdirSync, readFileSync } from 'node:fs'
+import CpuSimulation from '../src/cpu/CpuSimulation.js'
+import { curlNoise4d } from '../src/cpu/curlNoise4d.js'
+import { PresetValidationError } from '../src/presets/presets.js'
+
+const builtinDirectory = new URL('../src/presets/builtin/', import.meta.url)
+const builtinPresets = readdirSync(builtinDirectory)
+    .filter((fileName) => fileName.endsWith('.json'))
+    .map((fileName) => ({ fileName, preset: JSON.parse(readFileSync(new URL(fileName, builtinDirectory), 'utf8')) }))
+
+const assertClose = (actual, expected, message) =>
+{
+    // Float32 storage
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`)
+}
+
+// Single particle without turbulence, at `position` with `velocity` and `life`
+const createParticle = ({ position, velocity, life, emissionMode = 'continuous' }) =>
+{
+    const simulation = new CpuSimulation(1)
+    simulation.emissionMode = emissionMode
+    simulation.parameters.turbulence.strength = 0
+    simulation.reset()
+
+    simulation.positions.set(position)
+    simulation.velocities.set(velocity)
+    simulation.lives[0] = life
+
+    return simulation
+}
+
+describe('CpuSimulation step', () =>
+{
+    it('applies the gravity and the damping before moving', () =>
+    {
+        const simulation = createParticle({ position: [ 0, 1, 0 ], velocity: [ 1, 0, 0 ], life: 0 })
+        simulation.step(0.1)
+
+        // Velocity (1, 0, 0) + gravity (0, -0.5, 0) × 0.1, damped by 0.01
+        assertClose(simulation.velocities[0], 0.99, 'velocity x')
+        assertClose(simulation.velocities[1], - 0.0495, 'velocity y')
+        assertClose(simulation.positions[0], 0.099, 'position x')
+        assertClose(simulation.positions[1], 0.99505, 'position y')
+
+        // Decay frequency of 0.2 per second
+        assertClose(simulation.lives[0], 0.02, 'life')
+    })
+
+    it('bounces on the floor, losing the floor damping', () =>
+    {
+        const simulation = createParticle({ position: [ 0, - 0.94, 0 ], velocity: [ 0, - 1, 0 ], life: 0 })
+        simulation.parameters.gravity = [ 0, 0, 0 ]
+        simulation.parameters.velocityDamping = 0
+        simulation.step(0.1)
+
+        assertClose(simulation.positions[1], - 0.95, 'position y')
+        assertClose(simulation.velocities[1], 0.9, 'velocity y')
+    })
+
+    it('pushes along the curl noise with turbulence', () =>
+    {
+        const simulation = createParticle({ position: [ 0.5, 1, - 0.25 ], velocity: [ 0, 0, 0 ], life: 0 })
+        const turbulence = simulation.parameters.turbulence
+        turbulence.strength = 0.02
+        simulation.parameters.gravity = [ 0, 0, 0 ]
+        simulation.parameters.velocityDamping = 0
+        simulation.step(0.1)
+
+        // Noise at the position before moving, at the time after the step
+        const curl = curlNoise4d(
+            0.5 * turbulence.positionFrequency + 12.34,
+            1 * turbulence.positionFrequency + 12.34,
+            - 0.25 * turbulence.positionFrequency + 12.34,
+            0.1 * turbulence.timeFrequency
+        )
+
+        for(let i = 0; i < 3; i++)
+        {
+            assertClose(simulation.velocities[i], curl[i] * 0.02, `velocity ${'xyz'[i]}`)
+            assertClose(simulation.positions[i], [ 0.5, 1, - 0.25 ][i] + curl[i] * 0.002, `position ${'xyz'[i]}`)
+        }
+
+        assert.ok(Math.hypot(...simulation.velocities) > 0.019, 'pushed by the whole strength')
+    })
+
+    it('respawns at the emitter keeping the life phase in continuous mode', () =>
+    {
+        const simulation = createParticle({ position: [ 1, 1, 1 ], velocity: [ 0, 0, 0 ], life: 0.99 })
+        simulation.parameters.initialRandomVelocity = 0
+        simulation.step(0.1)
+
+        assertClose(simulation.lives[0], 0.01, 'life')
+
+        // On the surface of the point emitter
+        const distance = Math.hypot(simulation.positions[0], simulation.positions[1], simulation.positions[2])
+        assertClose(distance, 0.01, 'distance to the emitter')
+    })
+
+    it('dies without a spawn budget in explicit mode', () =>
+    {
+        const simulation = createParticle({ position: [ 1, 1, 1 ], velocity: [ 1, 0, 0 ], life: 0.99, emissionMode: 'explicit' })
+        simulation.step(0.1)
+
+        assert.equal(simulation.lives[0], 1)
+        assert.equal(simulation.positions[0], 99999)
+        assert.equal(simulation.velocities[0], 0)
+    })
+
+    it('spawns what `emit()` asks for in explicit mode', () =>
+    {
+        const simulation = new CpuSimulation(100)
+        simulation.emissionMode = 'explicit'
+        simulation.reset()
+
+        simulation.emit(30)
+        simulation.step(1 / 60)
+
+        assert.equal(simulation.lives.filter((life) => life < 1).length, 30)
+    })
+})
+
+describe('CpuSimulation seeding', () =>
+{
+    const run = (seed) =>
+    {
+        const simulation = new CpuSimulation(500)
+        simulation.parameters.seed = seed
+        simulation.reset()
+
+        for(let i = 0; i < 30; i++)
+            simulation.step(1 / 60)
+
+        return simulation
+    }
+
+    it('gives identical buffers for the same seed and steps', () =>
+    {
+        const simulationA = run(7)
+        const simulationB = run(7)
+
+        assert.deepEqual(simulationA.positions, simulationB.positions)
+        assert.deepEqual(simulationA.velocities, simulationB.velocities)
+        assert.deepEqual(simulationA.lives, simulationB.lives)
+    })
+
+    it('gives different buffers for another seed', () =>
+    {
+        assert.notDeepEqual(run(7).lives, run(8).lives)
+    })
+})
+
+describe('CpuSimulation.applyPreset()', () =>
+{
+    for(const { fileName, preset } of builtinPresets)
+    {
+        it(`applies ${fileName}`, () =>
+        {
+            const simulation = new CpuSimulation(100)
+            simulation.applyPreset(preset)
+
+            const settings = preset.system
+            assert.equal(simulation.count, settings.count)
+            assert.equal(simulation.emissionMode, settings.emissionMode)
+
+            for(const key of [ 'gravity', 'decayFrequency', 'velocityDamping', 'floorY' ])
+            {
+                if(settings.uniforms?.[key] !== undefined)
+                    assert.deepEqual(simulation.parameters[key], settings.uniforms[key], key)
+            }
+
+            for(let i = 0; i < 3; i++)
+                simulation.step(1 / 60)
+
+            assert.ok(simulation.positions.every(Number.isFinite), 'finite positions')
+            assert.ok(simulation.velocities.every(Number.isFinite), 'finite velocities')
+        })
+    }
+
+    it('throws on an invalid preset without changing anything', () =>
+    {
+        const simulation = new CpuSimulation(100)
+        const parameters = structuredClone(simulation.parameters)
+
+        assert.throws(() => simulation.applyPreset({ version: 1, system: { count: 10, uniforms: { gravity: 'down' } } }), PresetValidationError)
+        assert.equal(simulation.count, 100)
+        assert.deepEqual(simulation.parameters, parameters)
+    })
+})
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Curve from '../src/ramps/Curve.js'
+
+// Every value sampled along the curve
+const sample = (curve, steps = 1000) => Array.from({ length: steps + 1 }, (_, i) => curve.evaluate(i / steps))
+
+describe('Curve.evaluate()', () =>
+{
+    it('goes through its points', () =>
+    {
+        const points = [ { x: 0, y: 0 }, { x: 0.2, y: 1 }, { x: 0.8, y: 1 }, { x: 1, y: 0 } ]
+        const curve = new Curve(points)
+
+        for(const point of points)
+            assert.equal(curve.evaluate(point.x), point.y)
+    })
+
+    it('stays within the range of its points', () =>
+    {
+        const curves = [
+            [ { x: 0, y: 0 }, { x: 0.1, y: 1 }, { x: 0.9, y: 1.08 } ],
+            [ { x: 0, y: 1.08 }, { x: 0.8, y: 1 }, { x: 0.9, y: 0 }, { x: 1, y: 0 } ],
+            [ { x: 0, y: 0 }, { x: 0.05, y: 2 }, { x: 0.5, y: 2.1 }, { x: 0.55, y: 5 }, { x: 1, y: 5.01 } ]
+        ]
+
+        for(const points of curves)
+        {
+            const curve = new Curve(points)
+            const ys = points.map((point) => point.y)
+            const min = Math.min(...ys)
+            const max = Math.max(...ys)
+
+            for(const value of sample(curve))
+                assert.ok(value >= min - 1e-9 && value <= max + 1e-9, `${value} outside [${min}, ${max}] for ${JSON.stringify(points)}`)
+        }
+    })
+
+    it('stays monotone between increasing points', () =>
+    {
+        const curve = new Curve([ { x: 0, y: 0 }, { x: 0.1, y: 1 }, { x: 0.9, y: 1.08 }, { x: 1, y: 3 } ])
+        const values = sample(curve)
+
+        values.slice(1).forEach((value, index) => assert.ok(value >= values[index] - 1e-9, `decreasing at ${index + 1}`))
+    })
+})
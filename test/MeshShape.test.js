@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import MeshShape from '../src/emitters/MeshShape.js'
+
+describe('MeshShape', () =>
+{
+    it('picks the triangles by their share of the area', () =>
+    {
+        const shape = new MeshShape(new THREE.Mesh(new THREE.BoxGeometry(1, 2, 3)))
+
+        assert.equal(shape.triangleCount, 12)
+        assert.ok(shape.cumulativeAreas.every(Number.isFinite))
+        assert.equal(shape.cumulativeAreas[shape.triangleCount - 1], 1)
+    })
+
+    it('throws on objects without surface', () =>
+    {
+        const flat = new THREE.BufferGeometry()
+        flat.setAttribute('position', new THREE.Float32BufferAttribute([ 0, 0, 0, 1, 0, 0, 2, 0, 0 ], 3))
+        flat.computeVertexNormals()
+
+        for(const object of [ new THREE.Group(), new THREE.Mesh(flat) ])
+            assert.throws(() => new MeshShape(object), /The emitter mesh has no surface/)
+    })
+})
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import ParticleCache from '../src/cache/ParticleCache.js'
+
+const createCache = () =>
+{
+    const cache = new ParticleCache(4, 30, [ 'position', 'life' ])
+
+    for(let i = 0; i < 3; i++)
+    {
+        cache.addFrame({
+            position: Float32Array.from({ length: 12 }, (value, index) => i + index * 0.25),
+            life: Float32Array.from({ length: 4 }, (value, index) => index * 0.2)
+        })
+    }
+
+    return cache
+}
+
+// Binary file with `header` as JSON, padded like `toArrayBuffer()` unless `headerLength` is given
+const createBuffer = (header, headerLength = null) =>
+{
+    let json = typeof header === 'string' ? header : JSON.stringify(header)
+    json += ' '.repeat((4 - (json.length % 4)) % 4)
+    const headerBytes = new TextEncoder().encode(json)
+
+    const buffer = new ArrayBuffer(8 + headerBytes.length)
+    const view = new DataView(buffer)
+    new Uint8Array(buffer).set(new TextEncoder().encode('PTCL'))
+    view.setUint32(4, headerLength ?? headerBytes.length, true)
+    new Uint8Array(buffer, 8).set(headerBytes)
+
+    return buffer
+}
+
+const validHeader = { version: 1, count: 0, fps: 30, frameCount: 0, attributes: [ { name: 'position', itemSize: 3 } ] }
+
+describe('ParticleCache.fromArrayBuffer()', () =>
+{
+    it('reads what `toArrayBuffer()` writes', () =>
+    {
+        const cache = createCache()
+        const read = ParticleCache.fromArrayBuffer(cache.toArrayBuffer())
+
+        assert.equal(read.count, cache.count)
+        assert.equal(read.fps, cache.fps)
+        assert.deepEqual(read.attributes, cache.attributes)
+        assert.deepEqual(read.frames, cache.frames)
+    })
+
+    it('reads an empty header', () =>
+    {
+        assert.equal(ParticleCache.fromArrayBuffer(createBuffer(validHeader)).frameCount, 0)
+    })
+
+    it('rejects other files', () =>
+    {
+        assert.throws(() => ParticleCache.fromArrayBuffer(new ArrayBuffer(4)), /Not a particle cache/)
+        assert.throws(() => ParticleCache.fromArrayBuffer(new TextEncoder().encode('VFLD\0\0\0\0').buffer), /Not a particle cache/)
+    })
+
+    it('rejects header lengths past the end or not aligned', () =>
+    {
+        assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer(validHeader, 4096)), /Not a particle cache, invalid header length/)
+        assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer(validHeader, 6)), /Not a particle cache, invalid header length/)
+    })
+
+    it('rejects headers that are not JSON or miss fields', () =>
+    {
+        assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer('{ count')), /Not a particle cache, the header is not JSON/)
+        assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer('null')), /Not a particle cache, expected a header/)
+
+        for(const key of [ 'count', 'fps', 'frameCount', 'attributes' ])
+        {
+            const header = { ...validHeader }
+            delete header[key]
+
+            assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer(header)), /Not a particle cache, expected a header/, key)
+        }
+
+        assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer({ ...validHeader, count: - 1 })), /Not a particle cache, expected a header/)
+        assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer({ ...validHeader, fps: 0 })), /Not a particle cache, expected a header/)
+    })
+
+    it('rejects unknown attributes or item sizes', () =>
+    {
+        for(const attribute of [ null, { name: 'color', itemSize: 3 }, { name: 'position', itemSize: 4 }, { name: 'constructor' } ])
+            assert.throws(() => ParticleCache.fromArrayBuffer(createBuffer({ ...validHeader, attributes: [ attribute ] })), /Invalid particle cache attribute/)
+    })
+
+    it('rejects truncated frames', () =>
+    {
+        const buffer = createCache().toArrayBuffer()
+
+        assert.throws(() => ParticleCache.fromArrayBuffer(buffer.slice(0, buffer.byteLength - 4)), /truncated/)
+    })
+})
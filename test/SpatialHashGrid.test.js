@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import SpatialHashGrid from '../src/physics/SpatialHashGrid.js'
+
+const bounds = new THREE.Box3(new THREE.Vector3(- 2, - 1, - 2), new THREE.Vector3(2, 2, 2))
+
+describe('SpatialHashGrid.configure()', () =>
+{
+    it('keeps the cell size when the resolution fits', () =>
+    {
+        const grid = new SpatialHashGrid(0.25, bounds)
+
+        assert.equal(grid.effectiveCellSize, 0.25)
+        assert.equal(grid.uniforms.cellSize.value, 0.25)
+        assert.deepEqual(grid.resolution.toArray(), [ 16, 12, 16 ])
+    })
+
+    it('grows the cells to cover the bounds when the resolution is capped', () =>
+    {
+        const grid = new SpatialHashGrid(0.01, bounds)
+
+        assert.equal(grid.cellSize, 0.01)
+        assert.equal(grid.effectiveCellSize, 4 / 64)
+        assert.equal(grid.uniforms.cellSize.value, 4 / 64)
+        assert.deepEqual(grid.resolution.toArray(), [ 64, 48, 64 ])
+
+        // The cells span the bounds on every axis
+        const size = bounds.getSize(new THREE.Vector3())
+        const covered = grid.resolution.clone().multiplyScalar(grid.uniforms.cellSize.value)
+        assert.ok(covered.x >= size.x && covered.y >= size.y && covered.z >= size.z)
+    })
+
+    it('follows cell size changes', () =>
+    {
+        const grid = new SpatialHashGrid(0.01, bounds)
+        grid.cellSize = 0.5
+
+        assert.equal(grid.uniforms.cellSize.value, 0.5)
+        assert.deepEqual(grid.resolution.toArray(), [ 8, 6, 8 ])
+    })
+})
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import VectorFieldGrid from '../src/forces/VectorFieldGrid.js'
+
+const createGrid = () =>
+{
+    const grid = new VectorFieldGrid(new THREE.Vector3(2, 3, 4))
+
+    for(let i = 0; i < grid.vectors.length; i++)
+        grid.vectors[i] = i * 0.5
+
+    return grid
+}
+
+// Binary file with `header` as JSON, padded like `toArrayBuffer()` unless `headerLength` is given
+const createBuffer = (header, headerLength = null, vectorsLength = 0) =>
+{
+    let json = typeof header === 'string' ? header : JSON.stringify(header)
+    json += ' '.repeat((4 - (json.length % 4)) % 4)
+    const headerBytes = new TextEncoder().encode(json)
+
+    const buffer = new ArrayBuffer(8 + headerBytes.length + vectorsLength * 4)
+    const view = new DataView(buffer)
+    new Uint8Array(buffer).set(new TextEncoder().encode('VFLD'))
+    view.setUint32(4, headerLength ?? headerBytes.length, true)
+    new Uint8Array(buffer, 8).set(headerBytes)
+
+    return buffer
+}
+
+describe('VectorFieldGrid.fromArrayBuffer()', () =>
+{
+    it('reads what `toArrayBuffer()` writes', () =>
+    {
+        const grid = createGrid()
+        const read = VectorFieldGrid.fromArrayBuffer(grid.toArrayBuffer())
+
+        assert.deepEqual(read.resolution, grid.resolution)
+        assert.deepEqual(read.bounds, grid.bounds)
+        assert.deepEqual(read.vectors, grid.vectors)
+    })
+
+    it('rejects other files', () =>
+    {
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(new ArrayBuffer(4)), /Not a vector field/)
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(new TextEncoder().encode('PTCL\0\0\0\0').buffer), /Not a vector field/)
+    })
+
+    it('rejects header lengths past the end or not aligned', () =>
+    {
+        const header = { version: 1, resolution: [ 1, 1, 1 ], bounds: { min: [ 0, 0, 0 ], max: [ 1, 1, 1 ] } }
+
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(createBuffer(header, 4096, 3)), /Not a vector field, invalid header length/)
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(createBuffer(header, 6, 3)), /Not a vector field, invalid header length/)
+    })
+
+    it('rejects headers that are not JSON or miss fields', () =>
+    {
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(createBuffer('{ resolution')), /Not a vector field, the header is not JSON/)
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(createBuffer('null')), /Not a vector field, expected a header/)
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(createBuffer({ version: 1, resolution: [ 1, 1, 1 ] })), /Not a vector field, expected a header/)
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(createBuffer({ version: 1, resolution: [ 1, 1 ], bounds: { min: [ 0, 0, 0 ], max: [ 1, 1, 1 ] } })), /Not a vector field, expected a header/)
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(createBuffer({ version: 1, resolution: [ - 1, 1, 1 ], bounds: { min: [ 0, 0, 0 ], max: [ 1, 1, 1 ] } })), /Invalid vector field resolution/)
+    })
+
+    it('rejects truncated vectors', () =>
+    {
+        const buffer = createGrid().toArrayBuffer()
+
+        assert.throws(() => VectorFieldGrid.fromArrayBuffer(buffer.slice(0, buffer.byteLength - 4)), /truncated/)
+    })
+})
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { simplexNoise4d } from '../src/cpu/simplexNoise4d.js'
+import { curlNoise4d } from '../src/cpu/curlNoise4d.js'
+
+// Reference values of the shaders built from `src/tsl/simplexNoise4d.js` and `src/tsl/curlNoise4d.js`,
+// evaluated in double precision apart from the gradient lookup which the GPU does in single precision
+const references = [
+    { input: [ 0.1, 0.2, 0.3, 0.4 ], simplex: - 0.3003940620, curl: [ 0.6420079812, - 0.5023584469, - 0.5791905929 ] },
+    { input: [ 1.5, - 2.25, 3.75, 0.5 ], simplex: 0.4672934274, curl: [ 0.0797337431, 0.7511822515, - 0.6552615930 ] },
+    { input: [ 12.34, 12.34, 12.34, 0 ], simplex: 0.6301068014, curl: [ - 0.7269887170, 0.6261166794, 0.2818959190 ] },
+    { input: [ - 7.1, 4.2, 0.35, 2.6 ], simplex: - 0.0495444999, curl: [ - 0.9060231132, - 0.4214768100, - 0.0384631901 ] },
+    { input: [ 100.5, - 50.25, 25.125, 10 ], simplex: 0.0799685476, curl: [ 0.1333346401, 0.3346361418, 0.9328668321 ] },
+    { input: [ 0.3, 0.9, - 0.6, 1.2 ], simplex: 0.1941426613, curl: [ 0.7972610881, - 0.5854556885, - 0.1470251485 ] }
+]
+
+const assertClose = (actual, expected, message) =>
+{
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`)
+}
+
+// Pseudo random points, the same on every run
+const getPoints = (count) =>
+{
+    let state = 12345
+    const random = () =>
+    {
+        state = (state * 16807) % 2147483647
+        return state / 2147483647
+    }
+
+    return Array.from({ length: count }, () => [ random() * 20 - 10, random() * 20 - 10, random() * 20 - 10, random() * 3 ])
+}
+
+// Divergence relative to the size of the derivatives of `field` at `point`, by central differences
+const getDivergenceRatio = (field, point) =>
+{
+    const step = 1e-3
+    const jacobian = []
+
+    for(let axis = 0; axis < 3; axis++)
+    {
+        const after = [ ...point ]
+        const before = [ ...point ]
+        after[axis] += step
+        before[axis] -= step
+
+        const valueAfter = field(...after)
+        const valueBefore = field(...before)
+        jacobian.push(valueAfter.map((value, index) => (value - valueBefore[index]) / (step * 2)))
+    }
+
+    return Math.abs(jacobian[0][0] + jacobian[1][1] + jacobian[2][2]) / Math.hypot(...jacobian.flat())
+}
+
+describe('simplexNoise4d()', () =>
+{
+    it('matches the TSL noise', () =>
+    {
+        for(const { input, simplex } of references)
+            assertClose(simplexNoise4d(...input), simplex, `noise at ${input}`)
+    })
+
+    it('is deterministic and within [-1, 1]', () =>
+    {
+        for(const point of getPoints(200))
+        {
+            const value = simplexNoise4d(...point)
+
+            assert.equal(simplexNoise4d(...point), value)
+            assert.ok(Math.abs(value) <= 1, `noise at ${point}: ${value}`)
+        }
+    })
+})
+
+describe('curlNoise4d()', () =>
+{
+    it('matches the TSL noise', () =>
+    {
+        for(const { input, curl } of references)
+        {
+            const value = curlNoise4d(...input)
+
+            for(let i = 0; i < 3; i++)
+                assertClose(value[i], curl[i], `curl ${'xyz'[i]} at ${input}`)
+        }
+    })
+
+    it('is deterministic and of unit length', () =>
+    {
+        for(const point of getPoints(200))
+        {
+            const value = curlNoise4d(...point)
+
+            assert.deepEqual(curlNoise4d(...point), value)
+            assertClose(Math.hypot(...value), 1, `length at ${point}`)
+        }
+    })
+
+    it('writes in and returns the target', () =>
+    {
+        const target = [ 0, 0, 0 ]
+
+        assert.equal(curlNoise4d(0.1, 0.2, 0.3, 0.4, target), target)
+        assert.deepEqual(target, curlNoise4d(0.1, 0.2, 0.3, 0.4))
+    })
+
+    it('is roughly divergence-free', () =>
+    {
+        // The normalized noise gradient, as a field that is not divergence-free to compare with
+        const epsilon = 1e-4
+        const gradient = (x, y, z, w) =>
+        {
+            const value = [
+                simplexNoise4d(x + epsilon, y, z, w) - simplexNoise4d(x - epsilon, y, z, w),
+                simplexNoise4d(x, y + epsilon, z, w) - simplexNoise4d(x, y - epsilon, z, w),
+                simplexNoise4d(x, y, z + epsilon, w) - simplexNoise4d(x, y, z - epsilon, w)
+            ]
+            const length = Math.hypot(...value)
+
+            return value.map((component) => component / length)
+        }
+
+        // The normalizations keep the curl from being exactly divergence-free, on average it is well below the gradient
+        const points = getPoints(100)
+        const getAverageRatio = (field) => points.reduce((sum, point) => sum + getDivergenceRatio(field, point), 0) / points.length
+        const curlRatio = getAverageRatio(curlNoise4d)
+        const gradientRatio = getAverageRatio(gradient)
+
+        assert.ok(curlRatio < 0.5, `curl divergence ratio of ${curlRatio}`)
+        assert.ok(curlRatio < gradientRatio * 0.6, `curl divergence ratio of ${curlRatio} against ${gradientRatio} for the gradient`)
+    })
+})